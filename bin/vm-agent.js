@@ -5,31 +5,95 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
  * Loads the config and creates a VmAgent instance. See lib/vm-agent.js for more
  * detailed information on operation.
  *
+ * On SIGHUP, or when the config file changes, the config is loaded again and
+ * passed to VmAgent's reloadConfig() which applies what it can without a
+ * restart (see "Reloading Configuration" in lib/vm-agent.js). The 'log_level'
+ * option is handled here: it sets the level of all our loggers (including the
+ * children created by the other modules), falling back to $LOG_LEVEL and then
+ * DEFAULT_LOG_LEVEL when it's not set.
+ *
+ * The config is checked against the schema in lib/config-schema.js. Unknown
+ * options are logged as warnings, invalid values are logged and prevent
+ * vm-agent from starting (or the config from being reloaded). To check a
+ * config file (e.g. one rendered from a changed config-agent template)
+ * without starting vm-agent, run:
+ *
+ *   vm-agent --check-config [path]
+ *
+ * which checks the file at path (by default CONFIG_PATH) by itself, prints any
+ * problems and exits non-zero if there are errors.
+ *
+ * When the first argument is one of the commands of lib/cli.js (or an option),
+ * this runs that command against the running vm-agent instead, e.g.:
+ *
+ *   vm-agent status
+ *   vm-agent resync <uuid>
+ *
+ * See lib/cli.js for the commands. Without arguments, this starts vm-agent.
+ *
  */
 
 var fs = require('fs');
 var execFile = require('child_process').execFile;
+var path = require('path');
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
 var vasync = require('vasync');
 
+var cli = require('../lib/cli');
+var validateConfig = require('../lib/config-schema').validateConfig;
 var VmAgent = require('../lib');
 
 
 // GLOBALS
+var CONFIG_PATH = '/opt/smartdc/agents/etc/vm-agent.config.json';
+var DEFAULT_LOG_LEVEL = 'debug';
+// How long to wait after the config file changes before reloading, since
+// config-agent may write it more than once in quick succession.
+var RELOAD_DELAY_MS = 1000;
+
 var logger = bunyan.createLogger({
     name: 'vm-agent',
-    level: (process.env.LOG_LEVEL || 'debug')
+    level: process.env.LOG_LEVEL || DEFAULT_LOG_LEVEL,
+    stream: process.stdout
 });
 
+/*
+ * bunyan copies the level and the streams of a logger into each child when the
+ * child is created, so changing the level of the top-level logger with
+ * logger.level() would not affect the children the other modules (and
+ * restify-clients, cueball, etc.) have already created. So that
+ * applyLogLevel() applies to all of them, the children here share the streams
+ * of the top-level logger and read their level from it. That way log.trace()
+ * and friends below the level return without building a record.
+ */
+function followLevel(log) {
+    log.child = function child(options, simple) {
+        var childLog = bunyan.prototype.child.call(this, options, simple);
+
+        childLog.streams = logger.streams;
+        Object.defineProperty(childLog, '_level', {
+            get: function _getLevel() {
+                return (logger.level());
+            },
+            set: function _setLevel(_level) {
+            }
+        });
+        followLevel(childLog);
+
+        return (childLog);
+    };
+}
+followLevel(logger);
+
 
 /*
  * This loads the config file (managed by config-agent) and adds all the
@@ -38,16 +102,15 @@ var logger = bunyan.createLogger({
  */
 function loadConfig(config, callback) {
     var _config;
-    var configPath = '/opt/smartdc/agents/etc/vm-agent.config.json';
 
     assert.object(config);
     assert.func(callback);
 
     try {
-        _config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        _config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
     } catch (e) {
         // not fatal, because we'll attempt to get the config by other means
-        logger.error(e, 'Could not parse agent config: %s', configPath);
+        logger.error(e, 'Could not parse agent config: %s', CONFIG_PATH);
     }
 
     if (_config) {
@@ -145,34 +208,206 @@ function loadSysinfo(config, callback) {
     });
 }
 
+// Fill in defaults for any optional keys that none of the other sources set.
+function loadDefaults(config, callback) {
+    assert.object(config);
+    assert.func(callback);
+
+    // The status API is what "vm-agent status" and friends talk to (see
+    // lib/cli.js), so it's always enabled unless configured otherwise.
+    if (!config.hasOwnProperty('status_socket') &&
+        !config.hasOwnProperty('status_port')) {
+
+        config.status_socket = cli.DEFAULT_STATUS_SOCKET;
+    }
+
+    callback(null, config);
+}
+
 /*
- * This waterfall should be ordered by config precedence. Each of the functions
- * will avoid clobbering keys, so the first value loaded by any of these
- * functions for a given key will be the value in the final config object.
+ * Sets the level of all our loggers from config.log_level (see the top of this
+ * file). Since the log level is not a VmAgent option, log_level is removed from
+ * the config.
  */
-vasync.waterfall([
-    function _createConfig(callback) {
-        var config = {};
+function applyLogLevel(config) {
+    var level = config.log_level || process.env.LOG_LEVEL || DEFAULT_LOG_LEVEL;
 
-        assert.func(callback, 'callback');
+    delete config.log_level;
+
+    try {
+        level = bunyan.resolveLevel(level);
+    } catch (e) {
+        logger.error(e, 'Invalid log_level, keeping current level');
+        return;
+    }
 
-        // This first function exists because the first function in the
-        // waterfall is "special" in that it doesn't get a first arg. So all we
-        // do here is create the config the other functions will add to.
+    if (level !== logger.level()) {
+        logger.info({level: bunyan.nameFromLevel[level]}, 'setting log level');
+        logger.level(level);
+    }
+}
+
+/*
+ * Loads the config from all our sources. The waterfall should be ordered by
+ * config precedence. Each of the functions will avoid clobbering keys, so the
+ * first value loaded by any of these functions for a given key will be the
+ * value in the final config object.
+ */
+function loadAllConfig(callback) {
+    assert.func(callback, 'callback');
+
+    vasync.waterfall([
+        function _createConfig(cb) {
+            var config = {};
+
+            assert.func(cb, 'cb');
+
+            // This first function exists because the first function in the
+            // waterfall is "special" in that it doesn't get a first arg. So all
+            // we do here is create the config the other functions will add to.
+            cb(null, config);
+        },
+        loadConfig,
+        loadSdcConfig,
+        loadSysinfo,
+        loadDefaults
+    ], function _waterfallComplete(err, config) {
+        var invalidErr;
+        var result;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        result = validateConfig(config);
+        if (result.warnings.length > 0) {
+            logger.warn({warnings: result.warnings},
+                'vm-agent configuration has unknown options');
+        }
+        if (result.errors.length > 0) {
+            invalidErr = new Error('invalid vm-agent configuration: ' +
+                result.errors.join('; '));
+            invalidErr.errors = result.errors;
+            callback(invalidErr);
+            return;
+        }
+
+        applyLogLevel(config);
         callback(null, config);
-    },
-    loadConfig,
-    loadSdcConfig,
-    loadSysinfo
-], function _waterfallComplete(err, config) {
-    var vmagent;
+    });
+}
+
+/*
+ * Loads the config again and applies whatever changed to vmagent. Errors are
+ * logged and otherwise ignored, leaving the current config in place.
+ */
+function reloadConfig(vmagent, reason) {
+    logger.info({reason: reason}, 'reloading vm-agent configuration');
+
+    loadAllConfig(function _onReload(err, config) {
+        var result;
+
+        if (err) {
+            logger.error(err, 'Failed to reload configuration');
+            return;
+        }
+
+        try {
+            result = vmagent.reloadConfig(config);
+        } catch (e) {
+            logger.error({err: e, config: config},
+                'Invalid configuration, not reloading');
+            return;
+        }
+
+        if (result.restartRequired.length > 0) {
+            logger.warn({options: result.restartRequired},
+                'some configuration changes require a restart of vm-agent');
+        }
+    });
+}
+
+/*
+ * Calls reloadConfig() when the config file changes. We watch the directory
+ * rather than the file itself since config-agent replaces the file.
+ */
+function watchConfig(vmagent) {
+    var reloadTimer = null;
+
+    try {
+        fs.watch(path.dirname(CONFIG_PATH), function _onChange(_evt, file) {
+            if (file && file !== path.basename(CONFIG_PATH)) {
+                return;
+            }
+            if (reloadTimer) {
+                clearTimeout(reloadTimer);
+            }
+            reloadTimer = setTimeout(function _reload() {
+                reloadTimer = null;
+                reloadConfig(vmagent, 'config file changed');
+            }, RELOAD_DELAY_MS);
+        });
+    } catch (e) {
+        // Not fatal, SIGHUP still works.
+        logger.warn(e, 'Could not watch config file: %s', CONFIG_PATH);
+    }
+}
+
+/*
+ * Implements --check-config (see the top of this file) and returns the exit
+ * code.
+ */
+function checkConfig(configPath) {
+    var config;
+    var result;
 
-    assert.ifError(err, 'Failed to load configuration');
-    assert.object(config, 'config');
-    assert.uuid(config.server_uuid, 'config.server_uuid');
-    assert.string(config.vmapi_url, 'config.vmapi_url');
-    assert.optionalNumber(config.periodic_interval);
-    assert.ok(!config.log, 'config.log must not be set');
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+        console.error('%s: %s', configPath, e.message);
+        return (1);
+    }
+
+    if (typeof (config) !== 'object' || config === null ||
+        Array.isArray(config)) {
+
+        console.error('%s: config must be a JSON object', configPath);
+        return (1);
+    }
+
+    // The file doesn't need the keys that come from config.sh and sysinfo.
+    result = validateConfig(config, {partial: true});
+
+    result.warnings.forEach(function _printWarning(msg) {
+        console.error('%s: warning: %s', configPath, msg);
+    });
+    result.errors.forEach(function _printError(msg) {
+        console.error('%s: error: %s', configPath, msg);
+    });
+
+    if (result.errors.length > 0) {
+        return (1);
+    }
+
+    console.log('%s: OK', configPath);
+    return (0);
+}
+
+function main() {
+    loadAllConfig(function _onConfig(err, config) {
+        if (err) {
+            logger.fatal({err: err, errors: err.errors},
+                'Failed to load configuration');
+            process.exit(1);
+        }
+
+        startAgent(config);
+    });
+}
+
+function startAgent(config) {
+    var vmagent;
 
     logger.info({config: config}, 'loaded vm-agent configuration');
 
@@ -182,4 +417,35 @@ vasync.waterfall([
     // Start the agent with our fresh config
     vmagent = new VmAgent(config);
     vmagent.start();
-});
+
+    // Allow operators to get at the internal state without restarting.
+    process.on('SIGUSR2', function _onSigusr2() {
+        logger.info({debug: vmagent.debugDump({summary: true})},
+            'debug dump (SIGUSR2)');
+    });
+
+    // SMF stops us with SIGTERM, stop cleanly so that any pending state file
+    // checkpoint gets written.
+    process.on('SIGTERM', function _onSigterm() {
+        logger.info('stopping (SIGTERM)');
+        vmagent.stop();
+        process.exit(0);
+    });
+
+    // Apply config changes without restarting.
+    process.on('SIGHUP', function _onSighup() {
+        reloadConfig(vmagent, 'SIGHUP');
+    });
+    watchConfig(vmagent);
+}
+
+if (process.argv[2] === '--check-config') {
+    process.exit(checkConfig(process.argv[3] || CONFIG_PATH));
+} else if (process.argv.length > 2) {
+    cli.main(process.argv.slice(2), {configPath: CONFIG_PATH},
+        function _onCliDone(code) {
+            process.exit(code);
+        });
+} else {
+    main();
+}
@@ -7,7 +7,7 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
@@ -27,21 +27,11 @@ var mocks = require('../tests/mocks');
 var VmWatcher = require('../lib/vm-watcher');
 
 var log = mocks.Logger;
-var types = ['VmCreated', 'VmModified', 'VmDeleted'];
+var types = ['VmCreated', 'VmModified', 'VmDeleted', 'VmStarted', 'VmStopped',
+    'VmRebooted', 'VmFailed', 'VmProvisioned'];
 var vmWatcher;
 
-log.trace = function _traceLog() {
-    var logobj;
-    var now = (new Date()).toISOString();
-
-    if (arguments[0] && arguments[0].modifiedFields) {
-        logobj = arguments[0];
-        console.log(now + ' [' + logobj.watcher + ']: ' + logobj.event + ' '
-            + logobj.vm + ' => ' + JSON.stringify(logobj.modifiedFields));
-    }
-};
-
-vmWatcher = new VmWatcher({log: mocks.Logger});
+vmWatcher = new VmWatcher({log: log});
 
 // each type gets its own closure
 types.forEach(function _watcherCb(type) {
@@ -51,4 +41,14 @@ types.forEach(function _watcherCb(type) {
     });
 });
 
+vmWatcher.on('VmChanged', function _onChanged(vmUuid, watcher, changes) {
+    var now = (new Date()).toISOString();
+
+    Object.keys(changes).forEach(function _printChange(field) {
+        console.log(now + ' [' + watcher + ']: ' + vmUuid + ' ' + field
+            + ': ' + JSON.stringify(changes[field].oldValue) + ' => '
+            + JSON.stringify(changes[field].newValue));
+    });
+});
+
 vmWatcher.start();
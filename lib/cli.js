@@ -0,0 +1,427 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module implements the "vm-agent <command>" CLI, which talks to a running
+ * vm-agent over its status API (see "Status API" in lib/vm-agent.js). The
+ * commands are:
+ *
+ *   status             readiness, event source, queue depth and failing VMs
+ *   resync [uuid...]   reload the VMs (all if none given) and send them in
+ *                      full to VMAPI
+ *   resync --diff      compare vmadm with all of VMAPI's VMs and resync only
+ *                      the VMs that differ
+ *   dump               the agent's known state (including each VM) as JSON
+ *   diff               the differences between vmadm and VMAPI, as found by
+ *                      the same comparison as the initial update
+ *
+ * Which socket or port to use is read from the 'status_socket' or 'status_port'
+ * option in the config file, unless given with --socket or --port. When the
+ * config file sets neither, bin/vm-agent.js serves the status API on
+ * DEFAULT_STATUS_SOCKET and that is used.
+ *
+ * main() calls callback(code) with the exit code rather than exiting itself: 0
+ * for success, 1 when the command failed and 2 for usage errors.
+ *
+ */
+
+var fs = require('fs');
+var http = require('http');
+
+var assert = require('assert-plus');
+
+
+var DEFAULT_STATUS_SOCKET = '/var/run/vm-agent.sock';
+var EXIT_ERROR = 1;
+var EXIT_OK = 0;
+var EXIT_USAGE = 2;
+var LOCALHOST = '127.0.0.1';
+// Long enough for "diff", which has to wait for both vmadm and VMAPI.
+var REQUEST_TIMEOUT_MS = 60000;
+
+var USAGE = [
+    'Usage: vm-agent [OPTIONS] COMMAND [ARGS...]',
+    '',
+    'Commands:',
+    '    status             show readiness, event source, queues and failures',
+    '    resync [UUID...]   reload VMs (all when none given) and send to VMAPI',
+    '    resync --diff      resync only the VMs that differ from VMAPI',
+    '    dump               print the known state of the agent as JSON',
+    '    diff               show differences between vmadm and VMAPI',
+    '',
+    'Options:',
+    '    -d, --diff         resync only the VMs that differ (resync)',
+    '    -h, --help         show this help',
+    '    -j, --json         print JSON output (status, diff and resync)',
+    '    -p, --port PORT    connect to the status API on 127.0.0.1:PORT',
+    '    -s, --socket PATH  connect to the status API on the unix socket PATH',
+    '',
+    'Without --port or --socket, the status_socket or status_port option in',
+    'the vm-agent config file is used, or ' + DEFAULT_STATUS_SOCKET +
+        ' when neither is set.'
+].join('\n');
+
+
+/*
+ * Parses argv (without the node and script arguments) and returns an object
+ * with the options, command and args. Throws an error for invalid usage.
+ */
+function parseArgs(argv) {
+    var arg;
+    var idx = 0;
+    var parsed = {
+        args: [],
+        command: null,
+        diff: false,
+        help: false,
+        json: false
+    };
+
+    function _optArg() {
+        if (idx + 1 >= argv.length) {
+            throw (new Error('option ' + arg + ' requires an argument'));
+        }
+        idx++;
+        return (argv[idx]);
+    }
+
+    for (idx = 0; idx < argv.length; idx++) {
+        arg = argv[idx];
+
+        if (arg === '-d' || arg === '--diff') {
+            parsed.diff = true;
+        } else if (arg === '-h' || arg === '--help') {
+            parsed.help = true;
+        } else if (arg === '-j' || arg === '--json') {
+            parsed.json = true;
+        } else if (arg === '-p' || arg === '--port') {
+            parsed.port = Number(_optArg());
+            if (!(parsed.port > 0 && parsed.port < 65536 &&
+                Math.floor(parsed.port) === parsed.port)) {
+
+                throw (new Error('invalid port: ' + argv[idx]));
+            }
+        } else if (arg === '-s' || arg === '--socket') {
+            parsed.socket = _optArg();
+        } else if (arg.charAt(0) === '-') {
+            throw (new Error('unknown option: ' + arg));
+        } else if (parsed.command === null) {
+            parsed.command = arg;
+        } else {
+            parsed.args.push(arg);
+        }
+    }
+
+    return (parsed);
+}
+
+/*
+ * Returns the http.request() options for reaching the status API, either from
+ * the command line or from the config file at configPath.
+ */
+function findStatusApi(parsed, configPath) {
+    var config;
+
+    if (parsed.socket) {
+        return ({socketPath: parsed.socket});
+    }
+    if (parsed.port) {
+        return ({host: LOCALHOST, port: parsed.port});
+    }
+
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+        throw (new Error('could not load ' + configPath + ': ' + e.message));
+    }
+
+    if (config.status_socket) {
+        return ({socketPath: config.status_socket});
+    }
+    if (config.status_port) {
+        return ({host: LOCALHOST, port: config.status_port});
+    }
+
+    return ({socketPath: DEFAULT_STATUS_SOCKET});
+}
+
+/*
+ * Makes a request to the status API and calls callback(err, result) with the
+ * parsed JSON response. Error responses from the API become errors with the
+ * code and message from the response.
+ */
+function apiRequest(opts, callback) {
+    var body;
+    var req;
+    var reqOpts = {
+        headers: {},
+        host: opts.api.host,
+        method: opts.method,
+        path: opts.path,
+        port: opts.api.port,
+        socketPath: opts.api.socketPath
+    };
+
+    if (opts.body !== undefined) {
+        body = JSON.stringify(opts.body);
+        reqOpts.headers['content-type'] = 'application/json';
+        reqOpts.headers['content-length'] = Buffer.byteLength(body);
+    }
+
+    req = http.request(reqOpts, function _onResponse(res) {
+        var data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function _onData(chunk) {
+            data += chunk;
+        });
+        res.on('end', function _onEnd() {
+            var result;
+
+            try {
+                result = JSON.parse(data);
+            } catch (e) {
+                callback(new Error('invalid response from vm-agent: ' +
+                    e.message));
+                return;
+            }
+
+            if (res.statusCode >= 400) {
+                callback(new Error(result.code + ': ' + result.message));
+                return;
+            }
+
+            callback(null, result);
+        });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, function _onTimeout() {
+        req.abort();
+    });
+    req.on('error', function _onError(err) {
+        callback(new Error('could not reach vm-agent: ' + err.message));
+    });
+    req.end(body);
+}
+
+/*
+ * Returns the human-readable lines for the result of GET /status.
+ */
+function formatStatus(status) {
+    var failing = Object.keys(status.retryDelays).sort();
+    var lines = [];
+
+    function _line(label, value) {
+        lines.push((label + ':                ').substr(0, 16) + value);
+    }
+
+    _line('server', status.server_uuid);
+    _line('version', status.version);
+    _line('ready', status.ready);
+    _line('dry run', status.dryRun);
+    _line('event source', status.eventSource || '-');
+    _line('VMAPI circuit', (status.circuitOpen ? 'open' : 'closed'));
+    _line('known VMs', status.lastSeenVms);
+    _line('queued', status.queued.length);
+    _line('in flight', status.inflight.length);
+    _line('deferred', status.deferred.length);
+    _line('parked', status.parked.length);
+    _line('failing VMs', failing.length);
+
+    failing.forEach(function _addFailing(vmUuid) {
+        lines.push('    ' + vmUuid + '  retry delay ' +
+            status.retryDelays[vmUuid].delay + 'ms' +
+            (status.retryDelays[vmUuid].retryPending ? ' (pending)' : ''));
+    });
+
+    return (lines);
+}
+
+/*
+ * Returns the human-readable lines for the result of GET /diff.
+ */
+function formatDiff(vmDiffs) {
+    var lines = [];
+    var vmUuids = Object.keys(vmDiffs).sort();
+
+    if (vmUuids.length === 0) {
+        return (['no differences between vmadm and VMAPI']);
+    }
+
+    vmUuids.forEach(function _addVm(vmUuid) {
+        var fields = vmDiffs[vmUuid].fields;
+
+        if (vmDiffs[vmUuid].missing) {
+            lines.push(vmUuid + ': missing from ' + vmDiffs[vmUuid].missing);
+            return;
+        }
+
+        lines.push(vmUuid + ':');
+        Object.keys(fields).sort().forEach(function _addField(field) {
+            lines.push('    ' + field + ': vmadm ' +
+                JSON.stringify(fields[field].vmadm) + ', vmapi ' +
+                JSON.stringify(fields[field].vmapi));
+        });
+    });
+
+    return (lines);
+}
+
+var COMMANDS = {
+    diff: function _diff(parsed, api, print, callback) {
+        apiRequest({api: api, method: 'GET', path: '/diff'},
+            function _onDiff(err, vmDiffs) {
+                if (!err) {
+                    print(parsed.json ? [JSON.stringify(vmDiffs, null, 2)] :
+                        formatDiff(vmDiffs));
+                }
+                callback(err);
+            });
+    },
+    dump: function _dump(_parsed, api, print, callback) {
+        apiRequest({api: api, method: 'GET', path: '/dump'},
+            function _onDump(err, dump) {
+                if (!err) {
+                    print([JSON.stringify(dump, null, 2)]);
+                }
+                callback(err);
+            });
+    },
+    resync: function _resync(parsed, api, print, callback) {
+        apiRequest({
+            api: api,
+            body: (parsed.diff ? {diff: true} : {vms: parsed.args}),
+            method: 'POST',
+            path: '/resync'
+        }, function _onResync(err, result) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (parsed.json) {
+                print([JSON.stringify(result, null, 2)]);
+            } else {
+                print((result.diff ? formatDiff(result.diff) : []).concat(
+                    'queued ' + result.vms.length + ' VM(s) for resync',
+                    result.vms.map(function _indent(vmUuid) {
+                        return ('    ' + vmUuid);
+                    })));
+            }
+            callback();
+        });
+    },
+    status: function _status(parsed, api, print, callback) {
+        apiRequest({api: api, method: 'GET', path: '/status'},
+            function _onStatus(err, status) {
+                if (!err) {
+                    print(parsed.json ? [JSON.stringify(status, null, 2)] :
+                        formatStatus(status));
+                }
+                callback(err);
+            });
+    }
+};
+
+/*
+ * Runs the CLI with argv (without the node and script arguments). opts has:
+ *
+ *   configPath  the vm-agent config file to find the status API in
+ *   stdout      (optional) stream for output, default process.stdout
+ *   stderr      (optional) stream for errors, default process.stderr
+ *
+ * and callback(code) is called with the exit code.
+ */
+function main(argv, opts, callback) {
+    var api;
+    var parsed;
+    var stderr;
+    var stdout;
+
+    assert.arrayOfString(argv, 'argv');
+    assert.object(opts, 'opts');
+    assert.string(opts.configPath, 'opts.configPath');
+    assert.optionalObject(opts.stderr, 'opts.stderr');
+    assert.optionalObject(opts.stdout, 'opts.stdout');
+    assert.func(callback, 'callback');
+
+    stderr = opts.stderr || process.stderr;
+    stdout = opts.stdout || process.stdout;
+
+    function _print(lines) {
+        stdout.write(lines.join('\n') + '\n');
+    }
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        stderr.write('vm-agent: ' + e.message + '\n' + USAGE + '\n');
+        callback(EXIT_USAGE);
+        return;
+    }
+
+    if (parsed.help) {
+        _print([USAGE]);
+        callback(EXIT_OK);
+        return;
+    }
+
+    if (!COMMANDS.hasOwnProperty(parsed.command)) {
+        stderr.write('vm-agent: ' + (parsed.command === null ?
+            'missing command' : 'unknown command: ' + parsed.command) +
+            '\n' + USAGE + '\n');
+        callback(EXIT_USAGE);
+        return;
+    }
+
+    if (parsed.command !== 'resync' && parsed.args.length > 0) {
+        stderr.write('vm-agent: ' + parsed.command +
+            ' takes no arguments\n' + USAGE + '\n');
+        callback(EXIT_USAGE);
+        return;
+    }
+
+    if (parsed.diff && (parsed.command !== 'resync' ||
+        parsed.args.length > 0)) {
+
+        stderr.write('vm-agent: --diff can only be used with resync and no ' +
+            'VMs\n' + USAGE + '\n');
+        callback(EXIT_USAGE);
+        return;
+    }
+
+    try {
+        api = findStatusApi(parsed, opts.configPath);
+    } catch (e) {
+        stderr.write('vm-agent: ' + e.message + '\n');
+        callback(EXIT_ERROR);
+        return;
+    }
+
+    COMMANDS[parsed.command](parsed, api, _print, function _onDone(err) {
+        if (err) {
+            stderr.write('vm-agent ' + parsed.command + ': ' + err.message +
+                '\n');
+            callback(EXIT_ERROR);
+            return;
+        }
+
+        callback(EXIT_OK);
+    });
+}
+
+
+module.exports = {
+    COMMANDS: Object.keys(COMMANDS),
+    DEFAULT_STATUS_SOCKET: DEFAULT_STATUS_SOCKET,
+    formatDiff: formatDiff,
+    formatStatus: formatStatus,
+    main: main
+};
@@ -0,0 +1,304 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the schema for the vm-agent config (as loaded by
+ * bin/vm-agent.js from the config file written by config-agent, config.sh and
+ * sysinfo) and validateConfig() which checks a config against it.
+ *
+ * Each key in SCHEMA is a supported config option, whose value describes the
+ * values the option can have:
+ *
+ *   type      one of: 'array', 'boolean', 'number', 'object', 'string',
+ *             'uuid' or 'url', or an array of these if more than one type is
+ *             allowed
+ *   items     for arrays, the type of the elements
+ *   integer   for numbers, true if the value must be an integer
+ *   min, max  for numbers, the smallest and largest allowed values
+ *   values    the allowed values
+ *   required  true if vm-agent can't start without this option
+ *
+ * When adding an option to VmAgent (or bin/vm-agent.js), it should also be
+ * added here, otherwise it will be warned about as unknown.
+ *
+ * Each entry in the 'sinks' array is checked in the same way against the
+ * schema in SINK_SCHEMAS for its 'type' (see "Sinks" in lib/vm-agent.js).
+ * validateSink() does this for a single entry.
+ *
+ * validateConfig() returns all the problems it finds rather than stopping at
+ * the first one, as an object with:
+ *
+ *   errors    an array of messages for values which are invalid, e.g.
+ *             'periodic_interval: must be a number (got string "60s")' or
+ *             'sinks[0].path: is required but was not set'
+ *   warnings  an array of messages for keys which are not in the SCHEMA
+ *
+ */
+
+var assert = require('assert-plus');
+
+
+var LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+var URL_RE = /^https?:\/\/[^\s/]+/;
+
+// How each type is described in error messages.
+var TYPE_NAMES = {
+    array: 'an array',
+    boolean: 'a boolean',
+    number: 'a number',
+    object: 'an object',
+    string: 'a string',
+    url: 'a URL (http://...)',
+    uuid: 'a UUID'
+};
+
+var SCHEMA = {
+    cueballHttpAgent: {type: 'object'},
+    debug_duplicates: {type: 'boolean'},
+    dry_run: {type: 'boolean'},
+    dry_run_report: {type: 'string'},
+    journal_file: {type: 'string'},
+    log_level: {type: 'string', values: LOG_LEVELS},
+    metrics_port: {type: 'number', integer: true, min: 1, max: 65535},
+    no_rabbit: {type: 'boolean'},
+    periodic_fields: {type: ['array', 'string'], items: 'string'},
+    periodic_interval: {type: 'number', integer: true, min: 1},
+    periodic_max_interval: {type: 'number', integer: true, min: 1},
+    periodic_min_interval: {type: 'number', integer: true, min: 1},
+    server_uuid: {type: 'uuid', required: true},
+    sinks: {type: 'array'},
+    state_file: {type: 'string'},
+    status_port: {type: 'number', integer: true, min: 1, max: 65535},
+    status_socket: {type: 'string'},
+    task_lock_dir: {type: 'string'},
+    update_batch_window: {type: 'number', min: 0},
+    update_concurrency: {type: 'number', integer: true, min: 1},
+    vm_history_size: {type: 'number', integer: true, min: 0},
+    vmadm_events_sweep_interval: {type: 'number', integer: true, min: 0},
+    vmapi_circuit_threshold: {type: 'number', integer: true, min: 1},
+    vmapi_update_mode: {type: 'string', values: ['patch', 'put']},
+    vmapi_url: {type: 'url', required: true}
+};
+
+// The options for each type of sink, in addition to 'type'.
+var SINK_SCHEMAS = {
+    file: {
+        path: {type: 'string', required: true}
+    },
+    vmapi: {
+        url: {type: 'url', required: true}
+    },
+    webhook: {
+        retries: {type: 'number', integer: true, min: 0},
+        secret: {type: 'string'},
+        url: {type: 'url', required: true}
+    }
+};
+
+
+/*
+ * Returns a description of value for error messages, e.g. 'string "60s"'.
+ */
+function describeValue(value) {
+    var type = (Array.isArray(value) ? 'array' :
+        (value === null ? 'null' : typeof (value)));
+
+    if (type === 'object' || type === 'array') {
+        return (type);
+    }
+
+    return (type + ' ' + JSON.stringify(value));
+}
+
+/*
+ * Returns true if value is of the schema type.
+ */
+function isType(value, type) {
+    switch (type) {
+        case 'array':
+            return (Array.isArray(value));
+        case 'boolean':
+            return (typeof (value) === 'boolean');
+        case 'number':
+            return (typeof (value) === 'number' && isFinite(value));
+        case 'object':
+            return (typeof (value) === 'object' && value !== null &&
+                !Array.isArray(value));
+        case 'string':
+            return (typeof (value) === 'string');
+        case 'url':
+            return (typeof (value) === 'string' && URL_RE.test(value));
+        case 'uuid':
+            return (typeof (value) === 'string' && UUID_RE.test(value));
+        default:
+            throw (new Error('unknown schema type: ' + type));
+    }
+}
+
+/*
+ * Returns the error message (without the key) for value according to spec,
+ * or null if value is valid.
+ */
+function checkValue(value, spec) {
+    var badItems;
+    var types = [].concat(spec.type);
+
+    if (!types.some(function _matches(type) {
+        return (isType(value, type));
+    })) {
+        return ('must be ' + types.map(function _typeName(type) {
+            return (TYPE_NAMES[type]);
+        }).join(' or ') + ' (got ' + describeValue(value) + ')');
+    }
+
+    if (Array.isArray(value) && spec.items) {
+        badItems = value.filter(function _badItem(item) {
+            return (!isType(item, spec.items));
+        });
+        if (badItems.length > 0) {
+            return ('must only contain elements of type ' + spec.items +
+                ' (got ' + badItems.map(describeValue).join(', ') + ')');
+        }
+    }
+
+    if (typeof (value) === 'number') {
+        if (spec.integer && Math.floor(value) !== value) {
+            return ('must be an integer (got ' + value + ')');
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            return ('must be >= ' + spec.min + ' (got ' + value + ')');
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            return ('must be <= ' + spec.max + ' (got ' + value + ')');
+        }
+    }
+
+    if (spec.values && spec.values.indexOf(value) === -1) {
+        return ('must be one of: ' + spec.values.join(', ') + ' (got ' +
+            describeValue(value) + ')');
+    }
+
+    return (null);
+}
+
+/*
+ * Checks each key of obj against schema, adding messages for any problems to
+ * result.errors and result.warnings. Each message starts with prefix and the
+ * key. Missing required keys are only errors if checkRequired is true.
+ */
+function checkKeys(obj, schema, prefix, checkRequired, result) {
+    Object.keys(obj).sort().forEach(function _checkKey(key) {
+        var msg;
+
+        if (!schema.hasOwnProperty(key)) {
+            result.warnings.push(prefix + key +
+                ': unknown config option, ignoring');
+            return;
+        }
+
+        msg = checkValue(obj[key], schema[key]);
+        if (msg !== null) {
+            result.errors.push(prefix + key + ': ' + msg);
+        }
+    });
+
+    if (checkRequired) {
+        Object.keys(schema).forEach(function _checkRequired(key) {
+            if (schema[key].required && !obj.hasOwnProperty(key)) {
+                result.errors.push(prefix + key +
+                    ': is required but was not set');
+            }
+        });
+    }
+}
+
+/*
+ * Checks a single entry from the 'sinks' option against the SINK_SCHEMAS for
+ * its type and returns {errors: [...], warnings: [...]} like
+ * validateConfig(). The messages start with prefix, e.g. 'sinks[0]'.
+ */
+function validateSink(sink, prefix) {
+    var result = {
+        errors: [],
+        warnings: []
+    };
+    var schema = {
+        type: {
+            type: 'string',
+            required: true,
+            values: Object.keys(SINK_SCHEMAS)
+        }
+    };
+
+    assert.string(prefix, 'prefix');
+
+    if (!isType(sink, 'object')) {
+        result.errors.push(prefix + ': must be an object (got ' +
+            describeValue(sink) + ')');
+        return (result);
+    }
+
+    if (SINK_SCHEMAS.hasOwnProperty(sink.type)) {
+        Object.keys(SINK_SCHEMAS[sink.type]).forEach(function _addKey(key) {
+            schema[key] = SINK_SCHEMAS[sink.type][key];
+        });
+    }
+
+    checkKeys(sink, schema, prefix + '.', true, result);
+
+    return (result);
+}
+
+/*
+ * Checks config against SCHEMA and returns {errors: [...], warnings: [...]}
+ * (see the top of this file). When opts.partial is true, missing required
+ * keys are not errors. That's for checking a config file by itself, since
+ * some of the required keys normally come from other sources.
+ */
+function validateConfig(config, opts) {
+    var result = {
+        errors: [],
+        warnings: []
+    };
+
+    assert.object(config, 'config');
+    assert.optionalObject(opts, 'opts');
+
+    checkKeys(config, SCHEMA, '', !opts || !opts.partial, result);
+
+    if (Array.isArray(config.sinks)) {
+        config.sinks.forEach(function _checkSink(sink, idx) {
+            var sinkResult = validateSink(sink, 'sinks[' + idx + ']');
+
+            result.errors = result.errors.concat(sinkResult.errors);
+            result.warnings = result.warnings.concat(sinkResult.warnings);
+        });
+    }
+
+    // The periodic watcher's interval adapts between these two.
+    if (isType(config.periodic_min_interval, 'number') &&
+        isType(config.periodic_max_interval, 'number') &&
+        config.periodic_min_interval > config.periodic_max_interval) {
+
+        result.errors.push('periodic_min_interval: must be <= ' +
+            'periodic_max_interval (got ' + config.periodic_min_interval +
+            ' > ' + config.periodic_max_interval + ')');
+    }
+
+    return (result);
+}
+
+
+module.exports = {
+    SCHEMA: SCHEMA,
+    validateConfig: validateConfig,
+    validateSink: validateSink
+};
@@ -0,0 +1,237 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the DryRunClient which VmAgent uses in place of its
+ * VmapiClient when the 'dry_run' option is set (see "Dry Run" in
+ * lib/vm-agent.js). It wraps the real VmapiClient and has the same methods,
+ * but only getVms() and getVm() are passed through. Each VM that would have
+ * been sent with updateServerVms(), updateVm() or patchVm() is instead
+ * recorded, along with how it differs from VMAPI's copy, as an entry like:
+ *
+ *   {
+ *       "time": "<ISO timestamp>",
+ *       "action": "updateServerVms" | "updateVm" | "patchVm",
+ *       "vm_uuid": "<uuid>",
+ *       "vm": <vmobj, or the fields for patchVm>,
+ *       "diff": {"missing": "vmapi"} | {"fields": {...}}
+ *   }
+ *
+ * where diff is in the same form as the entries from "GET /diff". When
+ * opts.reportPath is set, the entries are appended to that file, one JSON
+ * object per line. Otherwise they're logged at "info" level.
+ *
+ * VMAPI's copy of each VM is the one from the last getVms(). Since nothing is
+ * sent to VMAPI, that is what VMAPI still has unless something else changed
+ * the VM since. VMs that VMAPI had not returned are reported as missing.
+ *
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var util = require('util');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var vasync = require('vasync');
+
+
+function DryRunClient(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.client, 'opts.client');
+    assert.func(opts.diffVm, 'opts.diffVm');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.reportPath, 'opts.reportPath');
+
+    // Initialize necessary properties from `EventEmitter` in this instance
+    EventEmitter.call(self);
+
+    self.client = opts.client;
+    self.diffVm = opts.diffVm;
+    self.log = opts.log;
+    self.reportPath = opts.reportPath;
+    self.vmapiVms = {};
+
+    // We're not going to find out whether VMAPI supports PATCH, so we record
+    // PATCHes when VmAgent would try them.
+    self.supportsPatch = true;
+
+    // The circuit only follows the results of getVms() and getVm(), since
+    // those are the only requests we send to VMAPI.
+    self.circuitOpen = self.client.circuitOpen;
+    self.client.on('circuitOpen', function _onCircuitOpen() {
+        self.circuitOpen = true;
+        self.emit('circuitOpen');
+    });
+    self.client.on('circuitClose', function _onCircuitClose() {
+        self.circuitOpen = false;
+        self.emit('circuitClose');
+    });
+
+    // Entries are appended one at a time so that they stay in order.
+    self.reportQueue = vasync.queue(function _appendEntries(lines, cb) {
+        fs.appendFile(self.reportPath, lines, function _onAppend(err) {
+            if (err) {
+                self.log.error({err: err, path: self.reportPath},
+                    'failed to write dry run report');
+            }
+            cb();
+        });
+    }, 1);
+}
+util.inherits(DryRunClient, EventEmitter);
+
+/*
+ * Writes entries to the report file (or the log) as described at the top of
+ * this file.
+ */
+DryRunClient.prototype.record = function record(entries) {
+    var self = this;
+
+    assert.arrayOfObject(entries, 'entries');
+
+    if (!self.reportPath) {
+        entries.forEach(function _logEntry(entry) {
+            self.log.info({dryRun: entry},
+                'dry run: not sending VM to VMAPI');
+        });
+        return;
+    }
+
+    self.reportQueue.push(entries.map(function _toLine(entry) {
+        return (JSON.stringify(entry) + '\n');
+    }).join(''));
+};
+
+/*
+ * Returns the entry for sending the whole vmobj with action.
+ */
+DryRunClient.prototype.putEntry = function putEntry(action, vmobj) {
+    var self = this;
+
+    return ({
+        time: (new Date()).toISOString(),
+        action: action,
+        vm_uuid: vmobj.uuid,
+        vm: vmobj,
+        diff: self.diffVm(vmobj, self.vmapiVms[vmobj.uuid])
+    });
+};
+
+DryRunClient.prototype.updateServerVms = // eslint-disable-line
+function updateServerVms(server, vms, callback) {
+    var self = this;
+
+    assert.uuid(server, 'server');
+    assert.object(vms, 'vms');
+    assert.func(callback, 'callback');
+
+    self.record(Object.keys(vms).map(function _toEntry(vmUuid) {
+        return (self.putEntry('updateServerVms', vms[vmUuid]));
+    }));
+
+    setImmediate(callback);
+};
+
+DryRunClient.prototype.updateVm = function updateVm(vm, callback) {
+    var self = this;
+
+    assert.object(vm, 'vm');
+    assert.uuid(vm.uuid, 'vm.uuid');
+    assert.func(callback, 'callback');
+
+    self.record([self.putEntry('updateVm', vm)]);
+
+    setImmediate(callback);
+};
+
+/*
+ * Since a PATCH only has the fields that changed, and never removes any
+ * others, those fields are compared with VMAPI's copy directly.
+ */
+DryRunClient.prototype.patchVm = function patchVm(vmUuid, fields, callback) {
+    var self = this;
+    var vmapiVm = self.vmapiVms[vmUuid];
+    var vmDiff;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(fields, 'fields');
+    assert.func(callback, 'callback');
+
+    if (!vmapiVm) {
+        vmDiff = {missing: 'vmapi'};
+    } else {
+        vmDiff = {fields: {}};
+        Object.keys(fields).forEach(function _diffField(field) {
+            if (!jsprim.deepEqual(fields[field], vmapiVm[field])) {
+                vmDiff.fields[field] = {
+                    vmadm: fields[field],
+                    vmapi: vmapiVm[field]
+                };
+            }
+        });
+    }
+
+    self.record([ {
+        time: (new Date()).toISOString(),
+        action: 'patchVm',
+        vm_uuid: vmUuid,
+        vm: fields,
+        diff: vmDiff
+    } ]);
+
+    setImmediate(callback);
+};
+
+/*
+ * Gets this server's VMs from VMAPI, and keeps them to compare with.
+ */
+DryRunClient.prototype.getVms = function getVms(server, callback) {
+    var self = this;
+
+    assert.uuid(server, 'server');
+    assert.func(callback, 'callback');
+
+    self.client.getVms(server, function _onGetVms(err, vmobjs) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.vmapiVms = {};
+        vmobjs.forEach(function _keepVm(vmobj) {
+            self.vmapiVms[vmobj.uuid] = jsprim.deepCopy(vmobj);
+        });
+
+        callback(null, vmobjs);
+    });
+};
+
+DryRunClient.prototype.getVm = function getVm(vmUuid, callback) {
+    var self = this;
+
+    self.client.getVm(vmUuid, callback);
+};
+
+DryRunClient.prototype.reconnect = function reconnect(opts) {
+    var self = this;
+
+    self.client.reconnect(opts);
+};
+
+DryRunClient.prototype.stopProbe = function stopProbe() {
+    var self = this;
+
+    self.client.stopProbe();
+};
+
+module.exports = DryRunClient;
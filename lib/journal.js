@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the Journal object which VmAgent uses to durably record
+ * which VMs have updates that have not yet been delivered to VMAPI, so that
+ * they are not lost if vm-agent is restarted while VMAPI is unavailable.
+ *
+ * The journal file is append-only, with one JSON record per line:
+ *
+ *   {"uuid": "<uuid>"}
+ *   {"uuid": "<uuid>", "tombstone": <vmobj>}
+ *
+ * the first form is for a VM that exists and so can be loaded again from
+ * vmadm when we replay the journal. The second is for a VM that was deleted,
+ * where the tombstone is the last object we have for the VM (with state
+ * 'destroyed') which is what we need to send to VMAPI.
+ *
+ * When updates have been delivered, the entries are removed and the journal is
+ * compacted by writing the remaining entries to a temporary file which is then
+ * renamed over the journal. All writes are serialized so that an append can
+ * never be lost by a concurrent compaction.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+
+function Journal(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+
+    // Yay bunyan!
+    self.log = opts.log;
+
+    self.path = opts.path;
+
+    // uuid -> record for all VMs with undelivered updates
+    self.pending = {};
+
+    // All writes go through this queue one at a time. Each task is a function
+    // that takes a callback.
+    self.writeQueue = vasync.queue(function _runWrite(writeFn, cb) {
+        writeFn(cb);
+    }, 1);
+}
+
+/*
+ * Calls fn(callback) and if that fails with ENOENT, creates the directory for
+ * the journal and tries once more.
+ */
+function withMkdir(journalPath, fn, callback) {
+    fn(function _onFirstTry(err) {
+        if (err && err.code === 'ENOENT') {
+            fs.mkdir(path.dirname(journalPath), function _onMkdir(e) {
+                if (e && e.code !== 'EEXIST') {
+                    callback(e);
+                    return;
+                }
+                fn(callback);
+            });
+            return;
+        }
+        callback(err);
+    });
+}
+
+/*
+ * Writes content to filename, ensuring it has reached disk before calling
+ * callback(err). The file is appended to when flags is 'a'.
+ */
+function writeDurably(filename, flags, content, callback) {
+    fs.open(filename, flags, function _onOpen(err, fd) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        fs.write(fd, content, function _onWrite(writeErr) {
+            if (writeErr) {
+                fs.close(fd, function _onClose() {
+                    callback(writeErr);
+                });
+                return;
+            }
+
+            fs.fsync(fd, function _onFsync(syncErr) {
+                fs.close(fd, function _onClose(closeErr) {
+                    callback(syncErr || closeErr);
+                });
+            });
+        });
+    });
+}
+
+/*
+ * Reads the journal from disk and calls:
+ *
+ *   callback(err, records)
+ *
+ * where records is an array of the {uuid: <uuid>, tombstone: <vmobj>} records
+ * for the VMs that still have undelivered updates. (tombstone will only be set
+ * for deleted VMs)
+ */
+Journal.prototype.load = function load(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    fs.readFile(self.path, 'utf8', function _onRead(err, content) {
+        if (err) {
+            if (err.code === 'ENOENT') {
+                self.log.info({path: self.path}, 'no journal found');
+                callback(null, []);
+                return;
+            }
+            callback(err);
+            return;
+        }
+
+        content.split('\n').forEach(function _parseLine(line) {
+            var record;
+
+            if (line.length === 0) {
+                return;
+            }
+
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                // Most likely a partial write when we crashed, the rest of
+                // the journal is still useful.
+                self.log.warn({err: e, path: self.path},
+                    'ignoring unparsable journal record');
+                return;
+            }
+
+            if (!record || typeof (record.uuid) !== 'string') {
+                self.log.warn({record: record, path: self.path},
+                    'ignoring invalid journal record');
+                return;
+            }
+
+            // A tombstone is never replaced by a plain record, since once a
+            // VM is deleted the tombstone is all we've got.
+            if (!record.tombstone && self.pending[record.uuid]) {
+                return;
+            }
+            self.pending[record.uuid] = record;
+        });
+
+        callback(null, self.pendingRecords());
+    });
+};
+
+/*
+ * Returns the array of records for VMs with undelivered updates.
+ */
+Journal.prototype.pendingRecords = function pendingRecords() {
+    var self = this;
+
+    return (Object.keys(self.pending).map(function _getRecord(vmUuid) {
+        return (self.pending[vmUuid]);
+    }));
+};
+
+/*
+ * Adds VMs to the journal. vmobjs is an array of the VM objects we're about to
+ * send to VMAPI. Those with state 'destroyed' are recorded with a tombstone.
+ * Calls callback(err) once the records are on disk.
+ */
+Journal.prototype.add = function add(vmobjs, callback) {
+    var self = this;
+    var lines = [];
+
+    assert.arrayOfObject(vmobjs, 'vmobjs');
+    assert.func(callback, 'callback');
+
+    vmobjs.forEach(function _addRecord(vmobj) {
+        var record = {uuid: vmobj.uuid};
+
+        assert.uuid(vmobj.uuid, 'vmobj.uuid');
+
+        if (vmobj.state === 'destroyed') {
+            record.tombstone = vmobj;
+        } else if (self.pending[vmobj.uuid]) {
+            // Already in the journal, nothing new to record.
+            return;
+        }
+
+        self.pending[vmobj.uuid] = record;
+        lines.push(JSON.stringify(record) + '\n');
+    });
+
+    if (lines.length === 0) {
+        setImmediate(callback);
+        return;
+    }
+
+    self.writeQueue.push(function _append(cb) {
+        withMkdir(self.path, function _tryAppend(next) {
+            writeDurably(self.path, 'a', lines.join(''), next);
+        }, cb);
+    }, callback);
+};
+
+/*
+ * Removes VMs whose updates have been delivered from the journal and compacts
+ * the journal file. Calls callback(err) when complete.
+ */
+Journal.prototype.remove = function remove(vmUuids, callback) {
+    var self = this;
+    var removed = false;
+
+    assert.arrayOfString(vmUuids, 'vmUuids');
+    assert.func(callback, 'callback');
+
+    vmUuids.forEach(function _removeRecord(vmUuid) {
+        if (self.pending.hasOwnProperty(vmUuid)) {
+            delete self.pending[vmUuid];
+            removed = true;
+        }
+    });
+
+    if (!removed) {
+        setImmediate(callback);
+        return;
+    }
+
+    self.writeQueue.push(function _compact(cb) {
+        var tmpPath = self.path + '.' + process.pid + '.tmp';
+
+        // We write the current set of pending records rather than the ones
+        // at the time remove() was called, since more may have been added.
+        var content = self.pendingRecords().map(function _fmtRecord(record) {
+            return (JSON.stringify(record) + '\n');
+        }).join('');
+
+        writeDurably(tmpPath, 'w', content, function _onWrite(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            fs.rename(tmpPath, self.path, cb);
+        });
+    }, callback);
+};
+
+module.exports = Journal;
@@ -0,0 +1,222 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the Metrics object which keeps track of counters,
+ * gauges and histograms for vm-agent and can render them in the Prometheus
+ * text exposition format.
+ *
+ * Metrics must be declared (with addCounter(), addGauge() or addHistogram())
+ * before they are used. Each metric can then be updated with a set of labels,
+ * for example:
+ *
+ *   metrics.addCounter('vm_agent_watcher_events_total', 'Events seen');
+ *   metrics.increment('vm_agent_watcher_events_total',
+ *       {event: 'modify', watcher: 'fs'});
+ *
+ * Gauges are not set directly, instead a function is passed to addGauge() and
+ * that is called to get the current value whenever the metrics are rendered.
+ *
+ */
+
+var assert = require('assert-plus');
+
+
+// Default histogram buckets (in seconds)
+var DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+
+function Metrics() {
+    var self = this;
+
+    // name -> {help: <string>, type: <string>, ...}
+    self.metrics = {};
+}
+
+function escapeLabelValue(value) {
+    return (String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"'));
+}
+
+/*
+ * Turns a labels object like {b: 2, a: 1} into the string 'a="1",b="2"'. Keys
+ * are sorted so that the same set of labels always results in the same string
+ * which we can then use as a key for the values.
+ */
+function labelString(labels) {
+    return (Object.keys(labels || {}).sort().map(function _fmtLabel(key) {
+        return (key + '="' + escapeLabelValue(labels[key]) + '"');
+    }).join(','));
+}
+
+function sampleLine(name, labelStr, value) {
+    return (name + (labelStr ? '{' + labelStr + '}' : '') + ' ' + value);
+}
+
+Metrics.prototype.addMetric = function addMetric(name, type, help, extra) {
+    var self = this;
+
+    assert.string(name, 'name');
+    assert.string(type, 'type');
+    assert.string(help, 'help');
+    assert.ok(!self.metrics.hasOwnProperty(name),
+        'metric ' + name + ' already exists');
+
+    self.metrics[name] = extra;
+    self.metrics[name].help = help;
+    self.metrics[name].type = type;
+};
+
+Metrics.prototype.getMetric = function getMetric(name, type) {
+    var self = this;
+
+    assert.string(name, 'name');
+    assert.ok(self.metrics.hasOwnProperty(name), 'unknown metric ' + name);
+    assert.equal(self.metrics[name].type, type, 'metric ' + name + ' type');
+
+    return (self.metrics[name]);
+};
+
+Metrics.prototype.addCounter = function addCounter(name, help) {
+    var self = this;
+
+    self.addMetric(name, 'counter', help, {values: {}});
+};
+
+Metrics.prototype.addGauge = function addGauge(name, help, valueFn) {
+    var self = this;
+
+    assert.func(valueFn, 'valueFn');
+
+    self.addMetric(name, 'gauge', help, {valueFn: valueFn});
+};
+
+Metrics.prototype.addHistogram = function addHistogram(name, help, buckets) {
+    var self = this;
+
+    assert.optionalArrayOfNumber(buckets, 'buckets');
+
+    self.addMetric(name, 'histogram', help, {
+        buckets: (buckets || DEFAULT_BUCKETS).slice().sort(
+            function _numSort(a, b) {
+                return (a - b);
+            }),
+        values: {}
+    });
+};
+
+Metrics.prototype.increment = function increment(name, labels, value) {
+    var self = this;
+    var key;
+    var metric = self.getMetric(name, 'counter');
+
+    assert.optionalObject(labels, 'labels');
+    assert.optionalNumber(value, 'value');
+
+    key = labelString(labels);
+    if (!metric.values.hasOwnProperty(key)) {
+        metric.values[key] = 0;
+    }
+    metric.values[key] += (value === undefined ? 1 : value);
+};
+
+Metrics.prototype.observe = function observe(name, labels, value) {
+    var self = this;
+    var bucketIdx;
+    var key;
+    var metric = self.getMetric(name, 'histogram');
+    var values;
+
+    assert.optionalObject(labels, 'labels');
+    assert.number(value, 'value');
+
+    key = labelString(labels);
+    if (!metric.values.hasOwnProperty(key)) {
+        metric.values[key] = {
+            buckets: metric.buckets.map(function _zero() {
+                return (0);
+            }),
+            count: 0,
+            sum: 0
+        };
+    }
+    values = metric.values[key];
+
+    for (bucketIdx = 0; bucketIdx < metric.buckets.length; bucketIdx++) {
+        if (value <= metric.buckets[bucketIdx]) {
+            values.buckets[bucketIdx]++;
+        }
+    }
+    values.count++;
+    values.sum += value;
+};
+
+/*
+ * Returns the current value of a counter (for the specified labels) or 0 if
+ * the counter has not been incremented with these labels.
+ */
+Metrics.prototype.getCount = function getCount(name, labels) {
+    var self = this;
+    var key = labelString(labels);
+    var metric = self.getMetric(name, 'counter');
+
+    return (metric.values.hasOwnProperty(key) ? metric.values[key] : 0);
+};
+
+/*
+ * Render all the metrics in the Prometheus text exposition format.
+ */
+Metrics.prototype.toPrometheus = function toPrometheus() {
+    var self = this;
+    var lines = [];
+
+    Object.keys(self.metrics).sort().forEach(function _renderMetric(name) {
+        var metric = self.metrics[name];
+
+        lines.push('# HELP ' + name + ' ' + metric.help);
+        lines.push('# TYPE ' + name + ' ' + metric.type);
+
+        switch (metric.type) {
+            case 'counter':
+                Object.keys(metric.values).forEach(function _fmtValue(key) {
+                    lines.push(sampleLine(name, key, metric.values[key]));
+                });
+                break;
+            case 'gauge':
+                lines.push(sampleLine(name, '', metric.valueFn()));
+                break;
+            case 'histogram':
+                Object.keys(metric.values).forEach(function _fmtValue(key) {
+                    var prefix = (key ? key + ',' : '');
+                    var values = metric.values[key];
+
+                    metric.buckets.forEach(function _fmtBucket(le, idx) {
+                        lines.push(sampleLine(name + '_bucket',
+                            prefix + 'le="' + le + '"', values.buckets[idx]));
+                    });
+                    lines.push(sampleLine(name + '_bucket',
+                        prefix + 'le="+Inf"', values.count));
+                    lines.push(sampleLine(name + '_sum', key, values.sum));
+                    lines.push(sampleLine(name + '_count', key,
+                        values.count));
+                });
+                break;
+            default:
+                assert.ok(false, 'unknown metric type: ' + metric.type);
+                break;
+        }
+    });
+
+    return (lines.join('\n') + '\n');
+};
+
+module.exports = Metrics;
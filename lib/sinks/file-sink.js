@@ -0,0 +1,138 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the FileSink which is a sink (see the "Sinks" section
+ * in lib/vm-agent.js) that writes the VM objects for this CN to a local JSON
+ * file so that consumers on the CN can get the same objects vm-agent sends to
+ * VMAPI without having to talk to VMAPI.
+ *
+ * The file looks like:
+ *
+ *   {
+ *       "server_uuid": "<uuid>",
+ *       "updated": "<ISO timestamp>",
+ *       "vms": {
+ *           "<uuid>": <vmobj>,
+ *           ...
+ *       }
+ *   }
+ *
+ * Like VMAPI, destroyed VMs are kept (with state 'destroyed') so that
+ * consumers can see that they were destroyed.
+ *
+ * Every update rewrites the whole file by writing to a temporary file and
+ * renaming it over the existing one, so readers never see a partial file.
+ *
+ */
+
+var fs = require('fs');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var vasync = require('vasync');
+
+
+function FileSink(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+
+    // Yay bunyan!
+    self.log = opts.log;
+
+    self.name = 'file:' + opts.path;
+    self.path = opts.path;
+    self.serverUuid = null;
+    self.vms = {};
+
+    // Writes are done one at a time, each writing the current set of VMs.
+    self.writeQueue = vasync.queue(function _runWrite(_task, cb) {
+        self.write(cb);
+    }, 1);
+}
+
+FileSink.prototype.write = function write(callback) {
+    var self = this;
+    var content;
+    var tmpPath = self.path + '.' + process.pid + '.tmp';
+
+    content = JSON.stringify({
+        server_uuid: self.serverUuid,
+        updated: (new Date()).toISOString(),
+        vms: self.vms
+    }, null, 4) + '\n';
+
+    fs.writeFile(tmpPath, content, function _onWrite(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.rename(tmpPath, self.path, callback);
+    });
+};
+
+/*
+ * Updates all VMs for a server. Like VMAPI's PUT /vms?server_uuid=<uuid> any
+ * VMs not included are left as they were.
+ */
+FileSink.prototype.updateServerVms = // eslint-disable-line
+function updateServerVms(server, vms, callback) {
+    var self = this;
+
+    assert.uuid(server, 'server');
+    assert.object(vms, 'vms');
+    assert.func(callback, 'callback');
+
+    self.serverUuid = server;
+    Object.keys(vms).forEach(function _updateVm(vmUuid) {
+        self.vms[vmUuid] = jsprim.deepCopy(vms[vmUuid]);
+    });
+
+    self.writeQueue.push('write', callback);
+};
+
+/*
+ * Updates a single VM.
+ */
+FileSink.prototype.updateVm = function updateVm(vm, callback) {
+    var self = this;
+
+    assert.object(vm, 'vm');
+    assert.uuid(vm.uuid, 'vm.uuid');
+    assert.func(callback, 'callback');
+
+    self.vms[vm.uuid] = jsprim.deepCopy(vm);
+
+    self.writeQueue.push('write', callback);
+};
+
+/*
+ * Returns the VMs that are not destroyed, like VMAPI's
+ * GET /vms?server_uuid=<uuid>&state=active. (All the VMs in the file are for
+ * this server.)
+ */
+FileSink.prototype.getVms = function getVms(server, callback) {
+    var self = this;
+
+    assert.uuid(server, 'server');
+    assert.func(callback, 'callback');
+
+    setImmediate(callback, null, Object.keys(self.vms).map(
+        function _getVm(vmUuid) {
+            return (self.vms[vmUuid]);
+        }).filter(function _isActive(vm) {
+            return (vm.state !== 'destroyed');
+        }));
+};
+
+module.exports = FileSink;
@@ -0,0 +1,300 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the WebhookSink which is a sink (see the "Sinks"
+ * section in lib/vm-agent.js) that POSTs an event to a URL each time a VM is
+ * created, modified or deleted so that other systems can be notified of
+ * changes to VMs without polling VMAPI.
+ *
+ * Each event is POSTed on its own with a JSON body like:
+ *
+ *   {
+ *       "id": "<uuid unique to this event>",
+ *       "timestamp": "<ISO timestamp>",
+ *       "event": "VmModified",
+ *       "vm_uuid": "<uuid>",
+ *       "server_uuid": "<uuid>",
+ *       "watcher": "<watcher name or null>",
+ *       "changed_fields": ["quota"],
+ *       "vm": <vmobj>
+ *   }
+ *
+ * with also a "stop" property for VmStopped events.
+ *
+ * If a secret is configured, the request includes the header:
+ *
+ *   x-vm-agent-signature: sha256=<hex HMAC-SHA256 of the body using secret>
+ *
+ * so that the receiver can check the event came from vm-agent.
+ *
+ * Events are delivered one at a time in the order they happened. When a POST
+ * fails with a connection error, a 429 or a 5xx, it is retried with the delay
+ * doubling each time until it has been tried 'retries' more times at which
+ * point the event is dropped. Any other response is not going to improve by
+ * retrying so the event is dropped immediately. Since the same event can be
+ * delivered more than once (e.g. when we don't see the response), receivers
+ * should use the 'id' to ignore duplicates.
+ *
+ * So that a webhook that's down can't use up all our memory, at most
+ * MAX_QUEUED_EVENTS are kept waiting and the oldest are dropped beyond that.
+ *
+ * The webhook can't be read back from, so getVms() returns the last VM object
+ * we queued an event for, for each VM that is not destroyed. Since events are
+ * only sent for VMs that changed, VMs that have not changed since vm-agent
+ * started are not included.
+ *
+ */
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var node_uuid = require('node-uuid');
+var vasync = require('vasync');
+
+
+var DEFAULT_RETRIES = 5;
+var INITIAL_RETRY_DELAY_MS = 1000;
+var MAX_RETRY_DELAY_MS = 60000;
+var MAX_QUEUED_EVENTS = 1000;
+var REQUEST_TIMEOUT_MS = 10000;
+
+
+function WebhookSink(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.url, 'opts.url');
+    assert.optionalString(opts.secret, 'opts.secret');
+    assert.optionalNumber(opts.retries, 'opts.retries');
+    assert.optionalString(opts.userAgent, 'opts.userAgent');
+
+    // Yay bunyan!
+    self.log = opts.log;
+
+    self.name = 'webhook:' + opts.url;
+    self.retries = (opts.retries === undefined ? DEFAULT_RETRIES :
+        opts.retries);
+    self.secret = opts.secret;
+    self.url = url.parse(opts.url);
+    self.userAgent = opts.userAgent;
+    self.vms = {};
+
+    assert.ok(self.url.protocol === 'http:' || self.url.protocol === 'https:',
+        'opts.url must be http or https');
+
+    // Each WebhookSink is a single endpoint, so this is the per-endpoint queue.
+    self.queue = vasync.queue(function _runDelivery(body, cb) {
+        self.deliver(body, cb);
+    }, 1);
+}
+
+/*
+ * Returns the value for the x-vm-agent-signature header for body.
+ */
+WebhookSink.prototype.sign = function sign(body) {
+    var self = this;
+
+    assert.string(body, 'body');
+    assert.string(self.secret, 'self.secret');
+
+    return ('sha256=' +
+        crypto.createHmac('sha256', self.secret).update(body).digest('hex'));
+};
+
+/*
+ * Does a single POST of body and calls callback(err, retry) where retry
+ * indicates whether the POST failed in a way that might succeed if retried.
+ */
+WebhookSink.prototype.post = function post(body, callback) {
+    var self = this;
+    var done = false;
+    var headers = {
+        'content-length': Buffer.byteLength(body),
+        'content-type': 'application/json'
+    };
+    var req;
+
+    function _done(err, retry) {
+        if (done) {
+            return;
+        }
+        done = true;
+        callback(err, retry);
+    }
+
+    if (self.secret !== undefined) {
+        headers['x-vm-agent-signature'] = self.sign(body);
+    }
+    if (self.userAgent !== undefined) {
+        headers['user-agent'] = self.userAgent;
+    }
+
+    req = (self.url.protocol === 'https:' ? https : http).request({
+        headers: headers,
+        hostname: self.url.hostname,
+        method: 'POST',
+        path: self.url.path,
+        port: self.url.port
+    }, function _onResponse(res) {
+        var err;
+
+        // We don't care about the body, but need to read it to free the
+        // connection.
+        res.resume();
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            _done();
+            return;
+        }
+
+        err = new Error('webhook returned ' + res.statusCode);
+        err.statusCode = res.statusCode;
+        _done(err, (res.statusCode === 429 || res.statusCode >= 500));
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, function _onTimeout() {
+        req.abort();
+        _done(new Error('timed out waiting for webhook'), true);
+    });
+    req.on('error', function _onError(err) {
+        _done(err, true);
+    });
+
+    req.end(body);
+};
+
+/*
+ * POSTs body, retrying as described at the top of this file. Always calls
+ * callback() without an error since failures are only logged, and the queue
+ * needs to move on to the next event.
+ */
+WebhookSink.prototype.deliver = function deliver(body, callback) {
+    var self = this;
+    var attempt = 0;
+    var delay = INITIAL_RETRY_DELAY_MS;
+
+    function _tryPost() {
+        attempt++;
+        self.post(body, function _onPost(err, retry) {
+            if (!err) {
+                callback();
+                return;
+            }
+
+            if (!retry || attempt > self.retries) {
+                self.log.error({err: err, attempts: attempt, sink: self.name},
+                    'giving up on webhook event');
+                callback();
+                return;
+            }
+
+            self.log.warn({err: err, attempt: attempt, delay: delay,
+                sink: self.name}, 'webhook POST failed, will retry');
+            self.retryCallback = callback;
+            self.retryTimer = setTimeout(function _retry() {
+                self.retryCallback = null;
+                self.retryTimer = null;
+                _tryPost();
+            }, delay);
+            self.retryTimer.unref();
+            delay = Math.min(delay * 2, MAX_RETRY_DELAY_MS);
+        });
+    }
+
+    _tryPost();
+};
+
+/*
+ * Queues the events (see "Sinks" in lib/vm-agent.js) to be POSTed. Since
+ * delivery failures are retried here, callback(err) is only called with an
+ * error when an event had to be dropped because too many were queued.
+ */
+WebhookSink.prototype.publishEvents = function publishEvents(events, callback) {
+    var self = this;
+    var dropped;
+    var now = (new Date()).toISOString();
+
+    assert.arrayOfObject(events, 'events');
+    assert.func(callback, 'callback');
+
+    events.forEach(function _queueEvent(evt) {
+        assert.string(evt.event, 'evt.event');
+        assert.uuid(evt.vm_uuid, 'evt.vm_uuid');
+
+        if (evt.vm && evt.vm.state !== 'destroyed') {
+            self.vms[evt.vm_uuid] = jsprim.deepCopy(evt.vm);
+        } else {
+            delete self.vms[evt.vm_uuid];
+        }
+
+        self.queue.push(JSON.stringify({
+            id: node_uuid.v4(),
+            timestamp: now,
+            event: evt.event,
+            vm_uuid: evt.vm_uuid,
+            server_uuid: evt.server_uuid,
+            watcher: evt.watcher,
+            changed_fields: evt.changed_fields,
+            stop: evt.stop,
+            vm: evt.vm
+        }));
+    });
+
+    if (self.queue.queued.length > MAX_QUEUED_EVENTS) {
+        dropped = self.queue.queued.splice(0,
+            self.queue.queued.length - MAX_QUEUED_EVENTS);
+        callback(new Error('webhook queue full, dropped ' + dropped.length +
+            ' events'));
+        return;
+    }
+
+    setImmediate(callback);
+};
+
+/*
+ * Returns the VMs as last published, see the top of this file.
+ */
+WebhookSink.prototype.getVms = function getVms(server, callback) {
+    var self = this;
+
+    assert.uuid(server, 'server');
+    assert.func(callback, 'callback');
+
+    setImmediate(callback, null, Object.keys(self.vms).map(
+        function _getVm(vmUuid) {
+            return (self.vms[vmUuid]);
+        }));
+};
+
+/*
+ * Drops any events waiting to be delivered (including one waiting to be
+ * retried). An event that is currently being POSTed will still complete.
+ */
+WebhookSink.prototype.stop = function stop() {
+    var self = this;
+    var retryCallback = self.retryCallback;
+
+    self.queue.queued = [];
+
+    if (self.retryTimer) {
+        clearTimeout(self.retryTimer);
+        self.retryCallback = null;
+        self.retryTimer = null;
+        retryCallback();
+    }
+};
+
+module.exports = WebhookSink;
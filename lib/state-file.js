@@ -0,0 +1,162 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the StateFile object which VmAgent uses to checkpoint
+ * its knowledge of the VMs on this CN to disk so that it is still available
+ * after a restart.
+ *
+ * Writes are done to a temporary file which is then renamed over the existing
+ * file, so a crash in the middle of a write will leave the previous state
+ * intact.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+
+
+// Bump this if the format of the state changes incompatibly. Files with a
+// different version will be ignored.
+var STATE_VERSION = 1;
+
+
+// Stamps state with the version and time, and returns it as a string.
+function serialize(state) {
+    state.version = STATE_VERSION;
+    state.saved = (new Date()).toISOString();
+    return (JSON.stringify(state));
+}
+
+
+function StateFile(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+
+    // Yay bunyan!
+    self.log = opts.log;
+
+    self.path = opts.path;
+}
+
+/*
+ * Loads the state from disk and calls:
+ *
+ *   callback(err, state)
+ *
+ * where state will be null if there was no (usable) state file. A corrupt or
+ * unknown version state file is not treated as an error since the worst case
+ * is that we do a full update as we would have without a state file.
+ */
+StateFile.prototype.load = function load(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    fs.readFile(self.path, 'utf8', function _onRead(err, content) {
+        var state;
+
+        if (err) {
+            if (err.code === 'ENOENT') {
+                self.log.info({path: self.path}, 'no state file found');
+                callback(null, null);
+                return;
+            }
+            callback(err);
+            return;
+        }
+
+        try {
+            state = JSON.parse(content);
+        } catch (e) {
+            self.log.warn({err: e, path: self.path},
+                'ignoring unparsable state file');
+            callback(null, null);
+            return;
+        }
+
+        if (!state || state.version !== STATE_VERSION) {
+            self.log.warn({
+                path: self.path,
+                version: (state ? state.version : undefined)
+            }, 'ignoring state file with unknown version');
+            callback(null, null);
+            return;
+        }
+
+        callback(null, state);
+    });
+};
+
+/*
+ * Writes the state object to disk and calls callback(err) when done.
+ */
+StateFile.prototype.save = function save(state, callback) {
+    var self = this;
+    var content;
+    var tmpPath = self.path + '.' + process.pid + '.tmp';
+
+    assert.object(state, 'state');
+    assert.func(callback, 'callback');
+
+    content = serialize(state);
+
+    function _write(retryMkdir) {
+        fs.writeFile(tmpPath, content, function _onWrite(err) {
+            if (err && err.code === 'ENOENT' && retryMkdir) {
+                // The directory doesn't exist yet, create it and try again.
+                fs.mkdir(path.dirname(self.path), function _onMkdir(e) {
+                    if (e && e.code !== 'EEXIST') {
+                        callback(e);
+                        return;
+                    }
+                    _write(false);
+                });
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            fs.rename(tmpPath, self.path, callback);
+        });
+    }
+
+    _write(true);
+};
+
+/*
+ * The same as save() but synchronous, for when we're about to exit and won't
+ * get another chance. Throws on error.
+ */
+StateFile.prototype.saveSync = function saveSync(state) {
+    var self = this;
+    var tmpPath = self.path + '.' + process.pid + '.tmp';
+
+    assert.object(state, 'state');
+
+    try {
+        fs.writeFileSync(tmpPath, serialize(state));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw (err);
+        }
+        fs.mkdirSync(path.dirname(self.path));
+        fs.writeFileSync(tmpPath, serialize(state));
+    }
+    fs.renameSync(tmpPath, self.path);
+};
+
+module.exports = StateFile;
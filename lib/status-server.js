@@ -0,0 +1,281 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the StatusServer object which serves a small HTTP API
+ * that allows operators to look at the internal state of a running vm-agent
+ * and to ask it to do things (such as resync VMs) without restarting it.
+ *
+ * The server only ever listens on a unix socket or on 127.0.0.1, it is not
+ * intended to be reachable from outside of the CN.
+ *
+ * Routes are passed in by the consumer as an array of objects like:
+ *
+ *   {
+ *       method: 'GET',
+ *       path: '/status',   // string or RegExp
+ *       handler: function _handler(req, callback) { ... }
+ *   }
+ *
+ * When the path is a RegExp, any captured groups will be available to the
+ * handler as req.params. For POST requests, the body (which must be JSON, if
+ * there is one) is available to the handler as req.body. The handler should
+ * call:
+ *
+ *   callback(err, result)
+ *
+ * where result is either an object (which will be sent as JSON) or a string
+ * (which will be sent as text/plain). When err is set, the response has
+ * err.statusCode (default 500) with err.restCode as the code.
+ *
+ */
+
+var fs = require('fs');
+var http = require('http');
+var url = require('url');
+
+var assert = require('assert-plus');
+
+
+var LOCALHOST = '127.0.0.1';
+var MAX_BODY_BYTES = 1024 * 1024;
+var SOCKET_MODE = parseInt('0600', 8);
+
+
+function StatusServer(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.arrayOfObject(opts.routes, 'opts.routes');
+    assert.optionalString(opts.socketPath, 'opts.socketPath');
+    assert.optionalNumber(opts.port, 'opts.port');
+    assert.ok(opts.socketPath || opts.port !== undefined,
+        'one of opts.socketPath or opts.port is required');
+
+    // Yay bunyan!
+    self.log = opts.log.child({component: 'status-server'});
+
+    self.port = opts.port;
+    self.routes = opts.routes;
+    self.socketPath = opts.socketPath;
+
+    self.server = null;
+}
+
+function sendResult(res, code, result) {
+    var body;
+    var contentType;
+
+    if (typeof (result) === 'string') {
+        body = result;
+        contentType = 'text/plain';
+    } else {
+        body = JSON.stringify(result, null, 2) + '\n';
+        contentType = 'application/json';
+    }
+
+    res.writeHead(code, {
+        'Content-Length': Buffer.byteLength(body),
+        'Content-Type': contentType
+    });
+    res.end(body);
+}
+
+StatusServer.prototype.findRoute = function findRoute(method, pathname) {
+    var self = this;
+    var match;
+    var route;
+    var routeIdx;
+
+    for (routeIdx = 0; routeIdx < self.routes.length; routeIdx++) {
+        route = self.routes[routeIdx];
+
+        if (route.method !== method) {
+            continue;
+        }
+
+        if (typeof (route.path) === 'string') {
+            if (route.path === pathname) {
+                return ({handler: route.handler, params: []});
+            }
+        } else {
+            match = pathname.match(route.path);
+            if (match) {
+                return ({handler: route.handler, params: match.slice(1)});
+            }
+        }
+    }
+
+    return (null);
+};
+
+/*
+ * Reads the JSON body of req (if any) and calls callback(err, body) where body
+ * is undefined when the request has no body.
+ */
+function readBody(req, callback) {
+    var chunks = [];
+    var length = 0;
+    var tooLarge = false;
+
+    req.on('data', function _onData(chunk) {
+        length += chunk.length;
+        if (length > MAX_BODY_BYTES) {
+            tooLarge = true;
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', function _onEnd() {
+        var body;
+        var err;
+        var text = Buffer.concat(chunks).toString('utf8');
+
+        if (tooLarge) {
+            err = new Error('request body is larger than ' + MAX_BODY_BYTES +
+                ' bytes');
+            err.restCode = 'RequestTooLarge';
+            err.statusCode = 413;
+            callback(err);
+            return;
+        }
+
+        if (text.trim() === '') {
+            callback(null, undefined);
+            return;
+        }
+
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            err = new Error('invalid JSON in request body: ' + e.message);
+            err.restCode = 'InvalidArgument';
+            err.statusCode = 400;
+            callback(err);
+            return;
+        }
+
+        callback(null, body);
+    });
+}
+
+StatusServer.prototype.handleRequest = function handleRequest(req, res) {
+    var self = this;
+    var parsed = url.parse(req.url, true);
+    var route;
+
+    function _onResult(err, result) {
+        if (err) {
+            self.log.warn({err: err, url: req.url}, 'status request failed');
+            sendResult(res, err.statusCode || 500, {
+                code: err.restCode || 'InternalError',
+                message: err.message
+            });
+            return;
+        }
+
+        sendResult(res, 200, result);
+    }
+
+    route = self.findRoute(req.method, parsed.pathname);
+    if (!route) {
+        sendResult(res, 404, {
+            code: 'ResourceNotFound',
+            message: req.method + ' ' + parsed.pathname + ' does not exist'
+        });
+        return;
+    }
+
+    req.params = route.params;
+    req.query = parsed.query;
+
+    if (req.method !== 'POST') {
+        route.handler(req, _onResult);
+        return;
+    }
+
+    readBody(req, function _onBody(err, body) {
+        if (err) {
+            _onResult(err);
+            return;
+        }
+
+        req.body = body;
+        route.handler(req, _onResult);
+    });
+};
+
+StatusServer.prototype.start = function start(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+    assert.ok(!self.server, 'StatusServer already started');
+
+    function _listen() {
+        self.server = http.createServer(function _onRequest(req, res) {
+            self.handleRequest(req, res);
+        });
+
+        self.server.once('error', function _onListenError(err) {
+            self.server = null;
+            callback(err);
+        });
+
+        function _onListening() {
+            self.server.removeAllListeners('error');
+            self.server.on('error', function _onServerError(err) {
+                self.log.error(err, 'StatusServer error');
+            });
+
+            self.log.info({port: self.port, socketPath: self.socketPath},
+                'StatusServer listening');
+
+            if (self.socketPath) {
+                fs.chmod(self.socketPath, SOCKET_MODE, callback);
+                return;
+            }
+            callback();
+        }
+
+        if (self.socketPath) {
+            self.server.listen(self.socketPath, _onListening);
+        } else {
+            self.server.listen(self.port, LOCALHOST, _onListening);
+        }
+    }
+
+    if (!self.socketPath) {
+        _listen();
+        return;
+    }
+
+    // A socket left behind by a previous vm-agent would cause EADDRINUSE, so
+    // we remove it before trying to listen.
+    fs.unlink(self.socketPath, function _onUnlink(err) {
+        if (err && err.code !== 'ENOENT') {
+            callback(err);
+            return;
+        }
+        _listen();
+    });
+};
+
+StatusServer.prototype.stop = function stop() {
+    var self = this;
+
+    if (self.server) {
+        self.server.close();
+        self.server = null;
+    }
+};
+
+module.exports = StatusServer;
@@ -0,0 +1,233 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * This module contains the TaskLocks object which keeps track of the VMs that
+ * cn-agent is currently running a task (provision, start, stop, reprovision,
+ * etc.) for, so that vm-agent can avoid sending VMAPI the intermediate states
+ * the VM goes through that the workflow will overwrite anyway.
+ *
+ * The protocol with cn-agent is a directory (the 'task_lock_dir' option) in
+ * which cn-agent creates a file named:
+ *
+ *   <dir>/<vm_uuid>
+ *
+ * when it starts a task for the VM and removes it when the task completes. The
+ * contents of the file are not used, but cn-agent should write the name of the
+ * task there to help with debugging. While the file exists, the VM is "in
+ * task".
+ *
+ * We watch the directory with fs.watch() but since that's not guaranteed to
+ * see every change, we also rescan the directory every POLL_INTERVAL_MS. So
+ * that a cn-agent that dies mid-task can't block updates for a VM forever, a
+ * lock file whose mtime is more than MAX_TASK_AGE_MS old is treated as if the
+ * task had ended.
+ *
+ * TaskLocks emits:
+ *
+ *   taskStart   (vm_uuid) when a lock file for a VM appears
+ *   taskEnd     (vm_uuid) when a lock file is removed or becomes too old
+ *
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+
+var MAX_TASK_AGE_MS = 60 * 60 * 1000;
+var POLL_INTERVAL_MS = 5000;
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+
+function TaskLocks(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.dir, 'opts.dir');
+    assert.optionalNumber(opts.maxTaskAge, 'opts.maxTaskAge');
+    assert.optionalNumber(opts.pollInterval, 'opts.pollInterval');
+
+    // Initialize necessary properties from `EventEmitter` in this instance
+    EventEmitter.call(self);
+
+    // Yay bunyan!
+    self.log = opts.log.child({component: 'task-locks'});
+
+    self.dir = opts.dir;
+    self.maxTaskAge = opts.maxTaskAge || MAX_TASK_AGE_MS;
+    self.pollInterval = opts.pollInterval || POLL_INTERVAL_MS;
+
+    self.isDirty = false;
+    self.isProcessing = false;
+    self.lockedVms = {};
+    self.pollTimer = null;
+    self.staleVms = {};
+    self.watcher = null;
+}
+util.inherits(TaskLocks, EventEmitter);
+
+/*
+ * Returns true if vmUuid currently has a task running.
+ */
+TaskLocks.prototype.isLocked = function isLocked(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    return (self.lockedVms.hasOwnProperty(vmUuid));
+};
+
+/*
+ * Reads the lock directory and emits taskStart/taskEnd for any VMs whose lock
+ * appeared or went away since the last time.
+ */
+TaskLocks.prototype.scan = function scan(callback) {
+    var self = this;
+    var now = Date.now();
+    var seen = {};
+
+    assert.optionalFunc(callback, 'callback');
+
+    if (self.isProcessing) {
+        self.isDirty = true;
+        if (callback) {
+            callback();
+        }
+        return;
+    }
+    self.isProcessing = true;
+    self.isDirty = false;
+
+    fs.readdir(self.dir, function _onReaddir(err, files) {
+        if (err) {
+            self.log.warn({err: err, dir: self.dir},
+                'failed to read task lock directory');
+            files = [];
+        }
+
+        vasync.forEachParallel({
+            inputs: files.filter(function _isUuid(file) {
+                return (UUID_RE.test(file));
+            }),
+            func: function _statLock(vmUuid, cb) {
+                fs.stat(path.join(self.dir, vmUuid),
+                    function _onStat(statErr, stats) {
+                        if (statErr) {
+                            // removed since the readdir, so not locked
+                            cb();
+                            return;
+                        }
+
+                        if (now - stats.mtime.getTime() > self.maxTaskAge) {
+                            if (!self.staleVms[vmUuid]) {
+                                self.log.warn({vmUuid: vmUuid,
+                                    mtime: stats.mtime},
+                                    'ignoring stale task lock');
+                                self.staleVms[vmUuid] = true;
+                            }
+                            cb();
+                            return;
+                        }
+
+                        delete self.staleVms[vmUuid];
+                        seen[vmUuid] = true;
+                        cb();
+                    });
+            }
+        }, function _onStats() {
+            Object.keys(seen).forEach(function _checkStart(vmUuid) {
+                if (!self.lockedVms[vmUuid]) {
+                    self.lockedVms[vmUuid] = true;
+                    self.log.debug({vmUuid: vmUuid}, 'task started');
+                    self.emit('taskStart', vmUuid);
+                }
+            });
+            Object.keys(self.lockedVms).forEach(function _checkEnd(vmUuid) {
+                if (!seen[vmUuid]) {
+                    delete self.lockedVms[vmUuid];
+                    self.log.debug({vmUuid: vmUuid}, 'task ended');
+                    self.emit('taskEnd', vmUuid);
+                }
+            });
+
+            self.isProcessing = false;
+            if (self.isDirty) {
+                self.scan(callback);
+                return;
+            }
+            if (callback) {
+                callback();
+            }
+        });
+    });
+};
+
+/*
+ * Creates the lock directory if it doesn't exist, does an initial scan and
+ * then watches for changes.
+ */
+TaskLocks.prototype.start = function start(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    fs.mkdir(self.dir, function _onMkdir(err) {
+        if (err && err.code !== 'EEXIST') {
+            callback(err);
+            return;
+        }
+
+        try {
+            self.watcher = fs.watch(self.dir, function _onLockEvent() {
+                self.scan();
+            });
+        } catch (watchErr) {
+            // We'll still notice changes through polling.
+            self.log.warn({err: watchErr, dir: self.dir},
+                'failed to watch task lock directory');
+        }
+
+        self.scan(function _onInitialScan() {
+            function _poll() {
+                self.scan(function _onScan() {
+                    if (self.pollTimer) {
+                        self.pollTimer = setTimeout(_poll, self.pollInterval);
+                        self.pollTimer.unref();
+                    }
+                });
+            }
+
+            self.pollTimer = setTimeout(_poll, self.pollInterval);
+            self.pollTimer.unref();
+            callback();
+        });
+    });
+};
+
+TaskLocks.prototype.stop = function stop() {
+    var self = this;
+
+    if (self.watcher) {
+        self.watcher.close();
+        self.watcher = null;
+    }
+    if (self.pollTimer) {
+        clearTimeout(self.pollTimer);
+        self.pollTimer = null;
+    }
+};
+
+module.exports = TaskLocks;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
@@ -79,9 +79,18 @@
  * events as they come in from the watcher. When an event occurs, the VM's uuid
  * is added to the queue.
  *
- * The queue is processed in FIFO order, one item at a time. However, since we
- * only want to sent fresh data to VMAPI, only the uuids ever exist in the queue
- * and if the uuid of a VM already exists in the queue, it is not requeued.
+ * The queue is processed in FIFO order, one item at a time by default. However,
+ * since we only want to sent fresh data to VMAPI, only the uuids ever exist in
+ * the queue and if the uuid of a VM already exists in the queue, it is not
+ * requeued.
+ *
+ * The 'update_concurrency' option allows more than one item to be processed at
+ * a time, so that one slow VMAPI response doesn't hold up updates for every
+ * other VM. We still never want two updates for the same VM running at the
+ * same time (they could complete out of order and leave VMAPI with the older
+ * object) so while a VM's update is in progress it is not pushed to the
+ * queue. Instead it is marked in requeueVms and pushed again when the
+ * in-progress update completes, so that the newer change is not lost.
  *
  * The processing of a VM uuid from the queue involves:
  *
@@ -96,6 +105,39 @@
  *
  *       * The new VM object for this VM will be PUT to VMAPI
  *
+ * When the 'vmapi_update_mode' option is set to 'patch', instead of PUTting the
+ * whole object we compare the new object to the last one we successfully sent
+ * to VMAPI for this VM (lastPutVms) and send only the fields that changed via:
+ *
+ *     PATCH /vms/<uuid>
+ *
+ * Only the fields we compare (comparisonFields: the watched fields and any
+ * 'periodic_fields') are considered, in the same way as when comparing with
+ * VMAPI's VMs (see makeComparable()). Changes to other fields are not sent,
+ * so any that VMAPI needs to keep up to date should be added to
+ * 'periodic_fields'.
+ *
+ * If we don't have a previous object for the VM, or VMAPI doesn't support
+ * PATCH, we fall back to PUTting the whole object. In 'patch' mode, a VM that
+ * was destroyed before we were able to load it can also be marked destroyed
+ * in VMAPI since the PATCH will leave the rest of VMAPI's object intact. Since
+ * we never saw such a VM, we first check (with GET /vms/<uuid>) that VMAPI has
+ * it on this server, so that we never mark another server's VM destroyed.
+ *
+ * When the 'update_batch_window' option is set (in ms), a VM uuid that is
+ * queued is not pushed to the queue immediately. Instead we wait for the batch
+ * window to pass, collecting any other VMs queued in the meantime, and then
+ * push all of them as a single task. These are all loaded and sent to VMAPI
+ * with a single:
+ *
+ *     PUT /vms?server_uuid=<uuid>
+ *
+ * which is much faster than individual PUTs when many VMs change at once, such
+ * as after a CN reboot. If the batch PUT fails, we fall back to updating each
+ * of the VMs in the batch individually as described above. Since a batch
+ * always sends the whole objects, 'update_batch_window' is ignored when
+ * 'vmapi_update_mode' is 'patch'.
+ *
  * If there are any errors with the update for an individual VM, there will be a
  * delay and then that VM's uuid is added back to the queue (only if the uuid
  * is not already queued) and we will re-run this process when it is next loaded
@@ -103,6 +145,28 @@
  * to some maximum value (MAX_UPDATE_DELAY_MS) but the delay will be reset on a
  * sucessful update.
  *
+ * When VMAPI itself is down however, that would leave every VM with its own
+ * retry timer and backoff, all hammering VMAPI as it tries to recover. To
+ * avoid that, the VmapiClient keeps track of consecutive failures and after
+ * 'vmapi_circuit_threshold' of them will "open the circuit" (see
+ * lib/vmapi-client.js). While the circuit is open, instead of scheduling
+ * retries or processing tasks from the queue, VMs are "parked" (parkedVms).
+ * Only the VmapiClient probes VMAPI, and when a probe succeeds the circuit is
+ * closed and all the parked VMs are added back to the queue.
+ *
+ * Similarly, while cn-agent is running a task for a VM (provisioning,
+ * stopping, etc.) the VM goes through a number of intermediate states that the
+ * workflow will overwrite in VMAPI when the task completes. When the
+ * 'task_lock_dir' option is set, cn-agent marks the VMs it's working on there
+ * (see lib/task-locks.js) and instead of updating VMAPI for those VMs, they're
+ * "deferred" (deferredVms). Once the task ends, each deferred VM is added back
+ * to the queue so that we do a single fresh load and update with the final
+ * state. The initial update is not deferred, since we need VMAPI to have all
+ * the VMs. The tasks are also how we know that a VM's stop was requested
+ * rather than a crash (see VmStopped in lib/vm-watcher.js), so without
+ * 'task_lock_dir' only stops where the zone was seen shutting down are
+ * expected.
+ *
  *
  * Important Notes
  * ===============
@@ -112,6 +176,242 @@
  * sent by vm-agent, if the do_not_inventory flage is added to an existing VM,
  * we will not send any updates for this VM.
  *
+ *
+ * Status API
+ * ==========
+ *
+ * When either the 'status_socket' (path to a unix socket) or 'status_port'
+ * (port on 127.0.0.1) option is set, vm-agent will serve a local-only HTTP
+ * API (see lib/status-server.js) with the following endpoints. When neither
+ * is configured, bin/vm-agent.js sets 'status_socket' to the default socket
+ * of lib/cli.js.
+ *
+ *   GET /status
+ *
+ *       Returns an object describing the internal state of the agent: whether
+ *       initialization is complete, the eventSource in use, the VMs that are
+ *       queued, waiting for a retry or deferred for a cn-agent task and the
+ *       VMs we're tracking.
+ *
+ *   GET /vms/<uuid>/history
+ *
+ *       Returns the most recent updates the watchers reported for the VM (see
+ *       getHistory() in lib/vm-watcher.js) as {"vm_uuid": ..., "history": []}.
+ *       The number of updates kept per VM can be set with 'vm_history_size'
+ *       (0 disables the history).
+ *
+ *   GET /dump
+ *
+ *       Returns what is logged on SIGUSR2 (see below) along with the last
+ *       object we loaded (lastSeenVms) and sent to VMAPI (lastPutVms) for each
+ *       VM.
+ *
+ *   GET /diff
+ *
+ *       Loads the VMs from both vmadm and VMAPI and returns the differences
+ *       between them, using the same comparison as the initial update (see
+ *       diffVmLists()). Nothing is sent to VMAPI.
+ *
+ *   POST /resync
+ *
+ *       Takes {"vms": [<uuid>, ...]} and queues each of those VMs (or all the
+ *       VMs we know about, if the list is empty or missing) to be loaded again
+ *       and sent to VMAPI in full. Returns {"vms": [<uuid>, ...]} with the VMs
+ *       that were queued, a 404 with code ResourceNotFound if any of the VMs
+ *       is not on this CN, or a 503 with code NotReady before the initial
+ *       update has completed.
+ *
+ *       With {"diff": true} instead, the VMs from vmadm and VMAPI are compared
+ *       as they are for the initial update (and GET /diff) and only those that
+ *       differ are queued. The watchers keep running while this happens. The
+ *       result also includes the differences that were found as "diff". This
+ *       is a cheaper alternative to restarting vm-agent, or to VMAPI's
+ *       "GET /vms?sync=true" which goes through cn-agent and a workflow.
+ *
+ * These are what the "vm-agent status|dump|diff|resync" commands (see
+ * lib/cli.js) use.
+ *
+ * The status and the counts of duplicate updates from each watcher are also
+ * written to the log at "info" level when vm-agent receives SIGUSR2, along
+ * with a summary of the history: the number of VMs and updates, and the most
+ * recent HISTORY_SUMMARY_SIZE updates across all VMs.
+ *
+ * This is intended to allow operators to answer questions such as "why has
+ * VMAPI not seen this change?" without needing to raise the log level.
+ *
+ *
+ * Metrics
+ * =======
+ *
+ * VmAgent keeps counters of the events seen from each watcher, histograms of
+ * how long vmadm and VMAPI operations take, the depth of the update queue, the
+ * number of retries, the number of VMs ignored due to do_not_inventory and the
+ * number of VMs that stopped (by whether the stop was expected, see VmStopped
+ * in lib/vm-watcher.js). When the 'metrics_port' option is set, these are
+ * served in the Prometheus text format at:
+ *
+ *   GET http://127.0.0.1:<metrics_port>/metrics
+ *
+ * We also count the updates from each watcher that were dropped because
+ * another watcher had already delivered the same change, along with how late
+ * they were (see VmDuplicate in lib/vm-watcher.js). Setting 'debug_duplicates'
+ * additionally logs each of these.
+ *
+ *
+ * Sinks
+ * =====
+ *
+ * VMAPI (through self.vmapiClient) is where vm-agent sends the VM objects,
+ * the only place it loads VMs from for comparison, and the only destination
+ * whose success or failure determines whether we retry. The 'sinks' option
+ * can also configure a list of extra destinations ("sinks") which get copies
+ * of what VMAPI accepted. Each is an object with a 'type' and the options for
+ * that type of sink (see SINK_SCHEMAS in lib/config-schema.js):
+ *
+ *     "sinks": [
+ *         {"type": "file", "path": "/var/run/vm-agent.vms.json"},
+ *         {"type": "vmapi", "url": "http://vmapi.example.com"},
+ *         {"type": "webhook", "url": "https://hooks.example.com/vms",
+ *             "secret": "<shared secret>"}
+ *     ]
+ *
+ * A sink is any object implementing the same methods we use on VmapiClient:
+ *
+ *     updateServerVms(server_uuid, vms, callback)
+ *     updateVm(vmobj, callback)
+ *     getVms(server_uuid, callback)
+ *
+ * where getVms() returns the VMs the sink has for the server, so that a
+ * CN-local consumer can read back what was published. VmAgent itself only
+ * compares vmadm's VMs with VMAPI's.
+ *
+ * Extra sinks are sent the same VM objects only after VMAPI has accepted them,
+ * so they always see the same reconciled view of the VMs that VMAPI does. At
+ * the end of the initial update they're sent all the VMs on the CN (not just
+ * the ones that differed from VMAPI) so that they start out complete. Errors
+ * from extra sinks are logged and otherwise ignored, any retrying is up to the
+ * sink.
+ *
+ * Since VMs updated through PATCH in 'patch' mode which were never loaded only
+ * have their state, those are not sent to the extra sinks.
+ *
+ * Sinks that care about *why* a VM is being sent rather than just the latest
+ * object (such as the webhook sink in lib/sinks/webhook-sink.js) instead
+ * implement (along with getVms()):
+ *
+ *     publishEvents(events, callback)
+ *
+ * where events is an array of objects like:
+ *
+ *     {
+ *         "event": "VmModified",
+ *         "vm_uuid": "<uuid>",
+ *         "server_uuid": "<uuid>",
+ *         "watcher": "<name of the watcher that saw the change>",
+ *         "changed_fields": ["quota", ...],
+ *         "vm": <vmobj>
+ *     }
+ *
+ * The event is the last VmCreated, VmDeleted or VmStopped event the watchers
+ * emitted for the VM since it was last sent (or VmModified if there were only
+ * those) and watcher is the watcher which emitted that event. For VmStopped
+ * the event also has a "stop" property with the classification of the stop
+ * from VmWatcher, e.g. {"expected": false, "cause": "crash"}, so that
+ * consumers can tell a VM that was shut down from one that died.
+ *
+ * VMs sent after a retry or from the journal may not have an event from a
+ * watcher, in which case the event is determined from the VM itself and
+ * watcher is null. The changed_fields are those of comparisonFields that
+ * differ from the last object we sent. Only VMs that actually changed are sent
+ * to publishEvents(), so VMs that already matched VMAPI at the initial update
+ * are not included.
+ *
+ *
+ * Persistent State
+ * ================
+ *
+ * When the 'state_file' option is set, VmAgent will periodically checkpoint
+ * lastSeenVms (the last object loaded for each VM), lastPutVms (the last object
+ * successfully sent to VMAPI for each VM) and knownDniVms to that file. On
+ * startup these are reloaded so that:
+ *
+ *  * VMs that are deleted after we restart but before we've been able to load
+ *    them again can still be reported to VMAPI as destroyed.
+ *
+ *  * We know which VMs were do_not_inventory even if they've since been
+ *    deleted.
+ *
+ *  * The initial update only needs to send the VMs that were created, deleted
+ *    or modified while vm-agent was not running. Instead of loading all of
+ *    this server's VMs from VMAPI, we compare vmadm's VMs with lastPutVms,
+ *    which is what VMAPI had from us. VMs that already matched VMAPI when we
+ *    compared are included with vmadm's object, as though we had sent it.
+ *    Changes made to VMAPI's copies by anything else won't be noticed,
+ *    "vm-agent resync --diff" (see lib/cli.js) does the full comparison with
+ *    VMAPI.
+ *
+ * The state file is only an optimization. If it's missing or unreadable we
+ * behave exactly as though it were not configured. It's not set by default
+ * (operators opt in with the 'state_file' SAPI metadata), so that by default
+ * every start still compares with all of this server's VMs in VMAPI.
+ *
+ * The state file is written CHECKPOINT_DELAY_MS after a change, and when we
+ * stop (bin/vm-agent.js stops us on SIGTERM) any pending write is done
+ * immediately. If we crash in between, lastPutVms may be missing our most
+ * recent updates, in which case those VMs are just sent again.
+ *
+ * The state file can't tell us which updates had not yet reached VMAPI when
+ * we stopped. For that, when the 'journal_file' option is set, each VM is
+ * added to the journal (see lib/journal.js) before we try to send it to VMAPI,
+ * and removed once VMAPI has accepted the update. Deleted VMs are journaled
+ * along with their last object (a tombstone) so that we can still send them
+ * after a restart. On startup, the journal is replayed: tombstones are added
+ * to lastSeenVms and every journaled VM is queued for an update once the
+ * initial update is complete. Like the state file, the journal is only used
+ * when an operator opts in with the 'journal_file' SAPI metadata.
+ *
+ *
+ * Reloading Configuration
+ * =======================
+ *
+ * When bin/vm-agent.js receives SIGHUP or sees the config file change, it
+ * loads the config again and passes it to reloadConfig(). The options in
+ * RELOADABLE_OPTIONS are applied in place, without restarting the watchers or
+ * repeating the initial update:
+ *
+ *  * 'periodic_interval', 'periodic_min_interval' and 'periodic_max_interval'
+ *    change the intervals of the PeriodicWatcher (its next lookup is
+ *    rescheduled with the new intervals).
+ *
+ *  * 'vmapi_url' and 'cueballHttpAgent' replace the HTTP client used to talk
+ *    to VMAPI. Requests in flight on the old client may fail, in which case
+ *    they're retried like any other failed update.
+ *
+ * Changes to any other options are logged as requiring a restart and are
+ * otherwise ignored. (The log level is handled by bin/vm-agent.js itself.)
+ *
+ *
+ * Dry Run
+ * =======
+ *
+ * When the 'dry_run' option is set, VmAgent does everything it normally does
+ * (runs the watchers, compares vmadm with VMAPI for the initial update, loads
+ * VMs as they change) except send anything to VMAPI. Instead, each VM that
+ * would have been sent is recorded along with how it differs from VMAPI's copy,
+ * to the file at 'dry_run_report' (as JSON lines) or otherwise to the log. See
+ * lib/dry-run-client.js for the format.
+ *
+ * This is intended for trying out a new version of vm-agent on a CN, or for
+ * auditing how far VMAPI has drifted from the CN, without changing anything.
+ * So in dry run mode the 'state_file', 'journal_file' and 'sinks' options are
+ * also ignored: those are either writes too, or state that belongs to the
+ * vm-agent that's actually updating VMAPI.
+ *
+ * Since VMAPI never hears from us, the comparison (and "GET /diff") will keep
+ * finding the same differences, and so the same VMs are recorded again after
+ * each restart or "resync --diff". While running, as normal, a VM is only
+ * recorded again when it changes.
+ *
  */
 
 var fs = require('fs');
@@ -120,12 +420,22 @@ var path = require('path');
 var assert = require('assert-plus');
 var cueball = require('cueball');
 var diff = require('deep-diff').diff;
+var jsprim = require('jsprim');
 var vasync = require('vasync');
 var vmadm = require('vmadm');
 
 var determineEventSource = require('./event-source');
+var DryRunClient = require('./dry-run-client');
+var FileSink = require('./sinks/file-sink');
+var Journal = require('./journal');
+var Metrics = require('./metrics');
+var StateFile = require('./state-file');
+var StatusServer = require('./status-server');
+var TaskLocks = require('./task-locks');
+var validateSink = require('./config-schema').validateSink;
 var VmWatcher = require('./vm-watcher');
 var VMAPI = require('./vmapi-client');
+var WebhookSink = require('./sinks/webhook-sink');
 
 
 // After a DNI VM is deleted, how long to wait before purging our knowledge that
@@ -134,14 +444,60 @@ var VMAPI = require('./vmapi-client');
 // from knownDniVms, we'll not know that this one should be ignored.
 var DNI_PURGE_DELAY_MS = 5 * 60 * 1000; // eslint-disable-line
 
+// How long to wait after a change before writing our state to the state file.
+// (in ms) This batches together the writes for changes that happen close
+// together, such as when many VMs are being updated at once.
+var CHECKPOINT_DELAY_MS = 5000;
+
+// Buckets (in seconds) for how late duplicate updates are. The periodic watcher
+// is expected to be up to its interval (60s by default) behind the others.
+var DUPLICATE_DELAY_BUCKETS = [0.1, 1, 5, 15, 30, 60, 120, 300];
+
+// VM update errors which mean we're not going to send this VM to VMAPI, so
+// should not be retried.
+var IGNORED_UPDATE_ERRORS = [
+    'VmCreationMissed',
+    'VmNotInventoriable',
+    'VmNotOnServer'
+];
+
+// Maximum number of VMs to include in a single batch when update_batch_window
+// is set.
+var MAX_BATCH_SIZE = 100;
+
+// Valid values for the 'vmapi_update_mode' option.
+var UPDATE_MODES = ['patch', 'put'];
+
+// Names of the VmWatcher events for each of the names _onVmEvent() gets.
+var WATCHER_EVENTS = {
+    create: 'VmCreated',
+    modify: 'VmModified',
+    delete: 'VmDeleted'
+};
+
+// Number of the most recent updates included in the summary of the history
+// for all VMs, see debugDump().
+var HISTORY_SUMMARY_SIZE = 20;
+
 // initial and maximum values to delay between VMAPI retries. (in ms)
 var INITIAL_UPDATE_DELAY_MS = 500;
 var MAX_UPDATE_DELAY_MS = 30000;
 
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+// Options that reloadConfig() can apply without a restart. See "Reloading
+// Configuration" above.
+var RELOADABLE_OPTIONS = [
+    'cueballHttpAgent',
+    'periodic_interval',
+    'periodic_max_interval',
+    'periodic_min_interval',
+    'vmapi_url'
+];
+
 
 function VmAgent(options) {
     var self = this;
-    var agent;
     var packageJson = path.join(path.dirname(__dirname), 'package.json');
     var userAgent;
 
@@ -149,36 +505,97 @@ function VmAgent(options) {
     assert.object(options.log, 'options.log');
     assert.optionalNumber(options.periodic_interval,
         'options.periodic_interval');
+    assert.optionalNumber(options.periodic_min_interval,
+        'options.periodic_min_interval');
+    assert.optionalNumber(options.periodic_max_interval,
+        'options.periodic_max_interval');
+    assert.optionalNumber(options.vmadm_events_sweep_interval,
+        'options.vmadm_events_sweep_interval');
+    if (typeof (options.periodic_fields) !== 'string') {
+        assert.optionalArrayOfString(options.periodic_fields,
+            'options.periodic_fields');
+    }
     assert.uuid(options.server_uuid, 'options.server_uuid');
     assert.string(options.vmapi_url, 'options.vmapi_url');
     assert.optionalObject(options.cueballHttpAgent, 'options.cueballHttpAgent');
+    assert.optionalString(options.status_socket, 'options.status_socket');
+    assert.optionalNumber(options.vm_history_size, 'options.vm_history_size');
+    assert.optionalBool(options.debug_duplicates, 'options.debug_duplicates');
+    assert.optionalNumber(options.status_port, 'options.status_port');
+    assert.optionalNumber(options.metrics_port, 'options.metrics_port');
+    assert.optionalBool(options.dry_run, 'options.dry_run');
+    assert.optionalString(options.dry_run_report, 'options.dry_run_report');
+    assert.optionalString(options.state_file, 'options.state_file');
+    assert.optionalString(options.journal_file, 'options.journal_file');
+    assert.optionalString(options.task_lock_dir, 'options.task_lock_dir');
+    assert.optionalArrayOfObject(options.sinks, 'options.sinks');
+    assert.optionalNumber(options.update_batch_window,
+        'options.update_batch_window');
+    assert.optionalNumber(options.update_concurrency,
+        'options.update_concurrency');
+    if (options.update_concurrency !== undefined) {
+        assert.ok(options.update_concurrency >= 1,
+            'options.update_concurrency must be >= 1');
+    }
+    assert.optionalNumber(options.vmapi_circuit_threshold,
+        'options.vmapi_circuit_threshold');
+    assert.optionalString(options.vmapi_update_mode,
+        'options.vmapi_update_mode');
+    assert.ok(!options.vmapi_update_mode ||
+        UPDATE_MODES.indexOf(options.vmapi_update_mode) !== -1,
+        'options.vmapi_update_mode must be one of: ' + UPDATE_MODES.join(', '));
 
     self.vmadm = options.vmadm ? options.vmadm : vmadm;
 
+    // The options we were configured with, so that reloadConfig() can tell
+    // which have changed.
+    self.config = configSnapshot(options);
+
+    // Extra fields for the PeriodicWatcher to load. Since SAPI metadata can't
+    // easily be rendered as an array in the config, these can also be a
+    // comma-separated string.
+    self.periodicFields = parseFieldList(options.periodic_fields);
+
     // Load the list of fields that VmWatcher will be watching, which we'll
     // use when comparing objects. Since VMAPI and vmadm have different default
     // fields, this is the common list. We start with just those fields that
-    // we're actually watching for changes.
-    self.comparisonFields = VmWatcher.WATCHED_FIELDS;
-
-    // We add boot_timestamp to notice case where zone has rebooted between
-    // events.
-    if (self.comparisonFields.indexOf('boot_timestamp') === -1) {
-        self.comparisonFields.push('boot_timestamp');
-    }
+    // we're actually watching for changes (which includes boot_timestamp so
+    // that we notice when a zone has rebooted between events) and any extra
+    // periodicFields. (We copy so that we never modify WATCHED_FIELDS itself.)
+    self.comparisonFields = VmWatcher.uniqueElements(VmWatcher.WATCHED_FIELDS,
+        self.periodicFields);
 
     if (options.periodic_interval) {
         self.periodicInterval = options.periodic_interval;
     }
+    // Bounds for the adaptive periodic interval, these may be undefined.
+    self.periodicMinInterval = options.periodic_min_interval;
+    self.periodicMaxInterval = options.periodic_max_interval;
+    // How often (ms) to sweep with vmadm.lookup for changes vminfod missed when
+    // using vmadm-events. Disabled if undefined or 0.
+    self.eventsSweepInterval = options.vmadm_events_sweep_interval;
+    self.historySize = options.vm_history_size; // may be undefined
+    self.debugDuplicates = options.debug_duplicates; // may be undefined
 
     self.log = options.log;
     self.server_uuid = options.server_uuid;
+    self.updateMode = options.vmapi_update_mode || 'put';
+    self.batchWindow = options.update_batch_window || 0;
+    if (self.updateMode === 'patch' && self.batchWindow > 0) {
+        // Batches are sent with a PUT of the whole objects, which would defeat
+        // the point of 'patch' mode.
+        self.log.warn('ignoring update_batch_window in vmapi_update_mode '
+            + '"patch"');
+        self.batchWindow = 0;
+    }
+    self.updateConcurrency = options.update_concurrency || 1;
     self.version = JSON.parse(fs.readFileSync(packageJson)).version;
+    self.dryRun = Boolean(options.dry_run);
 
     assert(self.version, 'missing package.json version');
 
     if (options.cueballHttpAgent) {
-        agent = new cueball.HttpAgent(options.cueballHttpAgent);
+        self.cueballAgent = new cueball.HttpAgent(options.cueballHttpAgent);
     }
 
     userAgent = 'vm-agent/' + self.version
@@ -186,16 +603,494 @@ function VmAgent(options) {
         + ' server/' + self.server_uuid;
 
     self.vmapiClient = new VMAPI({
-        agent: agent,
+        agent: self.cueballAgent, // may be undefined
+        circuitThreshold: options.vmapi_circuit_threshold,
         log: options.log,
         url: options.vmapi_url,
         userAgent: userAgent
     });
 
+    // See "Dry Run" above.
+    if (self.dryRun) {
+        self.log.warn({
+            ignoring: ['journal_file', 'sinks', 'state_file'].filter(
+                function _isSet(key) {
+                    return (options[key] !== undefined);
+                }),
+            report: options.dry_run_report
+        }, 'dry run: VMAPI will not be updated');
+
+        self.vmapiClient = new DryRunClient({
+            client: self.vmapiClient,
+            diffVm: function _diffVm(vmobj, vmapiVm) {
+                return (diffVmapiCopy(vmobj, vmapiVm, self.comparisonFields));
+            },
+            log: options.log,
+            reportPath: options.dry_run_report
+        });
+    }
+
+    self.vmapiClient.on('circuitOpen', function _onCircuitOpen() {
+        // Any VMs waiting for a retry can now wait for the circuit to close
+        // instead.
+        Object.keys(self.retryDelays).forEach(function _park(vmUuid) {
+            if (self.retryDelays[vmUuid].timer) {
+                self.parkVm(vmUuid);
+            }
+        });
+    });
+
+    self.vmapiClient.on('circuitClose', function _onCircuitClose() {
+        self.unparkVms();
+    });
+
+    if (options.state_file && !self.dryRun) {
+        self.stateFile = new StateFile({
+            log: options.log,
+            path: options.state_file
+        });
+    }
+
+    if (options.journal_file && !self.dryRun) {
+        self.journal = new Journal({
+            log: options.log,
+            path: options.journal_file
+        });
+    }
+
+    if (options.task_lock_dir) {
+        self.taskLocks = new TaskLocks({
+            dir: options.task_lock_dir,
+            log: options.log
+        });
+
+        // The watcher uses these to tell whether a stop was requested, see
+        // VmStopped in lib/vm-watcher.js.
+        self.taskLocks.on('taskStart', function _onTaskStart(vmUuid) {
+            if (self.watcher) {
+                self.watcher.setTaskRunning(vmUuid, true);
+            }
+        });
+        self.taskLocks.on('taskEnd', function _onTaskEnd(vmUuid) {
+            if (self.watcher) {
+                self.watcher.setTaskRunning(vmUuid, false);
+            }
+            self.undeferVm(vmUuid);
+        });
+    }
+
+    self.sinks = [];
+    if (options.sinks && !self.dryRun) {
+        options.sinks.forEach(function _newSink(sinkOpts, idx) {
+            var sink = createSink(sinkOpts, {
+                key: 'sinks[' + idx + ']',
+                log: options.log,
+                userAgent: userAgent
+            });
+
+            // Extra sinks are optional, so a bad one shouldn't stop us from
+            // updating VMAPI.
+            if (sink instanceof Error) {
+                self.log.error({err: sink}, 'ignoring invalid sink');
+                return;
+            }
+            self.sinks.push(sink);
+        });
+    }
+
+    self.metrics = new Metrics();
+    self.initializeMetrics();
+
+    if (options.metrics_port !== undefined) {
+        self.metricsServer = new StatusServer({
+            log: options.log,
+            port: options.metrics_port,
+            routes: [ {
+                method: 'GET',
+                path: '/metrics',
+                handler: function _getMetrics(_req, cb) {
+                    cb(null, self.metrics.toPrometheus());
+                }
+            } ]
+        });
+    }
+
+    if (options.status_socket || options.status_port !== undefined) {
+        self.statusServer = new StatusServer({
+            log: options.log,
+            port: options.status_port,
+            routes: self.statusRoutes(),
+            socketPath: options.status_socket
+        });
+    }
+
     // Now setup the properties that we can reset later (on .stop() for example)
     self.initializeProperties();
 }
 
+/*
+ * Declares all the metrics that VmAgent will keep track of. See the "Metrics"
+ * section at the top of this file.
+ */
+VmAgent.prototype.initializeMetrics = function initializeMetrics() {
+    var self = this;
+
+    self.metrics.addCounter('vm_agent_watcher_events_total',
+        'Number of VM events seen, by event type and watcher');
+    self.metrics.addHistogram('vm_agent_action_duration_seconds',
+        'Time taken by vmadm and VMAPI actions, in seconds');
+    self.metrics.addGauge('vm_agent_queue_depth',
+        'Number of VMs waiting in the VMAPI update queue',
+        function _queueDepth() {
+            return (self.queue ? self.queuedVms().length : 0);
+        });
+    self.metrics.addCounter('vm_agent_update_retries_total',
+        'Number of VMAPI updates that were scheduled for retry');
+    self.metrics.addCounter('vm_agent_dni_ignored_total',
+        'Number of VM updates ignored due to do_not_inventory');
+    self.metrics.addCounter('vm_agent_vm_stops_total',
+        'Number of VMs seen stopping, by whether it was expected and cause');
+    self.metrics.addCounter('vm_agent_task_deferred_total',
+        'Number of VM updates deferred while cn-agent had a task running');
+    self.metrics.addCounter('vm_agent_watcher_duplicates_total',
+        'Number of updates already delivered by another watcher, by watcher');
+    self.metrics.addHistogram('vm_agent_watcher_duplicate_delay_seconds',
+        'How long after the first watcher a duplicate update came, in seconds',
+        DUPLICATE_DELAY_BUCKETS);
+    self.metrics.addGauge('vm_agent_vmapi_circuit_open',
+        'Whether the circuit to VMAPI is open (1) or closed (0)',
+        function _circuitOpen() {
+            return (self.vmapiClient.circuitOpen ? 1 : 0);
+        });
+};
+
+/*
+ * Record how long (in ms) an action took in the action duration histogram.
+ */
+VmAgent.prototype.recordElapsed = function recordElapsed(action, elapsed) {
+    var self = this;
+
+    assert.string(action, 'action');
+    assert.number(elapsed, 'elapsed');
+
+    self.metrics.observe('vm_agent_action_duration_seconds',
+        {action: action}, elapsed / 1000);
+};
+
+/*
+ * Loads the state saved by checkpointState() (if we have a state file) so
+ * that we have the objects for VMs we saw before a restart. This allows us to
+ * still report VMs as destroyed if they're deleted before we're able to load
+ * them again.
+ */
+VmAgent.prototype.loadState = function loadState(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    if (!self.stateFile) {
+        callback();
+        return;
+    }
+
+    self.stateFile.load(function _onLoadState(err, state) {
+        if (err) {
+            // Not fatal, we'll just have to do without.
+            self.log.error(err, 'failed to load state file');
+            callback();
+            return;
+        }
+
+        if (!state) {
+            callback();
+            return;
+        }
+
+        self.lastSeenVms = state.lastSeenVms || {};
+        self.lastPutVms = state.lastPutVms || {};
+        self.stateLoaded = true;
+        (state.knownDniVms || []).forEach(function _addDniVm(vmUuid) {
+            self.knownDniVms[vmUuid] = {};
+        });
+
+        self.log.info({
+            knownDniVms: Object.keys(self.knownDniVms).length,
+            lastPutVms: Object.keys(self.lastPutVms).length,
+            lastSeenVms: Object.keys(self.lastSeenVms).length,
+            saved: state.saved
+        }, 'loaded state file');
+
+        callback();
+    });
+};
+
+/*
+ * Schedules a write of our current knowledge of the VMs to the state file. If
+ * a write is already scheduled, this does nothing as that write will include
+ * the latest data.
+ */
+VmAgent.prototype.checkpointState = function checkpointState() {
+    var self = this;
+
+    if (!self.stateFile || self.checkpointTimer) {
+        return;
+    }
+
+    self.checkpointTimer = setTimeout(function _checkpoint() {
+        self.checkpointTimer = null;
+
+        self.stateFile.save(self.currentState(), function _onSave(err) {
+            if (err) {
+                // We'll try again with the next change.
+                self.log.error(err, 'failed to write state file');
+                return;
+            }
+            self.log.trace('wrote state file');
+        });
+    }, CHECKPOINT_DELAY_MS);
+    self.checkpointTimer.unref();
+};
+
+/*
+ * If a checkpoint is scheduled, writes it to the state file immediately
+ * instead. This is used when we're stopping, so that we don't lose the changes
+ * since the last checkpoint.
+ */
+VmAgent.prototype.flushState = function flushState() {
+    var self = this;
+
+    if (!self.checkpointTimer) {
+        return;
+    }
+
+    clearTimeout(self.checkpointTimer);
+    self.checkpointTimer = null;
+
+    try {
+        self.stateFile.saveSync(self.currentState());
+        self.log.info('flushed state file');
+    } catch (err) {
+        self.log.error(err, 'failed to write state file');
+    }
+};
+
+/*
+ * Returns the object we write to the state file.
+ */
+VmAgent.prototype.currentState = function currentState() {
+    var self = this;
+
+    return ({
+        knownDniVms: Object.keys(self.knownDniVms),
+        lastPutVms: self.lastPutVms,
+        lastSeenVms: self.lastSeenVms
+    });
+};
+
+/*
+ * Sends VM objects that VMAPI has accepted to each of the extra sinks (see the
+ * "Sinks" section at the top of this file). changes is an object mapping the
+ * uuids of those VMs that actually changed to the result of describeChange()
+ * for sinks that publish events.
+ */
+VmAgent.prototype.publishVms = function publishVms(vmobjs, changes) {
+    var self = this;
+    var events;
+    var vms = {};
+
+    assert.arrayOfObject(vmobjs, 'vmobjs');
+    assert.object(changes, 'changes');
+
+    if (self.sinks.length === 0 || vmobjs.length === 0) {
+        return;
+    }
+
+    vmobjs.forEach(function _addVm(vmobj) {
+        vms[vmobj.uuid] = vmobj;
+    });
+
+    events = vmobjs.filter(function _changed(vmobj) {
+        return (changes.hasOwnProperty(vmobj.uuid));
+    }).map(function _toEvent(vmobj) {
+        var change = changes[vmobj.uuid];
+
+        return ({
+            event: change.event,
+            vm_uuid: vmobj.uuid,
+            server_uuid: self.server_uuid,
+            watcher: change.watcher,
+            changed_fields: change.changedFields,
+            stop: change.stop,
+            vm: vmobj
+        });
+    });
+
+    self.sinks.forEach(function _publish(sink) {
+        function _onPublish(err) {
+            if (err) {
+                self.log.warn({err: err, sink: sink.name,
+                    vms: Object.keys(vms)}, 'failed to update sink');
+            }
+        }
+
+        if (typeof (sink.publishEvents) === 'function') {
+            if (events.length > 0) {
+                sink.publishEvents(events, _onPublish);
+            }
+        } else if (vmobjs.length === 1) {
+            sink.updateVm(vmobjs[0], _onPublish);
+        } else {
+            sink.updateServerVms(self.server_uuid, vms, _onPublish);
+        }
+    });
+};
+
+/*
+ * Calls publishVms() for a single VM we're about to record in lastPutVms.
+ * vmEvent is the event recorded for the VM when we started updating it.
+ */
+VmAgent.prototype.publishVm = function publishVm(vmobj, vmEvent) {
+    var self = this;
+    var changes = {};
+
+    assert.object(vmobj, 'vmobj');
+    assert.optionalObject(vmEvent, 'vmEvent');
+
+    changes[vmobj.uuid] = describeChange(vmEvent, self.lastPutVms[vmobj.uuid],
+        vmobj, self.comparisonFields);
+    self.publishVms([vmobj], changes);
+};
+
+/*
+ * Forgets the event recorded for vmUuid once it has been published, unless
+ * a new event has been recorded since we started the update.
+ */
+VmAgent.prototype.clearVmEvent = function clearVmEvent(vmUuid, vmEvent) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    if (self.vmEvents[vmUuid] === vmEvent) {
+        delete self.vmEvents[vmUuid];
+    }
+};
+
+/*
+ * Loads the journal (if we have one) so that updates which had not been
+ * delivered to VMAPI before a restart are sent once we're ready. For deleted
+ * VMs, the journal has the object we need to send (the tombstone) which we add
+ * to lastSeenVms if we don't already have something newer from the state file.
+ */
+VmAgent.prototype.replayJournal = function replayJournal(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    if (!self.journal) {
+        callback();
+        return;
+    }
+
+    self.journal.load(function _onLoadJournal(err, records) {
+        if (err) {
+            // Not fatal, we'll just have to rely on the initial update.
+            self.log.error(err, 'failed to load journal');
+            callback();
+            return;
+        }
+
+        records.forEach(function _replayRecord(record) {
+            if (record.tombstone && !self.lastSeenVms[record.uuid]) {
+                self.lastSeenVms[record.uuid] = record.tombstone;
+            }
+        });
+
+        self.log.info({vms: records.map(function _getUuid(record) {
+            return (record.uuid);
+        })}, 'loaded journal');
+
+        callback();
+    });
+};
+
+/*
+ * Records the VM objects we're about to send to VMAPI in the journal (if we
+ * have one) and calls callback() once they're on disk. We don't want to hold
+ * up updates if the journal can't be written, so errors are only logged.
+ */
+VmAgent.prototype.journalVms = function journalVms(vmobjs, callback) {
+    var self = this;
+
+    assert.arrayOfObject(vmobjs, 'vmobjs');
+    assert.func(callback, 'callback');
+
+    if (!self.journal || vmobjs.length === 0) {
+        callback();
+        return;
+    }
+
+    self.journal.add(vmobjs, function _onAdd(err) {
+        if (err) {
+            self.log.error(err, 'failed to write journal');
+        }
+        callback();
+    });
+};
+
+/*
+ * Removes VMs from the journal once their updates have been delivered (or
+ * they no longer need to be).
+ */
+VmAgent.prototype.unjournalVms = function unjournalVms(vmUuids) {
+    var self = this;
+
+    assert.arrayOfString(vmUuids, 'vmUuids');
+
+    if (!self.journal) {
+        return;
+    }
+
+    self.journal.remove(vmUuids, function _onRemove(err) {
+        if (err) {
+            // The worst case is a duplicate update after a restart.
+            self.log.error(err, 'failed to compact journal');
+        }
+    });
+};
+
+/*
+ * Returns an array of the UUIDs of all VMs in the journal.
+ */
+VmAgent.prototype.journaledVms = function journaledVms() {
+    var self = this;
+
+    if (!self.journal) {
+        return ([]);
+    }
+
+    return (Object.keys(self.journal.pending));
+};
+
+/*
+ * After a DNI VM is deleted, we don't purge our knowledge that it was DNI
+ * right away. (See DNI_PURGE_DELAY_MS)
+ */
+VmAgent.prototype.purgeDniLater = function purgeDniLater(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    if (!self.knownDniVms[vmUuid] || self.knownDniVms[vmUuid].timer) {
+        return;
+    }
+
+    self.knownDniVms[vmUuid].timer = setTimeout(function _purgeDeletedDNI() {
+        self.log.debug({vmUuid: vmUuid}, 'purging DNI knowledge');
+        delete self.knownDniVms[vmUuid];
+        self.checkpointState();
+    }, DNI_PURGE_DELAY_MS).unref();
+};
+
 /*
  * This sets or resets the resettable properties on the VmAgent instance.
  */
@@ -210,27 +1105,283 @@ VmAgent.prototype.initializeProperties = function initializeProperties() {
         self.queue.kill();
     }
 
-    self.queue = vasync.queue(function _updateVmapiVm(vmUuid, callback) {
+    // Write out any pending checkpoint before we forget what it would have
+    // contained.
+    self.flushState();
+
+    if (self.batchTimer) {
+        clearTimeout(self.batchTimer);
+        self.batchTimer = null;
+    }
+
+    // Tasks are either a single VM's uuid, or an object with a 'vms' array of
+    // uuids when we're batching updates. (We can't push the array itself since
+    // vasync would then treat each element as a separate task.)
+    self.queue = vasync.queue(function _updateVmapiVm(task, callback) {
+        // We keep our own reference here since this will be replaced if
+        // initializeProperties() is called while the task is running.
+        var requeueVms = self.requeueVms;
+        var vms;
+
         // closure so self is correct here
         if (!self.ready) {
             callback();
             return;
         }
-        self.updateVmapiVm(vmUuid, callback);
-    }, 1);
+
+        // VMAPI is down, so don't bother trying until it's back.
+        if (self.vmapiClient.circuitOpen) {
+            [].concat(task.vms || task).forEach(function _park(vmUuid) {
+                self.parkVm(vmUuid);
+            });
+            callback();
+            return;
+        }
+
+        // cn-agent is in the middle of a task for these VMs, so wait until
+        // it's done rather than sending VMAPI the intermediate states.
+        vms = [].concat(task.vms || task).filter(function _notInTask(vmUuid) {
+            if (self.taskLocks && self.taskLocks.isLocked(vmUuid)) {
+                self.deferVm(vmUuid);
+                return (false);
+            }
+            return (true);
+        });
+        if (vms.length === 0) {
+            callback();
+            return;
+        }
+
+        function _onTaskComplete(err) {
+            // The task needs to be removed from the queue's pending list
+            // (which happens in callback) before we can requeue its VMs.
+            callback(err);
+
+            [].concat(task.vms || task).forEach(function _requeue(vmUuid) {
+                if (requeueVms[vmUuid]) {
+                    delete requeueVms[vmUuid];
+                    if (self.ready) {
+                        self.queueVm(vmUuid);
+                    }
+                }
+            });
+        }
+
+        if (typeof (task) === 'object') {
+            self.updateVmapiVms(vms, _onTaskComplete);
+            return;
+        }
+        self.updateVmapiVm(task, _onTaskComplete);
+    }, self.updateConcurrency);
 
     // set values to defaults
     self.updateDelay = INITIAL_UPDATE_DELAY_MS;
+    self.batchVms = [];
+    self.deferredVms = [];
     self.dirtyVms = [];
+    self.parkedVms = [];
+    self.requeueVms = {};
     self.retryDelays = {};
+    self.vmEvents = {};
     self.ready = false;
+    self.resyncDiffRunning = false;
     self.lastSeenVms = {};
     self.lastPutVms = {};
     self.knownDniVms = {};
+    self.stateLoaded = false;
+};
+
+/*
+ * Loads the VM object for vmUuid via vmadm and sets stash.vmobj to the object
+ * we should send to VMAPI. If the VM no longer exists, this will be the last
+ * object we saw for the VM with 'state' and 'zone_state' set to 'destroyed'.
+ *
+ * If the VM should not be sent to VMAPI, callback will be called with an error
+ * with restCode 'VmNotInventoriable' or 'VmCreationMissed'.
+ */
+VmAgent.prototype.loadVm = function loadVm(vmUuid, stash, cb) {
+    var self = this;
+    var opts = {log: self.log, uuid: vmUuid, include_dni: true};
+    var startLoad = (new Date()).getTime();
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(stash, 'stash');
+    assert.func(cb, 'cb');
+
+    function _handleLoadErr(_vmUuid, err, next) {
+        var loadErr;
+
+        if (err && err.restCode === 'VmNotFound') {
+            if (self.knownDniVms[_vmUuid]) {
+                // DNI VM was deleted, we don't send this to VMAPI but
+                // we do want to purge it from the list after some delay
+                // in case other delete events are emitted, we still
+                // need to know that this was DNI.
+                self.purgeDniLater(_vmUuid);
+                loadErr = new Error('deleted VM had do_not_inventory');
+                loadErr.restCode = 'VmNotInventoriable';
+                self.metrics.increment('vm_agent_dni_ignored_total');
+                self.log.warn({vmUuid: _vmUuid},
+                    'ignoring deleted VM with do_not_inventory');
+            } else if (self.lastSeenVms.hasOwnProperty(_vmUuid)) {
+                //
+                // We need the VM to have been seen either when it was
+                // created, or when we initially started up. Otherwise,
+                // we don't have the VM object to post to VMAPI. If we
+                // don't have a VM object we can't tell VMAPI anything
+                // about this VM.
+                //
+                // There are two known cases where we can get into this
+                // situation. Both involve the VM being deleted soon
+                // after creation, while we're still trying to load it.
+                //
+                // If we hit either of these cases, an operator can do
+                // a:
+                //
+                //  GET /vms?sync=true
+                //
+                // on VMAPI, or "vm-agent resync --diff" on the CN, to fix any
+                // inconsistency.
+                //
+                //
+                // Case 1) Destroy job through the APIs
+                //
+                // In this case, a Destroy was sent soon after a Create
+                // and somehow we were unable to load the new VM
+                // (possibly missed sysevent delayed our noticing the
+                // VM) before it had been destroyed. In this scenario,
+                // the Destroy job if it succeeded should have marked
+                // the VM as destroyed in VMAPI. So the fact that we
+                // can't do that will only matter in the case the
+                // destroy job had a bug.
+                //
+                //
+                // Case 2) Destroy happened locally via vmadm or similar
+                //
+                // In this case a VM was destroyed manually by an
+                // operator without using the APIs and we could not load
+                // the VM after creation but before the VM was
+                // destroyed.
+                //
+                // If this VM was created through the APIs, the Operator
+                // is working outside the system by deleting it and is
+                // therefore also responsible for ensuring VMAPI data
+                // makes sense.
+                //
+                // Alternatively, if the VM was created manually by the
+                // operator without the APIs (e.g. vmadm create) and
+                // disappeared before we were able to load it, it should
+                // never have been in VMAPI anyway, so there's no point
+                // in trying to update VMAPI about it. The only way
+                // manually created VMs get to VMAPI is if we notice
+                // them and notify VMAPI.
+                //
+                //
+                // The reason we won't update VMAPI in either of these
+                // cases is that the way we update VMAPI is by doing a
+                // PUT on the VM which replaces all existing fields.
+                // Since our load failed, the only information we have
+                // about the VM is:
+                //
+                //  * the uuid
+                //  * the server_uuid
+                //  * the fact that it was destroyed
+                //
+                // If VMAPI has any more information than we do
+                // (importantly owner_uuid, billing_id, etc) we don't
+                // want to wipe that information out (since we don't
+                // have it to include in our PUT). The most benefit we
+                // would get from the PUT in this case is setting the
+                // state to destroyed, but that should already happen
+                // unless there are bugs or manual intervention as
+                // outlined above. As such, we ignore the VM here and
+                // leave the state update to other processes.
+                //
+                self.lastSeenVms[_vmUuid].state = 'destroyed';
+                self.lastSeenVms[_vmUuid].zone_state = 'destroyed';
+                stash.vmobj = self.lastSeenVms[_vmUuid];
+            } else if (self.updateMode === 'patch' &&
+                self.vmapiClient.supportsPatch !== false) {
+                //
+                // As described above, we can't PUT without the VM
+                // object. But with PATCH we're able to change only the
+                // state without losing any of the other fields VMAPI
+                // has.
+                //
+                stash.vmobj = {
+                    state: 'destroyed',
+                    uuid: _vmUuid,
+                    zone_state: 'destroyed'
+                };
+                stash.patchOnly = true;
+            } else {
+                self.log.warn({vmUuid: _vmUuid}, 'no VM object for VM '
+                    + _vmUuid + ' and no longer exists.');
+
+                loadErr = new Error('VM no longer exists');
+                loadErr.restCode = 'VmCreationMissed';
+            }
+
+            next(loadErr);
+            return;
+        }
+
+        // Not an err we know how to handle, pass back up the chain
+        next(err);
+        return;
+    }
+
+    self.vmadm.load(opts, function _onVmLoad(err, vmobj) {
+        var doneLoad = (new Date()).getTime();
+        var loadErr;
+
+        if (!self.ready) {
+            // in case we shutdown while loading
+            cb();
+            return;
+        }
+
+        self.log.debug({
+            action: 'vmadm.load',
+            elapsed: (doneLoad - startLoad),
+            err: (err && err.restCode) ? err.restCode : err
+        }, 'completed vmadm.load() for updateVmapiVm()');
+        self.recordElapsed('vmadm.load', doneLoad - startLoad);
+
+        self.log.trace({vmUuid: vmUuid, vmobj: vmobj},
+            'vmadm.load results');
+
+        if (err) {
+            _handleLoadErr(vmUuid, err, cb);
+            return;
+        } else if (vmobj.do_not_inventory) {
+            loadErr = new Error('VM has do_not_inventory set');
+            loadErr.restCode = 'VmNotInventoriable';
+            self.metrics.increment('vm_agent_dni_ignored_total');
+            self.log.warn({vmUuid: vmUuid},
+                'ignoring VM with do_not_inventory');
+            if (!self.knownDniVms[vmUuid]) {
+                self.knownDniVms[vmUuid] = {};
+                self.checkpointState();
+            }
+            cb(loadErr);
+            return;
+        }
+
+        // no error, so we must have a VM object, and it's not DNI
+        assert.object(vmobj, 'vmobj');
+        delete self.knownDniVms[vmUuid];
+
+        self.lastSeenVms[vmUuid] = vmobj;
+        stash.vmobj = vmobj;
+        cb();
+    });
 };
 
 VmAgent.prototype.updateVmapiVm = function updateVmapiVm(vmUuid, callback) {
     var self = this;
+    // The event that caused this update, see describeChange().
+    var vmEvent = self.vmEvents[vmUuid];
 
     assert.uuid(vmUuid, 'vmUuid');
     assert.func(callback, 'callback');
@@ -247,170 +1398,133 @@ VmAgent.prototype.updateVmapiVm = function updateVmapiVm(vmUuid, callback) {
      */
     vasync.pipeline({arg: {}, funcs: [
         function _loadVm(stash, cb) {
-            var opts = {log: self.log, uuid: vmUuid, include_dni: true};
-            var startLoad = (new Date()).getTime();
-
-            function _handleLoadErr(_vmUuid, err, next) {
-                var loadErr;
-
-                if (err && err.restCode === 'VmNotFound') {
-                    if (self.knownDniVms[_vmUuid]) {
-                        // DNI VM was deleted, we don't send this to VMAPI but
-                        // we do want to purge it from the list after some delay
-                        // in case other delete events are emitted, we still
-                        // need to know that this was DNI.
-                        if (!self.knownDniVms[_vmUuid].timer) {
-                            self.knownDniVms[_vmUuid].timer = setTimeout(
-                                function _purgeDeletedDNI() {
-                                    self.log.debug({vmUuid: _vmUuid},
-                                        'purging DNI knowledge');
-                                    delete self.knownDniVms[_vmUuid];
-                                },
-                                DNI_PURGE_DELAY_MS
-                            ).unref();
-                        }
-                        loadErr = new Error('deleted VM had do_not_inventory');
-                        loadErr.restCode = 'VmNotInventoriable';
-                        self.log.warn({vmUuid: _vmUuid},
-                            'ignoring deleted VM with do_not_inventory');
-                    } else if (self.lastSeenVms.hasOwnProperty(_vmUuid)) {
-                        //
-                        // We need the VM to have been seen either when it was
-                        // created, or when we initially started up. Otherwise,
-                        // we don't have the VM object to post to VMAPI. If we
-                        // don't have a VM object we can't tell VMAPI anything
-                        // about this VM.
-                        //
-                        // There are two known cases where we can get into this
-                        // situation. Both involve the VM being deleted soon
-                        // after creation, while we're still trying to load it.
-                        //
-                        // If we hit either of these cases, an operator can do
-                        // a:
-                        //
-                        //  GET /vms?sync=true
-                        //
-                        // on VMAPI to fix any inconsistency.
-                        //
-                        //
-                        // Case 1) Destroy job through the APIs
-                        //
-                        // In this case, a Destroy was sent soon after a Create
-                        // and somehow we were unable to load the new VM
-                        // (possibly missed sysevent delayed our noticing the
-                        // VM) before it had been destroyed. In this scenario,
-                        // the Destroy job if it succeeded should have marked
-                        // the VM as destroyed in VMAPI. So the fact that we
-                        // can't do that will only matter in the case the
-                        // destroy job had a bug.
-                        //
-                        //
-                        // Case 2) Destroy happened locally via vmadm or similar
-                        //
-                        // In this case a VM was destroyed manually by an
-                        // operator without using the APIs and we could not load
-                        // the VM after creation but before the VM was
-                        // destroyed.
-                        //
-                        // If this VM was created through the APIs, the Operator
-                        // is working outside the system by deleting it and is
-                        // therefore also responsible for ensuring VMAPI data
-                        // makes sense.
-                        //
-                        // Alternatively, if the VM was created manually by the
-                        // operator without the APIs (e.g. vmadm create) and
-                        // disappeared before we were able to load it, it should
-                        // never have been in VMAPI anyway, so there's no point
-                        // in trying to update VMAPI about it. The only way
-                        // manually created VMs get to VMAPI is if we notice
-                        // them and notify VMAPI.
-                        //
-                        //
-                        // The reason we won't update VMAPI in either of these
-                        // cases is that the way we update VMAPI is by doing a
-                        // PUT on the VM which replaces all existing fields.
-                        // Since our load failed, the only information we have
-                        // about the VM is:
-                        //
-                        //  * the uuid
-                        //  * the server_uuid
-                        //  * the fact that it was destroyed
-                        //
-                        // If VMAPI has any more information than we do
-                        // (importantly owner_uuid, billing_id, etc) we don't
-                        // want to wipe that information out (since we don't
-                        // have it to include in our PUT). The most benefit we
-                        // would get from the PUT in this case is setting the
-                        // state to destroyed, but that should already happen
-                        // unless there are bugs or manual intervention as
-                        // outlined above. As such, we ignore the VM here and
-                        // leave the state update to other processes.
-                        //
-                        self.lastSeenVms[_vmUuid].state = 'destroyed';
-                        self.lastSeenVms[_vmUuid].zone_state = 'destroyed';
-                        stash.vmobj = self.lastSeenVms[_vmUuid];
-                    } else {
-                        self.log.warn({vmUuid: _vmUuid}, 'no VM object for VM '
-                            + _vmUuid + ' and no longer exists.');
+            self.loadVm(vmUuid, stash, cb);
+        }, function _journalVm(stash, cb) {
+            if (!self.ready) {
+                cb();
+                return;
+            }
 
-                        loadErr = new Error('VM no longer exists');
-                        loadErr.restCode = 'VmCreationMissed';
-                    }
+            // For patchOnly we only have the state, which is not something we
+            // could PUT later, so that's journaled as a VM to reload.
+            self.journalVms([stash.patchOnly ? {uuid: vmUuid} : stash.vmobj],
+                cb);
+        }, function _checkPatchOnly(stash, cb) {
+            if (!self.ready || !stash.patchOnly) {
+                cb();
+                return;
+            }
+
+            // For patchOnly we've never seen the VM, so nothing tells us it
+            // was ever on this CN. Before telling VMAPI it's destroyed, we
+            // make sure VMAPI also thinks it's ours.
+            self.vmapiClient.getVm(vmUuid, function _onGetVm(err, vmobj) {
+                var checkErr;
+
+                if (err && err.statusCode === 404) {
+                    checkErr = new Error('VM no longer exists');
+                    checkErr.restCode = 'VmCreationMissed';
+                    cb(checkErr);
+                    return;
+                } else if (err) {
+                    cb(err);
+                    return;
+                }
 
-                    next(loadErr);
+                if (vmobj.server_uuid !== self.server_uuid) {
+                    self.log.warn({
+                        vmUuid: vmUuid,
+                        vmapiServerUuid: vmobj.server_uuid
+                    }, 'VM is not on this server in VMAPI, not marking it '
+                        + 'destroyed');
+                    checkErr = new Error('VM is not on this server');
+                    checkErr.restCode = 'VmNotOnServer';
+                    cb(checkErr);
                     return;
                 }
 
-                // Not an err we know how to handle, pass back up the chain
-                next(err);
+                cb();
+            });
+        }, function _patchVm(stash, cb) {
+            var startUpdate = (new Date()).getTime();
+
+            if (!self.ready || self.updateMode !== 'patch') {
+                cb();
                 return;
             }
 
-            self.vmadm.load(opts, function _onVmLoad(err, vmobj) {
-                var doneLoad = (new Date()).getTime();
-                var loadErr;
+            assert.object(stash.vmobj, 'stash.vmobj');
 
-                if (!self.ready) {
-                    // in case we shutdown while loading
+            if (!stash.patchOnly) {
+                if (!self.lastPutVms.hasOwnProperty(vmUuid)) {
+                    // Nothing to compare to, _putVm will send the whole VM.
                     cb();
                     return;
                 }
+                stash.changes = changedFields(self.lastPutVms[vmUuid],
+                    stash.vmobj, self.comparisonFields);
+            } else {
+                stash.changes = {
+                    state: stash.vmobj.state,
+                    zone_state: stash.vmobj.zone_state
+                };
+            }
 
-                self.log.debug({
-                    action: 'vmadm.load',
-                    elapsed: (doneLoad - startLoad),
-                    err: (err && err.restCode) ? err.restCode : err
-                }, 'completed vmadm.load() for updateVmapiVm()');
-
-                self.log.trace({vmUuid: vmUuid, vmobj: vmobj},
-                    'vmadm.load results');
+            if (Object.keys(stash.changes).length === 0) {
+                self.log.debug({vmUuid: vmUuid},
+                    'VM unchanged since last update, skipping PATCH');
+                stash.updated = true;
+                cb();
+                return;
+            }
 
-                if (err) {
-                    _handleLoadErr(vmUuid, err, cb);
-                    return;
-                } else if (vmobj.do_not_inventory) {
-                    loadErr = new Error('VM has do_not_inventory set');
-                    loadErr.restCode = 'VmNotInventoriable';
-                    self.log.warn({vmUuid: vmUuid},
-                        'ignoring VM with do_not_inventory');
-                    self.knownDniVms[vmUuid] = {};
-                    cb(loadErr);
-                    return;
-                }
+            self.vmapiClient.patchVm(vmUuid, stash.changes,
+                function _onVmPatch(err) {
+                    var doneUpdate = (new Date()).getTime();
 
-                // no error, so we must have a VM object, and it's not DNI
-                assert.object(vmobj, 'vmobj');
-                delete self.knownDniVms[vmUuid];
+                    self.log.debug({
+                        action: 'VMAPI.patchVm',
+                        elapsed: (doneUpdate - startUpdate),
+                        err: err
+                    }, 'completed VMAPI.patchVm() for updateVmapiVm()');
+                    self.recordElapsed('VMAPI.patchVm',
+                        doneUpdate - startUpdate);
+
+                    if (err && (err.restCode === 'PatchNotSupported' ||
+                        err.statusCode === 404)) {
+                        if (stash.patchOnly) {
+                            // We don't have the whole object to PUT.
+                            err = new Error('VM no longer exists');
+                            err.restCode = 'VmCreationMissed';
+                            cb(err);
+                            return;
+                        }
+                        // fall back to PUT of the whole object
+                        cb();
+                        return;
+                    } else if (err) {
+                        cb(err);
+                        return;
+                    }
 
-                self.lastSeenVms[vmUuid] = vmobj;
-                stash.vmobj = vmobj;
-                cb();
-            });
+                    // For patchOnly we only have the state, which is not
+                    // something later changes could be compared with, and
+                    // we never saw the VM so there was nothing to replace.
+                    if (!stash.patchOnly) {
+                        self.publishVm(stash.vmobj, vmEvent);
+                        self.lastPutVms[vmUuid] = jsprim.deepCopy(stash.vmobj);
+                        self.checkpointState();
+                    }
+                    stash.updated = true;
+                    cb();
+                }
+            );
         }, function _putVm(stash, cb) {
             var startUpdate = (new Date()).getTime();
 
-            if (!self.ready) {
-                // in case we shutdown while running
+            if (!self.ready || stash.updated) {
+                // in case we shutdown while running, or we've already updated
+                // VMAPI via PATCH.
                 cb();
                 return;
             }
@@ -425,6 +1539,13 @@ VmAgent.prototype.updateVmapiVm = function updateVmapiVm(vmUuid, callback) {
                     elapsed: (doneUpdate - startUpdate),
                     err: err
                 }, 'completed VMAPI.updateVm() for updateVmapiVm()');
+                self.recordElapsed('VMAPI.updateVm', doneUpdate - startUpdate);
+
+                if (!err) {
+                    self.publishVm(stash.vmobj, vmEvent);
+                    self.lastPutVms[vmUuid] = jsprim.deepCopy(stash.vmobj);
+                    self.checkpointState();
+                }
 
                 cb(err);
             });
@@ -434,19 +1555,17 @@ VmAgent.prototype.updateVmapiVm = function updateVmapiVm(vmUuid, callback) {
 
         // We don't sent updates for VMs that have do_not_inventory set or which
         // disappeared while loading.
-        if (err && [
-            'VmCreationMissed',
-            'VmNotInventoriable'
-        ].indexOf(err.restCode) !== -1) {
+        if (err && IGNORED_UPDATE_ERRORS.indexOf(err.restCode) !== -1) {
             ignore = true;
         }
 
         if (ignore || !err || !self.ready) {
             // on success or if we're ignoring this VM, we clear the retryDelay
             // for next time.
-            if (self.retryDelays[vmUuid]) {
-                clearTimeout(self.retryDelays[vmUuid].timer);
-                delete self.retryDelays[vmUuid];
+            self.clearRetry(vmUuid);
+            self.clearVmEvent(vmUuid, vmEvent);
+            if (self.ready) {
+                self.unjournalVms([vmUuid]);
             }
 
             callback();
@@ -457,8 +1576,148 @@ VmAgent.prototype.updateVmapiVm = function updateVmapiVm(vmUuid, callback) {
             'update failed, scheduling retry');
         self.scheduleRetryUpdate(vmUuid);
 
-        callback(err);
-    });
+        callback(err);
+    });
+};
+
+/*
+ * Like updateVmapiVm() but for a batch of VMs. The VMs are all loaded and then
+ * sent to VMAPI together in a single:
+ *
+ *     PUT /vms?server_uuid=<uuid>
+ *
+ * Any VM that fails to load, and all the VMs in the batch if the PUT fails,
+ * are then processed individually through updateVmapiVm() which will take
+ * care of scheduling retries.
+ */
+VmAgent.prototype.updateVmapiVms = function updateVmapiVms(vmUuids, callback) {
+    var self = this;
+    var changes = {};
+    var fallbackVms = [];
+    var vmEvents = {};
+    var vms = {};
+
+    assert.arrayOfString(vmUuids, 'vmUuids');
+    assert.func(callback, 'callback');
+    assert.ok(self.ready, 'no updates until init complete');
+
+    vasync.pipeline({arg: {}, funcs: [
+        function _loadVms(_stash, cb) {
+            vasync.forEachPipeline({
+                inputs: vmUuids,
+                func: function _loadOneVm(vmUuid, next) {
+                    var vmStash = {};
+
+                    vmEvents[vmUuid] = self.vmEvents[vmUuid];
+                    self.loadVm(vmUuid, vmStash, function _onLoad(err) {
+                        if (err &&
+                            IGNORED_UPDATE_ERRORS.indexOf(err.restCode) !==
+                            -1) {
+                            self.clearRetry(vmUuid);
+                            self.unjournalVms([vmUuid]);
+                            self.clearVmEvent(vmUuid, vmEvents[vmUuid]);
+                        } else if (err || vmStash.patchOnly) {
+                            fallbackVms.push(vmUuid);
+                        } else if (vmStash.vmobj) {
+                            vms[vmUuid] = vmStash.vmobj;
+                        }
+                        next();
+                    });
+                }
+            }, cb);
+        }, function _journalVms(_stash, cb) {
+            if (!self.ready) {
+                cb();
+                return;
+            }
+
+            self.journalVms(Object.keys(vms).map(function _getVm(vmUuid) {
+                return (vms[vmUuid]);
+            }), cb);
+        }, function _putVms(_stash, cb) {
+            var startUpdate = (new Date()).getTime();
+
+            if (!self.ready || Object.keys(vms).length === 0) {
+                cb();
+                return;
+            }
+
+            self.vmapiClient.updateServerVms(self.server_uuid, vms,
+                function _updateServerVmsCb(err) {
+                    var doneUpdate = (new Date()).getTime();
+
+                    self.log.debug({
+                        action: 'VMAPI.updateServerVms',
+                        elapsed: (doneUpdate - startUpdate),
+                        err: err,
+                        vmCount: Object.keys(vms).length
+                    }, 'completed VMAPI.updateServerVms() for batch');
+                    self.recordElapsed('VMAPI.updateServerVms',
+                        doneUpdate - startUpdate);
+
+                    if (err) {
+                        self.log.warn({err: err, vms: Object.keys(vms)},
+                            'batch update failed, updating VMs individually');
+                        fallbackVms = fallbackVms.concat(Object.keys(vms));
+                        cb();
+                        return;
+                    }
+
+                    Object.keys(vms).forEach(function _onPut(vmUuid) {
+                        changes[vmUuid] = describeChange(vmEvents[vmUuid],
+                            self.lastPutVms[vmUuid], vms[vmUuid],
+                            self.comparisonFields);
+                        self.clearVmEvent(vmUuid, vmEvents[vmUuid]);
+                        self.lastPutVms[vmUuid] = jsprim.deepCopy(vms[vmUuid]);
+                        self.clearRetry(vmUuid);
+                    });
+                    self.unjournalVms(Object.keys(vms));
+                    self.checkpointState();
+                    self.publishVms(Object.keys(vms).map(
+                        function _getVm(vmUuid) {
+                            return (vms[vmUuid]);
+                        }), changes);
+                    cb();
+                }
+            );
+        }, function _updateFallbackVms(_stash, cb) {
+            vasync.forEachPipeline({
+                inputs: fallbackVms,
+                func: function _updateOneVm(vmUuid, next) {
+                    if (!self.ready) {
+                        next();
+                        return;
+                    }
+                    if (self.vmapiClient.circuitOpen) {
+                        self.parkVm(vmUuid);
+                        next();
+                        return;
+                    }
+                    // updateVmapiVm() schedules a retry on failure, so we
+                    // don't need to do anything with the error here.
+                    self.updateVmapiVm(vmUuid, function _onUpdate() {
+                        next();
+                    });
+                }
+            }, cb);
+        }
+    ]}, function _updateVmsComplete(err) {
+        callback(err);
+    });
+};
+
+/*
+ * Clears any pending retry for vmUuid and resets its retry delay.
+ */
+VmAgent.prototype.clearRetry = function clearRetry(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    if (self.retryDelays[vmUuid]) {
+        clearTimeout(self.retryDelays[vmUuid].timer);
+        delete self.retryDelays[vmUuid];
+    }
 };
 
 /*
@@ -472,6 +1731,13 @@ VmAgent.prototype.scheduleRetryUpdate = function scheduleRetryUpdate(vmUuid) {
 
     assert.uuid(vmUuid, 'vmUuid');
 
+    if (self.vmapiClient.circuitOpen) {
+        // No per-VM retry while VMAPI is down, we'll retry all parked VMs
+        // when the circuit closes.
+        self.parkVm(vmUuid);
+        return;
+    }
+
     if (self.retryDelays[vmUuid] && self.retryDelays[vmUuid].timer) {
         // Had an error, but we also already have a timer, so don't start
         // another one, or increment the delay.
@@ -493,6 +1759,7 @@ VmAgent.prototype.scheduleRetryUpdate = function scheduleRetryUpdate(vmUuid) {
     }
 
     self.log.trace('scheduling retry for ' + vmUuid + ' in ' + delay + ' ms');
+    self.metrics.increment('vm_agent_update_retries_total');
     self.retryDelays[vmUuid].timer = setTimeout(function _delayedRetry() {
         if (self.retryDelays[vmUuid]) {
             delete self.retryDelays[vmUuid].timer;
@@ -501,6 +1768,85 @@ VmAgent.prototype.scheduleRetryUpdate = function scheduleRetryUpdate(vmUuid) {
     }, delay);
 };
 
+/*
+ * Parks a VM until the circuit to VMAPI closes. Any pending retry is cancelled
+ * since unparkVms() will requeue the VM.
+ */
+VmAgent.prototype.parkVm = function parkVm(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    self.clearRetry(vmUuid);
+    if (self.parkedVms.indexOf(vmUuid) === -1) {
+        self.log.trace({vmUuid: vmUuid}, 'VMAPI circuit open, parking VM');
+        self.parkedVms.push(vmUuid);
+    }
+};
+
+/*
+ * Called when the circuit to VMAPI closes to add all the parked VMs back to the
+ * queue.
+ */
+VmAgent.prototype.unparkVms = function unparkVms() {
+    var self = this;
+    var parkedVms = self.parkedVms;
+
+    self.parkedVms = [];
+
+    if (!self.ready) {
+        return;
+    }
+
+    self.log.info({vmCount: parkedVms.length},
+        'VMAPI circuit closed, requeueing parked VMs');
+
+    parkedVms.forEach(function _unpark(vmUuid) {
+        self.queueVm(vmUuid);
+    });
+};
+
+/*
+ * Defers updates for a VM until cn-agent's task for it ends. Like parkVm() any
+ * pending retry is cancelled since undeferVm() will requeue the VM.
+ */
+VmAgent.prototype.deferVm = function deferVm(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    self.clearRetry(vmUuid);
+    if (self.deferredVms.indexOf(vmUuid) === -1) {
+        self.log.debug({vmUuid: vmUuid}, 'VM has task running, deferring');
+        self.metrics.increment('vm_agent_task_deferred_total');
+        self.deferredVms.push(vmUuid);
+    }
+};
+
+/*
+ * Called when cn-agent's task for vmUuid ends to add the VM back to the queue
+ * if we deferred any updates for it.
+ */
+VmAgent.prototype.undeferVm = function undeferVm(vmUuid) {
+    var self = this;
+    var idx;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    idx = self.deferredVms.indexOf(vmUuid);
+    if (idx === -1) {
+        return;
+    }
+    self.deferredVms.splice(idx, 1);
+
+    if (!self.ready) {
+        return;
+    }
+
+    self.log.debug({vmUuid: vmUuid}, 'VM task ended, requeueing');
+    self.queueVm(vmUuid);
+};
+
 /*
  * The fact that we use this queue serially has the additional advantage
  * currently of debouncing updates that are coming in frequently. For example if
@@ -510,25 +1856,96 @@ VmAgent.prototype.scheduleRetryUpdate = function scheduleRetryUpdate(vmUuid) {
  */
 VmAgent.prototype.queueVm = function queueVm(vmUuid) {
     var self = this;
-    var alreadyQueued = false;
-    var queueIdx;
+    var alreadyQueued;
 
     assert.uuid(vmUuid, 'vmUuid');
 
     // If we don't already have a queued update for this VM, queue one.
     //
     // NOTE: the queue.queued does not include any vmUuid that is currently
-    // being processed, which is fine because we may be past the lookup and
-    // in the waiting for VMAPI phase. We need to update again when we can.
+    // being processed, so we check that separately. We may be past the lookup
+    // and in the waiting for VMAPI phase so we need to update again when we
+    // can, but not until the current update is complete.
     //
-    for (queueIdx in self.queue.queued) {
-        if (self.queue.queued[queueIdx].task === vmUuid) {
-            alreadyQueued = true;
+    alreadyQueued = (self.queuedVms().indexOf(vmUuid) !== -1);
+    if (alreadyQueued) {
+        return;
+    }
+
+    if (self.inflightVms().indexOf(vmUuid) !== -1) {
+        self.requeueVms[vmUuid] = true;
+        return;
+    }
+
+    if (self.batchWindow > 0) {
+        self.batchVms.push(vmUuid);
+        if (self.batchVms.length >= MAX_BATCH_SIZE) {
+            self.flushBatch();
+        } else if (!self.batchTimer) {
+            self.batchTimer = setTimeout(function _flushBatch() {
+                self.flushBatch();
+            }, self.batchWindow);
         }
+        return;
+    }
+
+    self.queue.push(vmUuid);
+};
+
+/*
+ * Pushes the VMs that have been collected in batchVms into the queue as a
+ * single task.
+ */
+VmAgent.prototype.flushBatch = function flushBatch() {
+    var self = this;
+    var batch = self.batchVms;
+
+    if (self.batchTimer) {
+        clearTimeout(self.batchTimer);
+        self.batchTimer = null;
     }
-    if (!alreadyQueued) {
-        self.queue.push(vmUuid);
+
+    if (batch.length === 0) {
+        return;
     }
+
+    self.batchVms = [];
+    self.queue.push(batch.length === 1 ? batch[0] : {vms: batch});
+};
+
+/*
+ * Returns an array of the UUIDs of all VMs which are waiting for an update,
+ * either in the queue or in the batch we're still collecting.
+ */
+VmAgent.prototype.queuedVms = function queuedVms() {
+    var self = this;
+    var vms = [];
+
+    self.queue.queued.forEach(function _addTaskVms(entry) {
+        vms = vms.concat(entry.task.vms || entry.task);
+    });
+
+    return (vms.concat(self.batchVms));
+};
+
+/*
+ * Returns an array of the UUIDs of all VMs which have an update in progress.
+ *
+ * NOTE: this uses queue.pending rather than tracking the VMs ourselves in the
+ * worker, since vasync removes a task from queue.queued as soon as it is
+ * dispatched but doesn't call the worker until the next tick.
+ */
+VmAgent.prototype.inflightVms = function inflightVms() {
+    var self = this;
+    var vms = [];
+
+    Object.keys(self.queue.pending).forEach(function _addTaskVms(id) {
+        var task = self.queue.pending[id].task;
+
+        vms = vms.concat(task.vms || task);
+    });
+
+    return (vms);
 };
 
 VmAgent.prototype.setupWatcher = function setupWatcher(callback) {
@@ -543,6 +1960,17 @@ VmAgent.prototype.setupWatcher = function setupWatcher(callback) {
 
         self.log.debug('Saw ' + name + ': ' + vmUuid
             + (watcher ? ' [' + watcher + ']' : ''));
+        self.metrics.increment('vm_agent_watcher_events_total',
+            {event: name, watcher: watcher});
+
+        // Remember why the VM is being updated for sinks that publish events.
+        // A modify doesn't hide an earlier create or delete.
+        if (!self.vmEvents[vmUuid] || name !== 'modify') {
+            self.vmEvents[vmUuid] = {
+                event: WATCHER_EVENTS[name],
+                watcher: watcher
+            };
+        }
 
         // During initialization we store the set of VMs that need updates
         // in self.dirtyVms and will add those to the queue when initialization
@@ -567,12 +1995,19 @@ VmAgent.prototype.setupWatcher = function setupWatcher(callback) {
             // Setup the watcher that will notice VM changes and add to the
             // update-to-VMAPI queue.
             self.log.info('determined best eventSource: %s', eventSource);
+            self.eventSource = eventSource;
 
             self.watcher = new VmWatcher({
                 log: self.log,
+                debugDuplicates: self.debugDuplicates, // may be undefined
                 eventSource: eventSource,
+                eventsSweepInterval: self.eventsSweepInterval,
                 vmadm: self.vmadm,
-                periodicInterval: self.periodicInterval // may be undefined
+                historySize: self.historySize, // may be undefined
+                periodicFields: self.periodicFields,
+                periodicInterval: self.periodicInterval, // may be undefined
+                periodicMaxInterval: self.periodicMaxInterval,
+                periodicMinInterval: self.periodicMinInterval
             });
 
             self.watcher.on('VmCreated', function _onCreate(vmUuid, watcher) {
@@ -593,6 +2028,55 @@ VmAgent.prototype.setupWatcher = function setupWatcher(callback) {
                 _onVmEvent(vmUuid, 'delete', watcher);
             });
 
+            // The VmModified for the stop will already have queued the update,
+            // here we just need to report whether it was expected.
+            self.watcher.on('VmStopped',
+                function _onStop(vmUuid, watcher, _changes, stop) {
+                    var vmEvent = self.vmEvents[vmUuid];
+
+                    assert.uuid(vmUuid, 'vmUuid');
+                    assert.string(watcher, 'watcher');
+                    assert.object(stop, 'stop');
+
+                    self.metrics.increment('vm_agent_vm_stops_total', {
+                        cause: stop.cause,
+                        expected: String(stop.expected)
+                    });
+
+                    if (stop.expected) {
+                        self.log.info({vmUuid: vmUuid, stop: stop,
+                            watcher: watcher}, 'VM stopped');
+                    } else {
+                        self.log.warn({vmUuid: vmUuid, stop: stop,
+                            watcher: watcher}, 'VM stopped unexpectedly');
+                    }
+
+                    if (!vmEvent || vmEvent.event === 'VmModified') {
+                        self.vmEvents[vmUuid] = {
+                            event: 'VmStopped',
+                            stop: stop,
+                            watcher: watcher
+                        };
+                    }
+                });
+
+            self.watcher.on('VmDuplicate',
+                function _onDuplicate(vmUuid, watcher, duplicate) {
+                    var labels = {
+                        first_watcher: duplicate.firstWatcher,
+                        watcher: watcher
+                    };
+
+                    assert.uuid(vmUuid, 'vmUuid');
+                    assert.string(watcher, 'watcher');
+
+                    self.metrics.increment('vm_agent_watcher_duplicates_total',
+                        labels);
+                    self.metrics.observe(
+                        'vm_agent_watcher_duplicate_delay_seconds', labels,
+                        duplicate.delay / 1000);
+                });
+
             callback();
         }
     );
@@ -600,12 +2084,296 @@ VmAgent.prototype.setupWatcher = function setupWatcher(callback) {
     // NOTE: watcher gets started as part of initialUpdate
 };
 
+/*
+ * Returns a summary of histories (from VmWatcher's getHistories()) with the
+ * number of VMs and updates, and the most recent HISTORY_SUMMARY_SIZE updates
+ * (newest last), each with the vm_uuid added.
+ */
+function summarizeHistories(histories) {
+    var updates = [];
+
+    Object.keys(histories).forEach(function _addVm(vmUuid) {
+        histories[vmUuid].forEach(function _addUpdate(entry) {
+            var update = jsprim.deepCopy(entry);
+
+            update.vm_uuid = vmUuid;
+            updates.push(update);
+        });
+    });
+
+    updates.sort(function _byTime(a, b) {
+        return (a.timestamp < b.timestamp ? -1 :
+            (a.timestamp > b.timestamp ? 1 : 0));
+    });
+
+    return ({
+        vms: Object.keys(histories).length,
+        updates: updates.length,
+        recent: updates.slice(-HISTORY_SUMMARY_SIZE)
+    });
+}
+
+/*
+ * Creates an extra sink from the sinkOpts in the 'sinks' option. See "Sinks"
+ * at the top of this file. If sinkOpts are invalid, an Error describing the
+ * problems (each starting with opts.key, e.g. 'sinks[0]') is returned instead.
+ */
+function createSink(sinkOpts, opts) {
+    var result;
+    var sink;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.key, 'opts.key');
+
+    result = validateSink(sinkOpts, opts.key);
+    if (result.errors.length > 0) {
+        return (new Error('invalid sink: ' + result.errors.join(', ')));
+    }
+
+    switch (sinkOpts.type) {
+        case 'file':
+            sink = new FileSink({
+                log: opts.log,
+                path: sinkOpts.path
+            });
+            break;
+        case 'vmapi':
+            sink = new VMAPI({
+                log: opts.log,
+                url: sinkOpts.url,
+                userAgent: opts.userAgent
+            });
+            sink.name = 'vmapi:' + sinkOpts.url;
+            break;
+        case 'webhook':
+            sink = new WebhookSink({
+                log: opts.log,
+                retries: sinkOpts.retries,
+                secret: sinkOpts.secret,
+                url: sinkOpts.url,
+                userAgent: opts.userAgent
+            });
+            break;
+        default:
+            // validateSink() only allows the types above.
+            assert(false, 'unknown sink type: ' + sinkOpts.type);
+            break;
+    }
+
+    return (sink);
+}
+
+/*
+ * Returns the value VMAPI uses for field when it's not set: {} for the
+ * metadata and tags (see VMAPI_DEFAULT_FIELDS) and null for everything else.
+ * Fields that VMAPI always sets (VMAPI_ALWAYS_SET_FIELDS) are removed with null
+ * as before.
+ */
+function unsetValue(field) {
+    if (!VMAPI.VMAPI_ALWAYS_SET_FIELDS.hasOwnProperty(field) &&
+        VMAPI.VMAPI_DEFAULT_FIELDS.hasOwnProperty(field)) {
+        return (jsprim.deepCopy(VMAPI.VMAPI_DEFAULT_FIELDS[field]));
+    }
+
+    return (null);
+}
+
+/*
+ * Returns an object containing those of the given fields (usually
+ * comparisonFields) whose values differ between oldVmobj and newVmobj, with
+ * the values from newVmobj. Both are compared as passed through
+ * makeComparable(), so other fields are ignored and a field that's missing on
+ * one side and has its default value on the other (e.g. customer_metadata of
+ * {}) has not changed. Fields that were removed from newVmobj are included
+ * with their unset value (usually null) to indicate that they should be
+ * removed.
+ */
+function changedFields(oldVmobj, newVmobj, fields) {
+    var changes = {};
+    var newComparable;
+    var oldComparable;
+
+    assert.object(oldVmobj, 'oldVmobj');
+    assert.object(newVmobj, 'newVmobj');
+    assert.arrayOfString(fields, 'fields');
+
+    newComparable = makeComparable(newVmobj, fields, 'vmadm');
+    oldComparable = makeComparable(oldVmobj, fields, 'vmadm');
+
+    fields.forEach(function _checkField(field) {
+        if (newComparable.hasOwnProperty(field)) {
+            // diff() returns undefined when the values *are the same*
+            if (!oldComparable.hasOwnProperty(field) ||
+                diff(oldComparable[field], newComparable[field])) {
+                changes[field] = newVmobj[field];
+            }
+        } else if (oldComparable.hasOwnProperty(field)) {
+            changes[field] = unsetValue(field);
+        }
+    });
+
+    return (changes);
+}
+
+/*
+ * Returns an object with the 'event', 'watcher' and 'changedFields' describing
+ * the change from oldVmobj (the last object we sent, if any) to newVmobj for
+ * sinks that publish events. vmEvent is the {event, watcher} last recorded
+ * from the watchers for this VM, if any. The changedFields are those of fields
+ * that changed (see changedFields()). See "Sinks" at the top of this file.
+ */
+function describeChange(vmEvent, oldVmobj, newVmobj, fields) {
+    var change = {
+        event: (vmEvent ? vmEvent.event : null),
+        watcher: (vmEvent ? vmEvent.watcher : null)
+    };
+
+    assert.optionalObject(vmEvent, 'vmEvent');
+    assert.optionalObject(oldVmobj, 'oldVmobj');
+    assert.object(newVmobj, 'newVmobj');
+    assert.arrayOfString(fields, 'fields');
+
+    if (newVmobj.state === 'destroyed') {
+        change.event = 'VmDeleted';
+        change.changedFields = ['state', 'zone_state'];
+    } else if (!oldVmobj) {
+        change.event = change.event || 'VmCreated';
+        change.changedFields = Object.keys(newVmobj).sort();
+    } else {
+        change.event = change.event || 'VmModified';
+        change.changedFields =
+            Object.keys(changedFields(oldVmobj, newVmobj, fields)).sort();
+    }
+
+    if (change.event === 'VmStopped') {
+        change.stop = vmEvent.stop;
+    }
+
+    return (change);
+}
+
+/*
+ * Returns a copy of the options passed to VmAgent, without those (like the
+ * logger) that aren't config.
+ */
+function configSnapshot(options) {
+    var config = {};
+
+    Object.keys(options).forEach(function _copyOption(key) {
+        if (key !== 'log' && key !== 'vmadm') {
+            config[key] = jsprim.deepCopy(options[key]);
+        }
+    });
+
+    return (config);
+}
+
+/*
+ * Takes two sets of VMs (keyed by uuid) from makeComparable() and returns an
+ * object with an entry for each VM that differs, which is either:
+ *
+ *   {"missing": "vmapi"}   the VM is only on the CN
+ *   {"missing": "vmadm"}   the VM is only in VMAPI
+ *
+ * or an object with the fields that differ, and their values on each side:
+ *
+ *   {"fields": {"state": {"vmadm": "running", "vmapi": "stopped"}, ...}}
+ */
+function diffVmLists(vmadmVms, vmapiVms) {
+    var vmDiffs = {};
+
+    (diff(vmadmVms, vmapiVms) || []).forEach(function _diffCb(diffobj) {
+        var field;
+        var vmUuid;
+
+        assert.object(diffobj, 'diffobj');
+        assert.array(diffobj.path, 'diffobj must have path');
+        assert.uuid(diffobj.path[0], 'diffobj.path[0] must be uuid: '
+            + diffobj.path[0]);
+
+        vmUuid = diffobj.path[0];
+
+        if (diffobj.path.length === 1) {
+            vmDiffs[vmUuid] = {
+                missing: (vmadmVms.hasOwnProperty(vmUuid) ? 'vmapi' : 'vmadm')
+            };
+            return;
+        }
+
+        field = diffobj.path[1];
+        if (!vmDiffs.hasOwnProperty(vmUuid)) {
+            vmDiffs[vmUuid] = {fields: {}};
+        }
+        vmDiffs[vmUuid].fields[field] = {
+            vmadm: vmadmVms[vmUuid][field],
+            vmapi: vmapiVms[vmUuid][field]
+        };
+    });
+
+    return (vmDiffs);
+}
+
+/*
+ * Returns how vmobj (which we'd send to VMAPI) differs from vmapiVm (VMAPI's
+ * copy of the same VM, if it has one) when compared on fields, in the same
+ * form as the entries returned by diffVmLists(). If there are no differences,
+ * the fields object is empty.
+ */
+function diffVmapiCopy(vmobj, vmapiVm, fields) {
+    var vmadmVms = {};
+    var vmapiVms = {};
+    var vmDiff;
+
+    vmadmVms[vmobj.uuid] = makeComparable(vmobj, fields, 'vmadm');
+    if (vmapiVm) {
+        vmapiVms[vmobj.uuid] = makeComparable(vmapiVm, fields, 'vmapi');
+    }
+
+    vmDiff = diffVmLists(vmadmVms, vmapiVms)[vmobj.uuid] || {fields: {}};
+
+    // For VMs that are gone from the CN, vmobj is VMAPI's own copy. So fields
+    // that makeComparable() treats differently for VMAPI can show up here
+    // even though their values are the same, and sending them would not
+    // change anything.
+    Object.keys(vmDiff.fields || {}).forEach(function _checkField(field) {
+        if (jsprim.deepEqual(vmobj[field], vmapiVm[field])) {
+            delete vmDiff.fields[field];
+        }
+    });
+
+    return (vmDiff);
+}
+
+/*
+ * Returns the array of field names from the 'periodic_fields' option which can
+ * be an array or a comma-separated string.
+ */
+function parseFieldList(fields) {
+    if (fields === undefined) {
+        return ([]);
+    }
+
+    if (typeof (fields) === 'string') {
+        fields = fields.split(',').map(function _trim(field) {
+            return (field.trim());
+        }).filter(function _notEmpty(field) {
+            return (field.length > 0);
+        });
+    }
+
+    return (fields.slice());
+}
+
 /*
  * This builds a trimmed down VM object that has been trimmed to only those
  * fields in the "fields" array. The 'source' parameter is intended to indicate
  * where the VM object originated as there are some differences between
  * vmadm and VMAPI VM objects that it tries to smooth out so that they results
  * are actually comparable.
+ *
+ * Fields that VMAPI adds with a default value when they're not set (e.g. tags
+ * when added through 'periodic_fields') are treated the same whether they have
+ * that default value or are missing, from either source.
  */
 function makeComparable(vmobj, fields, source) {
     var field;
@@ -629,12 +2397,189 @@ function makeComparable(vmobj, fields, source) {
                  */
                 continue;
             }
+            if (!VMAPI.VMAPI_ALWAYS_SET_FIELDS.hasOwnProperty(field) &&
+                VMAPI.VMAPI_DEFAULT_FIELDS.hasOwnProperty(field) &&
+                !diff(VMAPI.VMAPI_DEFAULT_FIELDS[field], vmobj[field])) {
+                // default value, the same as not being set
+                continue;
+            }
             newVmobj[field] = vmobj[field];
         }
-    }
+    }
+
+    return (newVmobj);
+}
+
+/*
+ * Loads the VMs VMAPI has for this server and calls callback(err, vmapiVms)
+ * where vmapiVms has:
+ *
+ *   fullVms     the VM objects from VMAPI, keyed by uuid
+ *   compareVms  the same VMs passed through makeComparable()
+ */
+VmAgent.prototype.loadVmapiVms = function loadVmapiVms(callback) {
+    var self = this;
+    var startLookup = (new Date()).getTime();
+
+    assert.func(callback, 'callback');
+
+    self.vmapiClient.getVms(self.server_uuid,
+        function _getVmsCb(err, vmobjs) {
+            var doneLookup = (new Date()).getTime();
+            var vmapiVms;
+            var vmIdx;
+
+            self.log.debug({
+                action: 'VMAPI.lookup',
+                elapsed: (doneLookup - startLookup),
+                err: err,
+                vmCount: (vmobjs ? vmobjs.length : 0)
+            }, 'completed VMAPI.lookup()');
+            self.recordElapsed('VMAPI.lookup', doneLookup - startLookup);
+
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            // if there was no error, vmobjs must be an array
+            assert.arrayOfObject(vmobjs, 'vmobjs');
+
+            vmapiVms = {
+                compareVms: {},
+                fullVms: {}
+            };
+
+            // vmobjs is an array of VM objects
+            for (vmIdx = 0; vmIdx < vmobjs.length; vmIdx++) {
+                vmapiVms.fullVms[vmobjs[vmIdx].uuid] = vmobjs[vmIdx];
+                vmapiVms.compareVms[vmobjs[vmIdx].uuid] =
+                    makeComparable(vmobjs[vmIdx], self.comparisonFields,
+                    'vmapi');
+            }
+
+            callback(null, vmapiVms);
+        }
+    );
+};
+
+/*
+ * Returns the VMs we last sent to VMAPI (e.g. as reloaded from the state file)
+ * in the same form as loadVmapiVms(), for comparing with vmadm in place of
+ * VMAPI's copies. VMs we last sent as destroyed are left out since VMAPI
+ * already knows they're gone.
+ */
+VmAgent.prototype.lastPutVmapiVms = function lastPutVmapiVms() {
+    var self = this;
+    var vmapiVms = {
+        compareVms: {},
+        fullVms: {}
+    };
+
+    Object.keys(self.lastPutVms).forEach(function _addVm(vmUuid) {
+        var vmobj = self.lastPutVms[vmUuid];
+
+        if (vmobj.state === 'destroyed') {
+            return;
+        }
+
+        // A copy, since initialUpdate() modifies these for destroyed VMs.
+        vmapiVms.fullVms[vmUuid] = jsprim.deepCopy(vmobj);
+        vmapiVms.compareVms[vmUuid] = makeComparable(vmobj,
+            self.comparisonFields, 'vmadm');
+    });
+
+    return (vmapiVms);
+};
+
+/*
+ * Loads the VMs on this CN with vmadm and calls callback(err, vmadmVms) where
+ * vmadmVms has:
+ *
+ *   fullVms     the VM objects from vmadm, keyed by uuid
+ *   compareVms  the same VMs passed through makeComparable()
+ *   dniVms      the uuids of the do_not_inventory VMs (which are not in
+ *               fullVms or compareVms) as keys
+ */
+VmAgent.prototype.loadVmadmVms = function loadVmadmVms(callback) {
+    var self = this;
+    var ALL_VMS = {}; // no filter means: grab them all
+    var opts = {log: self.log, include_dni: true};
+    var startLookup = (new Date()).getTime();
+
+    assert.func(callback, 'callback');
+
+    // NOTE: vmadm.lookup handles filtering out the do_not_inventory VMs
+    self.vmadm.lookup(ALL_VMS, opts, function _onLookup(err, vmobjs) {
+        var doneLookup = (new Date()).getTime();
+        var vmadmVms;
+        var vmIdx;
+
+        self.log.debug({
+            action: 'vmadm.lookup',
+            elapsed: (doneLookup - startLookup),
+            err: err,
+            vmCount: (vmobjs ? Object.keys(vmobjs).length : 0)
+        }, 'completed vmadm.lookup()');
+        self.recordElapsed('vmadm.lookup', doneLookup - startLookup);
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // if there was no error, vmobjs must be an array
+        assert.arrayOfObject(vmobjs, 'vmobjs');
+
+        vmadmVms = {
+            compareVms: {},
+            dniVms: {},
+            fullVms: {}
+        };
+
+        // vmobjs is an array of VM objects
+        for (vmIdx = 0; vmIdx < vmobjs.length; vmIdx++) {
+            if (vmobjs[vmIdx].do_not_inventory) {
+                vmadmVms.dniVms[vmobjs[vmIdx].uuid] = true;
+            } else {
+                // not DNI, so include in the list
+                vmadmVms.fullVms[vmobjs[vmIdx].uuid] = vmobjs[vmIdx];
+                vmadmVms.compareVms[vmobjs[vmIdx].uuid] = makeComparable(
+                    vmobjs[vmIdx], self.comparisonFields, 'vmadm');
+            }
+        }
+
+        callback(null, vmadmVms);
+    });
+};
+
+/*
+ * Compares the VMs vmadm has with those VMAPI has, the same way the initial
+ * update does, but without sending anything to VMAPI. Calls callback(err,
+ * diffs) where diffs is as returned by diffVmLists(). This is what is returned
+ * by "GET /diff" on the status API.
+ */
+VmAgent.prototype.diffVms = function diffVms(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    vasync.parallel({funcs: [
+        function _loadVmadm(cb) {
+            self.loadVmadmVms(cb);
+        }, function _loadVmapi(cb) {
+            self.loadVmapiVms(cb);
+        }
+    ]}, function _onLoaded(err, results) {
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    return (newVmobj);
-}
+        callback(null, diffVmLists(results.operations[0].result.compareVms,
+            results.operations[1].result.compareVms));
+    });
+};
 
 VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
     var self = this;
@@ -644,44 +2589,22 @@ VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
 
     vasync.pipeline({arg: {}, funcs: [
         function _getVmapiVms(stash, cb) {
-            var startLookup = (new Date()).getTime();
-
-            self.vmapiClient.getVms(self.server_uuid,
-                function _getVmsCb(err, vmobjs) {
-                    var doneLookup = (new Date()).getTime();
-                    var vmIdx;
-
-                    self.log.debug({
-                        action: 'VMAPI.lookup',
-                        elapsed: (doneLookup - startLookup),
-                        err: err,
-                        vmCount: (vmobjs ? vmobjs.length : 0)
-                    }, 'completed VMAPI.lookup() for VmAgent() init');
-
-                    if (err) {
-                        cb(err);
-                        return;
-                    }
-
-                    // if there was no error, vmobjs must be an array
-                    assert.arrayOfObject(vmobjs, 'vmobjs');
-
-                    stash.vmapiVms = {
-                        compareVms: {},
-                        fullVms: {}
-                    };
+            // If we have what we last sent to VMAPI from the state file, we
+            // only need to send the VMs that changed since. See "Persistent
+            // State" at the top of this file.
+            if (self.stateLoaded) {
+                stash.vmapiVms = self.lastPutVmapiVms();
+                self.log.info({vmCount: Object.keys(
+                    stash.vmapiVms.fullVms).length}, 'comparing vmadm with '
+                    + 'VMs from state file instead of loading from VMAPI');
+                cb();
+                return;
+            }
 
-                    // vmobjs is an array of VM objects
-                    for (vmIdx = 0; vmIdx < vmobjs.length; vmIdx++) {
-                        stash.vmapiVms.fullVms[vmobjs[vmIdx].uuid]  =
-                            vmobjs[vmIdx];
-                        stash.vmapiVms.compareVms[vmobjs[vmIdx].uuid] =
-                            makeComparable(vmobjs[vmIdx],
-                            self.comparisonFields, 'vmapi');
-                    }
-                    cb();
-                }
-            );
+            self.loadVmapiVms(function _onVmapiVms(err, vmapiVms) {
+                stash.vmapiVms = vmapiVms;
+                cb(err);
+            });
         }, function _startWatcher(_stash, cb) {
             /*
              * Just before we do the vmadm lookup we start the watcher which
@@ -693,57 +2616,34 @@ VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
              */
             self.watcher.start(cb);
         }, function _getVmadmVms(stash, cb) {
-            var ALL_VMS = {}; // no filter means: grab them all
-            var opts = {log: self.log, include_dni: true};
-            var startLookup = (new Date()).getTime();
-
-            // NOTE: vmadm.lookup handles filtering out the do_not_inventory VMs
-            self.vmadm.lookup(ALL_VMS, opts, function _onLookup(err, vmobjs) {
-                var doneLookup = (new Date()).getTime();
-                var vmIdx;
-
-                self.log.debug({
-                    action: 'vmadm.lookup',
-                    elapsed: (doneLookup - startLookup),
-                    err: err,
-                    vmCount: (vmobjs ? Object.keys(vmobjs).length : 0)
-                }, 'completed vmadm.lookup() for VmAgent() init');
-
+            self.loadVmadmVms(function _onVmadmVms(err, vmadmVms) {
                 if (err) {
                     cb(err);
                     return;
                 }
 
-                // if there was no error, vmobjs must be an array
-                assert.arrayOfObject(vmobjs, 'vmobjs');
+                stash.vmadmVms = vmadmVms;
 
-                stash.vmadmVms = {
-                    compareVms: {},
-                    fullVms: {}
-                };
+                // Keep track of the VMs that are DNI in case they're deleted
+                // later. Any VMs we knew were DNI (from the state file) but
+                // which no longer exist will be forgotten after a delay.
+                Object.keys(vmadmVms.dniVms).forEach(function _addDni(uuid) {
+                    self.knownDniVms[uuid] = {};
+                });
+                Object.keys(self.knownDniVms).forEach(function _oldDni(uuid) {
+                    if (!vmadmVms.dniVms.hasOwnProperty(uuid) &&
+                        !vmadmVms.fullVms.hasOwnProperty(uuid)) {
 
-                // vmobjs is an array of VM objects
-                for (vmIdx = 0; vmIdx < vmobjs.length; vmIdx++) {
-                    if (vmobjs[vmIdx].do_not_inventory) {
-                        // Keep track of the fact that this VM is DNI in case
-                        // it's deleted later.
-                        self.knownDniVms[vmobjs[vmIdx].uuid] = {};
-                    } else {
-                        // not DNI, so include in the list
-                        stash.vmadmVms.fullVms[vmobjs[vmIdx].uuid] =
-                            vmobjs[vmIdx];
-                        stash.vmadmVms
-                            .compareVms[vmobjs[vmIdx].uuid] = makeComparable(
-                                vmobjs[vmIdx], self.comparisonFields, 'vmadm');
+                        self.purgeDniLater(uuid);
                     }
-                }
+                });
 
                 cb();
             });
         }, function _findVmsToUpdate(stash, cb) {
-            var diffs;
-            var updateVms = [];
+            var updateVms;
             var vm;
+            var vmDiffs;
 
             /*
              * The payload to VMAPI's PUT /vms?server_uuid=... is:
@@ -760,19 +2660,10 @@ VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
              * So we build such a structure here for the VMs we need to update.
              */
 
-            diffs = (diff(stash.vmadmVms.compareVms,
-                stash.vmapiVms.compareVms) || []);
-
-            self.log.debug({vmDiff: diffs}, 'VMAPI/vmadm diff');
-            diffs.forEach(function _diffCb(diffobj) {
-                assert.object(diffobj, 'diffobj');
-                assert.array(diffobj.path, 'diffobj must have path');
-                assert.uuid(diffobj.path[0], 'diffobj.path[0] must be uuid: '
-                    + diffobj.path[0]);
-                if (updateVms.indexOf(diffobj.path[0]) === -1) {
-                    updateVms.push(diffobj.path[0]);
-                }
-            });
+            vmDiffs = diffVmLists(stash.vmadmVms.compareVms,
+                stash.vmapiVms.compareVms);
+            self.log.debug({vmDiff: vmDiffs}, 'VMAPI/vmadm diff');
+            updateVms = Object.keys(vmDiffs);
 
             updateVms.forEach(function _updateCb(vmUuid) {
                 assert.uuid(vmUuid);
@@ -791,6 +2682,10 @@ VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
             });
 
             cb();
+        }, function _journalVms(_stash, cb) {
+            self.journalVms(Object.keys(vms).map(function _getVm(vmUuid) {
+                return (vms[vmUuid]);
+            }), cb);
         }, function _updateVmapiVms(_stash, cb) {
             var startUpdate = (new Date()).getTime();
 
@@ -814,15 +2709,79 @@ VmAgent.prototype.initialUpdate = function initialUpdate(callback) {
                         err: vmapiErr,
                         vmCount: Object.keys(vms).length
                     }, 'completed VMAPI.updateServerVms() for VmAgent() init');
+                    self.recordElapsed('VMAPI.updateServerVms',
+                        doneUpdate - startUpdate);
+
+                    if (!vmapiErr) {
+                        self.unjournalVms(Object.keys(vms));
+                    }
 
                     cb(vmapiErr);
                 }
             );
         }, function _updateLastSeen(stash, cb) {
+            var changes = {};
+            var keepVms;
+            var lastPutVms = {};
+            var lastSeenVms = stash.vmadmVms.fullVms;
+
+            // If VMs that we saw before (e.g. loaded from the state file) were
+            // deleted after the lookup, they'll be in dirtyVms and we keep the
+            // old object so that we can still tell VMAPI they're destroyed.
+            // The same goes for VMs with tombstones in the journal.
+            keepVms = self.dirtyVms.concat(self.journaledVms());
+            keepVms.forEach(function _keepDeleted(vmUuid) {
+                if (!lastSeenVms.hasOwnProperty(vmUuid) &&
+                    self.lastSeenVms.hasOwnProperty(vmUuid)) {
+                    lastSeenVms[vmUuid] = self.lastSeenVms[vmUuid];
+                }
+            });
+
+            // We only keep the last PUT objects for the VMs we still know
+            // about, and those we just PUT replace any previous value. VMs
+            // that already matched what VMAPI has get vmadm's object, so that
+            // a restart or a later change compares against it rather than
+            // sending the whole VM again. We keep copies since the
+            // lastSeenVms objects can be modified.
+            Object.keys(lastSeenVms).forEach(function _keepLastPut(vmUuid) {
+                if (self.lastPutVms.hasOwnProperty(vmUuid)) {
+                    lastPutVms[vmUuid] = self.lastPutVms[vmUuid];
+                } else if (stash.vmadmVms.fullVms.hasOwnProperty(vmUuid)) {
+                    lastPutVms[vmUuid] = jsprim.deepCopy(lastSeenVms[vmUuid]);
+                }
+            });
+            Object.keys(vms).forEach(function _addLastPut(vmUuid) {
+                lastPutVms[vmUuid] = jsprim.deepCopy(vms[vmUuid]);
+            });
+
             // We keep track of the last set of VMs we loaded any time we do a
             // full lookup so that when a VM is deleted we have the object's
             // properties to use in a PUT.
-            self.lastSeenVms = stash.vmadmVms.fullVms;
+            self.lastSeenVms = lastSeenVms;
+            self.lastPutVms = lastPutVms;
+            self.checkpointState();
+
+            // The extra sinks get all the VMs, not just those that differed
+            // from VMAPI (which includes those destroyed since we last ran).
+            // See "Sinks" at the top of this file. We use the keys of
+            // compareVms since we may have added deleted VMs to lastSeenVms
+            // above. Those that did differ are compared with what VMAPI had
+            // for sinks that publish events.
+            Object.keys(vms).forEach(function _describeVm(vmUuid) {
+                changes[vmUuid] = describeChange(null,
+                    stash.vmapiVms.compareVms[vmUuid],
+                    stash.vmadmVms.compareVms[vmUuid] || vms[vmUuid],
+                    self.comparisonFields);
+            });
+            self.publishVms(Object.keys(stash.vmadmVms.compareVms).filter(
+                function _notUpdated(vmUuid) {
+                    return (!vms.hasOwnProperty(vmUuid));
+                }).map(function _getSeenVm(vmUuid) {
+                    return (lastSeenVms[vmUuid]);
+                }).concat(Object.keys(vms).map(function _getVm(vmUuid) {
+                    return (vms[vmUuid]);
+                })), changes);
+
             cb();
         }
     ]}, function _initialUpdateComplete(err) {
@@ -846,7 +2805,64 @@ VmAgent.prototype.start = function start(callback) {
     assert.optionalFunc(callback, 'callback');
 
     vasync.pipeline({arg: {}, funcs: [
-        function _setupWatcher(_stash, cb) {
+        function _startStatusServer(_stash, cb) {
+            if (!self.statusServer || self.statusServer.server) {
+                cb();
+                return;
+            }
+
+            self.statusServer.start(function _onStatusServerStart(err) {
+                if (err) {
+                    // The status API is only for debugging, so we don't want
+                    // to prevent the agent from doing its job if it fails.
+                    self.log.error(err, 'failed to start StatusServer');
+                }
+                cb();
+            });
+        }, function _startMetricsServer(_stash, cb) {
+            if (!self.metricsServer || self.metricsServer.server) {
+                cb();
+                return;
+            }
+
+            self.metricsServer.start(function _onMetricsServerStart(err) {
+                if (err) {
+                    // Like the status API, metrics are not critical.
+                    self.log.error(err, 'failed to start metrics server');
+                }
+                cb();
+            });
+        }, function _startTaskLocks(_stash, cb) {
+            if (!self.taskLocks || self.taskLocks.pollTimer) {
+                cb();
+                return;
+            }
+
+            self.taskLocks.start(function _onTaskLocksStart(err) {
+                if (err) {
+                    // Without the locks we just send the intermediate states
+                    // like we would without a task_lock_dir.
+                    self.log.error(err, 'failed to start TaskLocks');
+                }
+                cb();
+            });
+        }, function _loadState(_stash, cb) {
+            // only load state the first time we're started
+            if (self.watcher) {
+                cb();
+                return;
+            }
+
+            self.loadState(cb);
+        }, function _replayJournal(_stash, cb) {
+            // like the state, only replay the journal on the first start
+            if (self.watcher) {
+                cb();
+                return;
+            }
+
+            self.replayJournal(cb);
+        }, function _setupWatcher(_stash, cb) {
             // initialize the watcher if we've not already done so
             if (self.watcher) {
                 cb();
@@ -880,6 +2896,8 @@ VmAgent.prototype.start = function start(callback) {
                         elapsed: (doneUpdate - startUpdate),
                         err: err
                     }, 'completed VMAPI.initialUpdate for VmAgent() init');
+                    self.recordElapsed('VMAPI.initialUpdate',
+                        doneUpdate - startUpdate);
 
                     cb();
                 });
@@ -893,10 +2911,12 @@ VmAgent.prototype.start = function start(callback) {
         // uncork the update queue now that we're ready
         self.ready = true;
 
-        // queue an update for all the VMs that were dirtied while during init.
-        self.dirtyVms.forEach(function _queueDirtyVm(vm) {
-            self.queueVm(vm);
-        });
+        // queue an update for all the VMs that were dirtied while during init,
+        // and any that are still in the journal from before we started.
+        self.dirtyVms.concat(self.journaledVms()).forEach(
+            function _queueDirtyVm(vm) {
+                self.queueVm(vm);
+            });
 
         self.log.info('startup complete');
         if (callback) {
@@ -920,7 +2940,441 @@ VmAgent.prototype.stop = function stop() {
         self.watcher.stop();
         self.watcher = null;
     }
+    if (self.statusServer) {
+        self.statusServer.stop();
+    }
+    if (self.metricsServer) {
+        self.metricsServer.stop();
+    }
+    if (self.taskLocks) {
+        self.taskLocks.stop();
+    }
+    self.vmapiClient.stopProbe();
+    self.sinks.forEach(function _stopSink(sink) {
+        if (typeof (sink.stop) === 'function') {
+            sink.stop();
+        }
+    });
     self.initializeProperties();
 };
 
+/*
+ * Applies a newly loaded config (the same options as passed to the
+ * constructor, without the logger). Options in RELOADABLE_OPTIONS that changed
+ * are applied in place, see "Reloading Configuration" above. Returns an object
+ * with the names of the options that were applied ('changed') and those that
+ * differ but can't be applied without a restart ('restartRequired').
+ *
+ * Throws if any of the changed reloadable options are invalid, in which case
+ * none of the options have been applied.
+ */
+VmAgent.prototype.reloadConfig = function reloadConfig(options) {
+    var self = this;
+    var changed = [];
+    var newAgent;
+    var oldAgent;
+    var restartRequired = [];
+
+    assert.object(options, 'options');
+
+    VmWatcher.uniqueElements(Object.keys(self.config),
+        Object.keys(configSnapshot(options))).forEach(function _cmp(key) {
+
+        if (jsprim.deepEqual(self.config[key], options[key])) {
+            return;
+        }
+        if (RELOADABLE_OPTIONS.indexOf(key) !== -1) {
+            changed.push(key);
+        } else {
+            restartRequired.push(key);
+        }
+    });
+
+    // Validate everything before we change anything.
+    assert.optionalNumber(options.periodic_interval,
+        'options.periodic_interval');
+    assert.optionalNumber(options.periodic_min_interval,
+        'options.periodic_min_interval');
+    assert.optionalNumber(options.periodic_max_interval,
+        'options.periodic_max_interval');
+    assert.string(options.vmapi_url, 'options.vmapi_url');
+    assert.optionalObject(options.cueballHttpAgent, 'options.cueballHttpAgent');
+
+    if (changed.indexOf('periodic_interval') !== -1 ||
+        changed.indexOf('periodic_min_interval') !== -1 ||
+        changed.indexOf('periodic_max_interval') !== -1) {
+
+        self.periodicInterval = options.periodic_interval || undefined;
+        self.periodicMinInterval = options.periodic_min_interval;
+        self.periodicMaxInterval = options.periodic_max_interval;
+
+        // If the watcher isn't running yet, it'll get the new values when it
+        // is created.
+        if (self.watcher) {
+            self.watcher.setPeriodicIntervals({
+                periodicInterval: self.periodicInterval,
+                periodicMaxInterval: self.periodicMaxInterval,
+                periodicMinInterval: self.periodicMinInterval
+            });
+        }
+    }
+
+    if (changed.indexOf('vmapi_url') !== -1 ||
+        changed.indexOf('cueballHttpAgent') !== -1) {
+
+        if (options.cueballHttpAgent) {
+            newAgent = new cueball.HttpAgent(options.cueballHttpAgent);
+        }
+        oldAgent = self.cueballAgent;
+        self.cueballAgent = newAgent;
+
+        self.vmapiClient.reconnect({
+            agent: newAgent, // may be undefined
+            url: options.vmapi_url
+        });
+
+        if (oldAgent) {
+            oldAgent.stop();
+        }
+    }
+
+    // We only record the changes we've applied, so that the others continue
+    // to be reported until we're restarted.
+    changed.forEach(function _applied(key) {
+        if (options.hasOwnProperty(key)) {
+            self.config[key] = jsprim.deepCopy(options[key]);
+        } else {
+            delete self.config[key];
+        }
+    });
+
+    self.log.info({
+        changed: changed,
+        restartRequired: restartRequired
+    }, 'reloaded config');
+
+    return ({
+        changed: changed,
+        restartRequired: restartRequired
+    });
+};
+
+/*
+ * Returns an object representing the current internal state of this VmAgent.
+ * This is what is returned by "GET /status" on the status API.
+ */
+VmAgent.prototype.getStatus = function getStatus() {
+    var self = this;
+    var retryDelays = {};
+
+    Object.keys(self.retryDelays).forEach(function _addRetryDelay(vmUuid) {
+        retryDelays[vmUuid] = {
+            delay: self.retryDelays[vmUuid].delay,
+            retryPending: Boolean(self.retryDelays[vmUuid].timer)
+        };
+    });
+
+    return ({
+        circuitOpen: self.vmapiClient.circuitOpen,
+        deferred: self.deferredVms.slice(),
+        dirtyVms: self.dirtyVms.slice(),
+        dryRun: self.dryRun,
+        eventSource: self.eventSource || null,
+        inflight: self.inflightVms(),
+        inTask: (self.taskLocks ? Object.keys(self.taskLocks.lockedVms) : []),
+        journaled: self.journaledVms(),
+        knownDniVms: Object.keys(self.knownDniVms),
+        lastSeenVms: Object.keys(self.lastSeenVms).length,
+        parked: self.parkedVms.slice(),
+        queued: self.queuedVms(),
+        ready: self.ready,
+        retryDelays: retryDelays,
+        server_uuid: self.server_uuid,
+        version: self.version
+    });
+};
+
+/*
+ * Returns the history of watcher updates for vmUuid. Before the watcher is
+ * started this is always empty.
+ */
+VmAgent.prototype.getVmHistory = function getVmHistory(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    return ({
+        vm_uuid: vmUuid,
+        history: (self.watcher ? self.watcher.getHistory(vmUuid) : [])
+    });
+};
+
+/*
+ * Returns everything we want to see when debugging a running vm-agent: the
+ * status, the history for all VMs and the duplicate counts.
+ *
+ * With opts.summary, the history is only summarized (see summarizeHistories())
+ * since with many VMs it can be very large. That's what is logged on SIGUSR2.
+ *
+ * With opts.includeVms, the result also includes the last object we loaded
+ * (lastSeenVms) and sent to VMAPI (lastPutVms) for each VM. That's what is
+ * returned by "GET /dump" on the status API.
+ */
+VmAgent.prototype.debugDump = function debugDump(opts) {
+    var self = this;
+    var dump;
+    var histories;
+
+    assert.optionalObject(opts, 'opts');
+
+    histories = (self.watcher ? self.watcher.getHistories() : {});
+    dump = {
+        duplicates: (self.watcher ? self.watcher.getDuplicateCounts() : {}),
+        history: (opts && opts.summary ? summarizeHistories(histories) :
+            histories),
+        status: self.getStatus()
+    };
+
+    if (opts && opts.includeVms) {
+        dump.lastPutVms = self.lastPutVms;
+        dump.lastSeenVms = self.lastSeenVms;
+    }
+
+    return (dump);
+};
+
+/*
+ * Forces a fresh load of each of the VMs in vmUuids (or all the VMs we know
+ * about if vmUuids is empty) and sends the whole object to VMAPI, even if we
+ * think VMAPI already has it. This is what "POST /resync" on the status API
+ * does. Calls callback(err, vmUuids) with the uuids of the VMs that were
+ * queued.
+ *
+ * Only VMs on this CN can be resynced: those we've seen, or that vmadm can
+ * load. Otherwise a mistyped uuid (or one from another CN) would be sent to
+ * VMAPI as destroyed. The error has restCode 'NotReady' if the initial update
+ * has not yet completed (since that will update all the VMs anyway),
+ * 'InvalidArgument' if any of vmUuids is not a UUID or 'ResourceNotFound' if
+ * any is not on this CN. In all these cases, none of the VMs are queued.
+ */
+VmAgent.prototype.resyncVms = function resyncVms(vmUuids, callback) {
+    var self = this;
+    var err;
+    var invalid;
+    var unknown = [];
+
+    assert.func(callback, 'callback');
+
+    if (!Array.isArray(vmUuids)) {
+        invalid = [vmUuids];
+    } else {
+        invalid = vmUuids.filter(function _notUuid(vmUuid) {
+            return (typeof (vmUuid) !== 'string' || !UUID_RE.test(vmUuid));
+        });
+    }
+    if (invalid.length > 0) {
+        err = new Error('invalid VM uuid(s): ' + invalid.map(
+            function _stringify(vmUuid) {
+                return (JSON.stringify(vmUuid));
+            }).join(', '));
+        err.restCode = 'InvalidArgument';
+        err.statusCode = 400;
+        callback(err);
+        return;
+    }
+
+    if (!self.ready) {
+        err = new Error('initial update has not completed');
+        err.restCode = 'NotReady';
+        err.statusCode = 503;
+        callback(err);
+        return;
+    }
+
+    if (vmUuids.length === 0) {
+        vmUuids = Object.keys(self.lastSeenVms);
+    }
+
+    vasync.forEachPipeline({
+        inputs: vmUuids.filter(function _notSeen(vmUuid) {
+            return (!self.lastSeenVms.hasOwnProperty(vmUuid));
+        }),
+        func: function _checkOnCn(vmUuid, cb) {
+            var opts = {log: self.log, uuid: vmUuid, include_dni: true};
+
+            self.vmadm.load(opts, function _onLoad(loadErr) {
+                if (loadErr && loadErr.restCode === 'VmNotFound') {
+                    unknown.push(vmUuid);
+                    cb();
+                    return;
+                }
+                cb(loadErr);
+            });
+        }
+    }, function _onChecked(loadErr) {
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        if (unknown.length > 0) {
+            err = new Error('VM(s) not on this server: ' + unknown.join(', '));
+            err.restCode = 'ResourceNotFound';
+            err.statusCode = 404;
+            callback(err);
+            return;
+        }
+
+        self.log.info({vms: vmUuids}, 'resyncing VMs');
+
+        vmUuids.forEach(function _resync(vmUuid) {
+            // Without the last object we sent, we can't skip or PATCH and so
+            // will send the whole VM.
+            delete self.lastPutVms[vmUuid];
+            self.queueVm(vmUuid);
+        });
+
+        callback(null, vmUuids);
+    });
+};
+
+/*
+ * Does the same comparison between vmadm and VMAPI as the initial update, but
+ * with the watchers left running, and queues each VM that differs to be loaded
+ * again and sent to VMAPI in full. VMs that VMAPI has but which no longer exist
+ * on this CN are sent as destroyed, using VMAPI's object for those we've not
+ * seen ourselves. This is what "POST /resync" with {"diff": true} does.
+ *
+ * Calls callback(err, result) where result has the differences found (as
+ * returned by diffVmLists()) as 'diff' and the uuids of the VMs queued as
+ * 'vms'. As with resyncVms(), err has restCode 'NotReady' before the initial
+ * update has completed, or 'ResyncInProgress' if another resyncDiff() has not
+ * finished yet.
+ */
+VmAgent.prototype.resyncDiff = function resyncDiff(callback) {
+    var self = this;
+    var err;
+
+    assert.func(callback, 'callback');
+
+    if (!self.ready) {
+        err = new Error('initial update has not completed');
+        err.restCode = 'NotReady';
+        err.statusCode = 503;
+        callback(err);
+        return;
+    }
+
+    if (self.resyncDiffRunning) {
+        err = new Error('a resync of the differences is already running');
+        err.restCode = 'ResyncInProgress';
+        err.statusCode = 409;
+        callback(err);
+        return;
+    }
+
+    self.resyncDiffRunning = true;
+
+    vasync.parallel({funcs: [
+        function _loadVmadm(cb) {
+            self.loadVmadmVms(cb);
+        }, function _loadVmapi(cb) {
+            self.loadVmapiVms(cb);
+        }
+    ]}, function _onLoaded(loadErr, results) {
+        var vmadmVms;
+        var vmapiVms;
+        var vmDiffs;
+        var vmUuids;
+
+        self.resyncDiffRunning = false;
+
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        vmadmVms = results.operations[0].result;
+        vmapiVms = results.operations[1].result;
+        vmDiffs = diffVmLists(vmadmVms.compareVms, vmapiVms.compareVms);
+
+        // do_not_inventory VMs look like they're missing from vmadm, but
+        // we'd never send them (see loadVm()) so there's nothing to resync.
+        Object.keys(vmadmVms.dniVms).forEach(function _skipDni(vmUuid) {
+            delete vmDiffs[vmUuid];
+        });
+        vmUuids = Object.keys(vmDiffs);
+
+        self.log.info({vmDiff: vmDiffs}, 'resyncing VMAPI/vmadm diff');
+
+        vmUuids.forEach(function _resync(vmUuid) {
+            // When the VM is gone, updateVm() can only tell VMAPI it was
+            // destroyed if it has the VM object (see _handleLoadErr).
+            if (!vmadmVms.fullVms.hasOwnProperty(vmUuid) &&
+                !self.lastSeenVms.hasOwnProperty(vmUuid)) {
+
+                self.lastSeenVms[vmUuid] = vmapiVms.fullVms[vmUuid];
+            }
+
+            delete self.lastPutVms[vmUuid];
+            self.queueVm(vmUuid);
+        });
+
+        callback(null, {diff: vmDiffs, vms: vmUuids});
+    });
+};
+
+/*
+ * Returns the set of routes we'll serve from the StatusServer.
+ */
+VmAgent.prototype.statusRoutes = function statusRoutes() {
+    var self = this;
+
+    return ([
+        {
+            method: 'GET',
+            path: '/status',
+            handler: function _getStatus(_req, cb) {
+                cb(null, self.getStatus());
+            }
+        }, {
+            method: 'GET',
+            path: /^\/vms\/([0-9a-f-]{36})\/history$/,
+            handler: function _getVmHistory(req, cb) {
+                cb(null, self.getVmHistory(req.params[0]));
+            }
+        }, {
+            method: 'GET',
+            path: '/dump',
+            handler: function _getDump(_req, cb) {
+                cb(null, self.debugDump({includeVms: true}));
+            }
+        }, {
+            method: 'GET',
+            path: '/diff',
+            handler: function _getDiff(_req, cb) {
+                self.diffVms(cb);
+            }
+        }, {
+            method: 'POST',
+            path: '/resync',
+            handler: function _postResync(req, cb) {
+                if (req.body && req.body.diff === true) {
+                    self.resyncDiff(cb);
+                    return;
+                }
+
+                self.resyncVms((req.body && req.body.vms !== undefined) ?
+                    req.body.vms : [], function _onResync(err, vmUuids) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    cb(null, {vms: vmUuids});
+                });
+            }
+        }
+    ]);
+};
+
 module.exports = VmAgent;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
@@ -20,8 +20,9 @@
  *     * a 'log' bunyan logger
  *     * an 'updateVm' function (vmUuid, updateType, updateObj) where:
  *         * vmUuid is the VM that changed
- *         * updateType is one of: create, modify, delete
+ *         * updateType is one of: create, modify, delete, transition
  *         * updateObj contains any fields we know to be changed by this update
+ *           (for 'transition', the zone_state the VM is passing through)
  *  * a .start() method
  *  * a .stop() method
  *
@@ -56,18 +57,122 @@
  *   VmCreated
  *   VmModified
  *   VmDeleted
+ *   VmChanged
  *
  * For debugging the name of the watcher which saw the change is included as the
  * second argument to the event emitter listener.
  *
+ * VmChanged is emitted whenever the properties of a VM in knownVms change
+ * (after the VmCreated or VmModified, if there is one) and its listeners are
+ * also passed an object describing the change to each property:
  *
- * FUTURE WORK:
+ *   vmWatcher.on('VmChanged', function _onChanged(vm_uuid, watcher, changes) {
+ *       // changes is like:
+ *       //
+ *       //   {
+ *       //       "quota": {"oldValue": 10, "newValue": 20},
+ *       //       "state": {"oldValue": "running", "newValue": "stopped"}
+ *       //   }
+ *   });
+ *
+ * oldValue is the value from knownVms before the change, and will be undefined
+ * for properties we didn't know about before (e.g. on create). Since the
+ * watchers only report the properties they know about, the changes only
+ * include those properties that one of the watchers saw change.
+ *
+ * From those same changes we also derive events for the lifecycle of the VM,
+ * which are emitted after the VmChanged with the same arguments:
+ *
+ *   VmStarted      state changed to 'running'
+ *   VmStopped      state changed to 'stopped' (other than after provisioning)
+ *   VmRebooted     boot_timestamp changed while the VM stayed 'running'
+ *   VmFailed       state changed to 'failed'
+ *   VmProvisioned  state changed from 'provisioning' to anything but 'failed'
+ *
+ * These are only emitted for transitions we actually saw, so there are none
+ * for the state a VM is in when we first see it. Since not all watchers see
+ * boot_timestamp, a reboot may instead be seen as a VmStopped and VmStarted in
+ * which case the later change to boot_timestamp will not also be treated as a
+ * reboot.
+ *
+ * VmStopped listeners are also passed a 4th argument classifying the stop:
+ *
+ *   {"expected": true, "cause": "shutting_down"}
+ *
+ * A stop is expected when either:
  *
- *  - Add ability to watch for actions that cn-agent is currently performing
- *    and skip doing PUT's for those VMs in that window. This will allow us to
- *    avoid putting intermediate states. We then would also want a way to update
- *    our object at the same time that action completes since cn-agent will
- *    gather the VM object and the workflow will do a PUT.
+ *  * we saw the zone go through 'shutting_down' since it was last running,
+ *    which is the case for a halt or shutdown whether from the API, vmadm or
+ *    from within the VM (cause 'shutting_down'), or
+ *
+ *  * a stop was requested: cn-agent was running a task for the VM (see
+ *    setTaskRunning() and lib/task-locks.js) when it stopped, or that task
+ *    ended within EXPECTED_STOP_WINDOW_MS before we saw the stop (cause
+ *    'task'). We forget about the task once that window has passed.
+ *
+ * Otherwise it's unexpected (cause 'crash'). The zoneevent watcher reports
+ * 'shutting_down' as a 'transition' update since it's not otherwise a change
+ * to the VM, other watchers may report it as a zone_state (or a state of
+ * 'stopping'). Note that a zone whose init process exits (such as when a KVM
+ * VM's qemu dies or an LX VM's init dies) also goes through 'shutting_down',
+ * so when a watcher sees that, such stops are classified as 'shutting_down'
+ * rather than 'crash'. We only see 'crash' when no watcher saw the zone
+ * shutting down and there was no task.
+ *
+ * VmWatcher also keeps a history of the last historySize (default
+ * DEFAULT_HISTORY_SIZE) updates from the watchers for each VM, whether or not
+ * they changed anything, which getHistory(vm_uuid) returns as an array (oldest
+ * first) of objects like:
+ *
+ *   {
+ *       "timestamp": "2019-01-01T00:00:00.000Z",
+ *       "watcher": "zoneevent",
+ *       "event": "modify",
+ *       "changedFields": ["state", "zone_state"]
+ *   }
+ *
+ * where event is the updateType from the watcher. Updates that were ignored
+ * (e.g. a modify for a VM that's already destroyed) also have "skipped": true.
+ * This allows us to tell later which watcher reported what, and when. So that
+ * the history doesn't grow forever as VMs come and go, a VM's history is
+ * dropped once it has been destroyed for DESTROYED_HISTORY_MS (on a timer, so
+ * this happens even when no further updates come in).
+ *
+ * Since the point of knownVms is to drop the updates that just repeat what
+ * another watcher already delivered, we also keep track of those duplicates.
+ * When a watcher reports a property with the same value another watcher
+ * already delivered (and this watcher hadn't yet reported since), that's
+ * counted in getDuplicateCounts() as:
+ *
+ *   {
+ *       "<watcher>": {"<watcher that delivered first>": <count>, ...},
+ *       ...
+ *   }
+ *
+ * and a VmDuplicate event is emitted with:
+ *
+ *   vmWatcher.on('VmDuplicate', function _onDup(vm_uuid, watcher, duplicate) {
+ *       // duplicate is like:
+ *       //
+ *       //   {
+ *       //       "delay": 41234,           // ms since the first delivery
+ *       //       "fields": ["state", "zone_state"],
+ *       //       "firstWatcher": "zoneevent"
+ *       //   }
+ *   });
+ *
+ * so that it's possible to see how late each watcher is compared to the
+ * others. With the debugDuplicates option, each duplicate is also logged at
+ * "info" level.
+ *
+ * With the 'vmadm-events' eventSource there are no other watchers to catch
+ * anything vminfod misses, so the VmadmEventsWatcher can also do a periodic
+ * full sweep with vmadm.lookup (see eventsSweepInterval and
+ * lib/watchers/vmadm-events-watcher.js).
+ *
+ * Note that VmWatcher reports all changes including those made by cn-agent
+ * tasks, it's up to VmAgent to avoid sending the intermediate states of VMs
+ * with tasks running (see 'task_lock_dir' in lib/vm-agent.js).
  *
  */
 
@@ -76,6 +181,7 @@ var util = require('util');
 
 var assert = require('assert-plus');
 var diff = require('deep-diff').diff;
+var jsprim = require('jsprim');
 
 var FsWatcher = require('../lib/watchers/fs-watcher');
 var PeriodicWatcher = require('../lib/watchers/periodic-watcher');
@@ -87,12 +193,25 @@ var VmadmEventsWatcher = require('../lib/watchers/vmadm-events-watcher');
  */
 var MS_PER_SEC = 1000;
 
+// How recently a cn-agent task for a VM must have ended for a stop to be
+// expected. See VmStopped above.
+var EXPECTED_STOP_WINDOW_MS = 60000;
+
+// Number of updates we keep in the history for each VM by default.
+var DEFAULT_HISTORY_SIZE = 50;
+
+// How long we keep the history for a VM after it was destroyed. (in ms)
+var DESTROYED_HISTORY_MS = 15 * 60 * 1000;
+
 /*
  * The VmWatcher will emit these events:
  *
  * - VmCreated:   A VM has been created
  * - VmDestroyed: A VM has been destroyed
  * - VmModified:  A VM has been modified
+ * - VmChanged:   Properties of a VM have changed (with the old and new values)
+ *
+ * and the lifecycle events (VmStarted, etc.) described above.
  *
  * The first argument passed to the listener is the UUID of the VM that incurred
  * the event.
@@ -104,7 +223,13 @@ function VmWatcher(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
     assert.optionalNumber(opts.periodicInterval, 'opts.periodicInterval');
+    assert.optionalNumber(opts.periodicMinInterval, 'opts.periodicMinInterval');
+    assert.optionalNumber(opts.periodicMaxInterval, 'opts.periodicMaxInterval');
     assert.optionalString(opts.eventSource, 'opts.eventSource');
+    assert.optionalNumber(opts.historySize, 'opts.historySize');
+    assert.optionalBool(opts.debugDuplicates, 'opts.debugDuplicates');
+    assert.optionalArrayOfString(opts.periodicFields, 'opts.periodicFields');
+    assert.optionalNumber(opts.eventsSweepInterval, 'opts.eventsSweepInterval');
 
     // Initialize necessary properties from `EventEmitter` in this instance
     EventEmitter.call(this);
@@ -123,6 +248,31 @@ function VmWatcher(opts) {
     // the same change.
     self.knownVms = {};
 
+    // VMs we've emitted VmStarted for without having seen the new
+    // boot_timestamp, so that when we do see it, it's not also a reboot.
+    self.startedVms = {};
+
+    // VMs we've seen going through 'shutting_down' since they were last
+    // running, and the VMs cn-agent is running a task for (true) or recently
+    // finished one for (the time it ended). These are used to classify stops,
+    // see VmStopped above.
+    self.shuttingDownVms = {};
+    self.taskVms = {};
+    self.taskTimer = null;
+
+    // The history of updates for each VM, see getHistory() above.
+    self.history = {};
+    self.pruneTimer = null;
+    self.historySize = (opts.historySize === undefined ?
+        DEFAULT_HISTORY_SIZE : opts.historySize);
+
+    // For each VM, which watcher delivered the current value of each property,
+    // when, and which other watchers have reported it since. Along with the
+    // counts of duplicates, see VmDuplicate above.
+    self.deliveredFields = {};
+    self.duplicateCounts = {};
+    self.debugDuplicates = Boolean(opts.debugDuplicates);
+
     switch (self.eventSource) {
 
         case 'vmadm-events':
@@ -130,6 +280,7 @@ function VmWatcher(opts) {
             self.vmadmEventsWatcher = new VmadmEventsWatcher({
                 vmadm: opts.vmadm,
                 log: opts.log,
+                sweepInterval: opts.eventsSweepInterval, // might be undefined
                 updateVm: self.newUpdateHandler('vmadm')
             });
             break;
@@ -141,6 +292,10 @@ function VmWatcher(opts) {
 
             self.zoneeventWatcher = new ZoneeventWatcher({
                 log: opts.log,
+                onRestart: function _onZoneeventRestart() {
+                    // check sooner for anything zoneevent missed
+                    self.periodicWatcher.hurry();
+                },
                 updateVm: self.newUpdateHandler('zoneevent')
             });
 
@@ -148,7 +303,10 @@ function VmWatcher(opts) {
             // starting up the periodic watcher?
 
             self.periodicWatcher = new PeriodicWatcher({
+                fields: opts.periodicFields, // might be undefined
                 log: opts.log,
+                maxInterval: opts.periodicMaxInterval, // might be undefined
+                minInterval: opts.periodicMinInterval, // might be undefined
                 periodicInterval: opts.periodicInterval, // might be undefined
                 updateVm: self.newUpdateHandler('periodic')
             });
@@ -164,7 +322,8 @@ util.inherits(VmWatcher, EventEmitter);
  * Update knownVm with the properties from updateObj if knownVm has no
  * last_modified or if knownVm.last_modified is older than the one in updateObj.
  *
- * Returns an array of the names of the properties that were updated in knownVm.
+ * Returns an object with the 'oldValue' and 'newValue' for each of the
+ * properties that were updated in knownVm. (see VmChanged above)
  */
 function updateIfNewer(vmUuid, log, knownVm, updateObj) {
     var curModified;
@@ -172,7 +331,7 @@ function updateIfNewer(vmUuid, log, knownVm, updateObj) {
     var prop;
     var propIdx;
     var props;
-    var updated = [];
+    var updated = {};
 
     assert.uuid(vmUuid, 'vmUuid');
     assert.object(log, 'log');
@@ -226,14 +385,453 @@ function updateIfNewer(vmUuid, log, knownVm, updateObj) {
         prop = props[propIdx];
         // diff() returns undefined when the properties *are the same*
         if (diff(knownVm[prop], updateObj[prop])) {
+            updated[prop] = {
+                oldValue: knownVm[prop],
+                newValue: jsprim.deepCopy(updateObj[prop])
+            };
             knownVm[prop] = updateObj[prop];
-            updated.push(prop);
         }
     }
 
     return (updated);
 }
 
+/*
+ * Adds an update from a watcher to the history for vmUuid, dropping the oldest
+ * once we have historySize.
+ */
+VmWatcher.prototype.recordHistory = // eslint-disable-line
+function recordHistory(vmUuid, event, watcher, changedFields, skipped) {
+    var self = this;
+    var entry;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.string(event, 'event');
+    assert.string(watcher, 'watcher');
+    assert.arrayOfString(changedFields, 'changedFields');
+    assert.optionalBool(skipped, 'skipped');
+
+    if (self.historySize === 0) {
+        return;
+    }
+
+    entry = {
+        timestamp: (new Date()).toISOString(),
+        watcher: watcher,
+        event: event,
+        changedFields: changedFields
+    };
+    if (skipped) {
+        entry.skipped = true;
+    }
+
+    if (!self.history.hasOwnProperty(vmUuid)) {
+        self.history[vmUuid] = [];
+    }
+    self.history[vmUuid].push(entry);
+    if (self.history[vmUuid].length > self.historySize) {
+        self.history[vmUuid].shift();
+    }
+};
+
+/*
+ * Drops the history for the VMs that were destroyed more than
+ * DESTROYED_HISTORY_MS ago, so that the history of recently destroyed VMs is
+ * still around to look at. This is done whenever a VM is deleted and from the
+ * timer set by schedulePrune().
+ */
+VmWatcher.prototype.pruneHistory = function pruneHistory() {
+    var self = this;
+    var cutoff = (new Date()).getTime() - DESTROYED_HISTORY_MS;
+
+    Object.keys(self.history).forEach(function _pruneVm(vmUuid) {
+        var knownVm = self.knownVms[vmUuid];
+
+        if (knownVm && knownVm.destroyed && knownVm.destroyed < cutoff) {
+            delete self.history[vmUuid];
+        }
+    });
+};
+
+/*
+ * Sets pruneTimer to call pruneHistory() when the history of the next destroyed
+ * VM is due to be dropped, unless it's already set to go off before then. The
+ * timer doesn't keep the process running.
+ */
+VmWatcher.prototype.schedulePrune = function schedulePrune() {
+    var self = this;
+    var pruneAt;
+
+    Object.keys(self.history).forEach(function _findNext(vmUuid) {
+        var knownVm = self.knownVms[vmUuid];
+
+        if (knownVm && knownVm.destroyed &&
+            (pruneAt === undefined ||
+            knownVm.destroyed + DESTROYED_HISTORY_MS < pruneAt)) {
+
+            pruneAt = knownVm.destroyed + DESTROYED_HISTORY_MS;
+        }
+    });
+
+    if (pruneAt === undefined) {
+        return;
+    }
+
+    if (self.pruneTimer !== null) {
+        if (self.pruneAt <= pruneAt) {
+            return;
+        }
+        clearTimeout(self.pruneTimer);
+    }
+
+    self.pruneAt = pruneAt;
+    self.pruneTimer = setTimeout(function _runPrune() {
+        self.pruneTimer = null;
+        self.pruneHistory();
+        self.schedulePrune();
+    }, Math.max(pruneAt - Date.now() + 1, 0));
+    self.pruneTimer.unref();
+};
+
+/*
+ * Returns the history (see above) for vmUuid, which is empty if we've not seen
+ * any updates for the VM.
+ */
+VmWatcher.prototype.getHistory = function getHistory(vmUuid) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    return ((self.history[vmUuid] || []).slice());
+};
+
+/*
+ * Returns the histories for all VMs as an object keyed by VM uuid.
+ */
+VmWatcher.prototype.getHistories = function getHistories() {
+    var self = this;
+    var histories = {};
+
+    Object.keys(self.history).forEach(function _copyHistory(vmUuid) {
+        histories[vmUuid] = self.getHistory(vmUuid);
+    });
+
+    return (histories);
+};
+
+/*
+ * Records that watcher delivered the changes (as returned by updateIfNewer())
+ * for vmUuid, and checks whether any of the other properties in updateObj
+ * were duplicates of what another watcher delivered. (see VmDuplicate above)
+ */
+VmWatcher.prototype.checkDuplicates = // eslint-disable-line
+function checkDuplicates(vmUuid, updateObj, changes, watcher) {
+    var self = this;
+    var delivered;
+    var duplicates = {};
+    var now = Date.now();
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(updateObj, 'updateObj');
+    assert.object(changes, 'changes');
+    assert.string(watcher, 'watcher');
+
+    if (!self.deliveredFields.hasOwnProperty(vmUuid)) {
+        self.deliveredFields[vmUuid] = {};
+    }
+    delivered = self.deliveredFields[vmUuid];
+
+    Object.keys(updateObj).forEach(function _checkField(field) {
+        var delivery = delivered[field];
+
+        if (changes.hasOwnProperty(field)) {
+            delivered[field] = {reported: {}, time: now, watcher: watcher};
+            delivered[field].reported[watcher] = true;
+            return;
+        }
+
+        // diff() returns undefined when the properties *are the same*
+        if (!delivery || delivery.reported[watcher] ||
+            diff(self.knownVms[vmUuid][field], updateObj[field])) {
+            return;
+        }
+        delivery.reported[watcher] = true;
+
+        // Fields delivered together by the same watcher are one duplicate.
+        if (!duplicates.hasOwnProperty(delivery.watcher)) {
+            duplicates[delivery.watcher] = {
+                delay: now - delivery.time,
+                fields: [],
+                firstWatcher: delivery.watcher
+            };
+        }
+        duplicates[delivery.watcher].delay = Math.max(
+            duplicates[delivery.watcher].delay, now - delivery.time);
+        duplicates[delivery.watcher].fields.push(field);
+    });
+
+    Object.keys(duplicates).forEach(function _recordDuplicate(firstWatcher) {
+        var duplicate = duplicates[firstWatcher];
+
+        if (!self.duplicateCounts.hasOwnProperty(watcher)) {
+            self.duplicateCounts[watcher] = {};
+        }
+        if (!self.duplicateCounts[watcher].hasOwnProperty(firstWatcher)) {
+            self.duplicateCounts[watcher][firstWatcher] = 0;
+        }
+        self.duplicateCounts[watcher][firstWatcher]++;
+
+        if (self.debugDuplicates) {
+            self.log.info({
+                duplicate: duplicate,
+                vm: vmUuid,
+                watcher: watcher
+            }, 'Suppressed duplicate update from ' + watcher + ' (' +
+                duplicate.delay + 'ms after ' + firstWatcher + ')');
+        }
+
+        setImmediate(function _emitDuplicate() {
+            self.emit('VmDuplicate', vmUuid, watcher, duplicate);
+        });
+    });
+};
+
+/*
+ * Returns a copy of the counts of duplicates (see VmDuplicate above).
+ */
+VmWatcher.prototype.getDuplicateCounts = function getDuplicateCounts() {
+    var self = this;
+
+    return (jsprim.deepCopy(self.duplicateCounts));
+};
+
+/*
+ * Changes the intervals of the PeriodicWatcher (opts has the same
+ * periodicInterval, periodicMinInterval and periodicMaxInterval as the
+ * constructor). With the 'vmadm-events' eventSource there is no
+ * PeriodicWatcher, so this does nothing.
+ */
+VmWatcher.prototype.setPeriodicIntervals = // eslint-disable-line
+function setPeriodicIntervals(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+
+    if (!self.periodicWatcher) {
+        return;
+    }
+
+    self.periodicWatcher.setIntervals({
+        maxInterval: opts.periodicMaxInterval, // might be undefined
+        minInterval: opts.periodicMinInterval, // might be undefined
+        periodicInterval: opts.periodicInterval // might be undefined
+    });
+};
+
+/*
+ * Returns the classification (see VmStopped above) of a stop of vmUuid that
+ * we've just seen.
+ */
+VmWatcher.prototype.classifyStop = function classifyStop(vmUuid) {
+    var self = this;
+    var task = self.taskVms[vmUuid];
+
+    assert.uuid(vmUuid, 'vmUuid');
+
+    if (self.shuttingDownVms[vmUuid]) {
+        return ({expected: true, cause: 'shutting_down'});
+    } else if (task === true ||
+        (task !== undefined &&
+        (Date.now() - task) <= EXPECTED_STOP_WINDOW_MS)) {
+
+        return ({expected: true, cause: 'task'});
+    } else if (task !== undefined) {
+        // the task ended too long ago to count, so no need to keep it
+        delete self.taskVms[vmUuid];
+    }
+
+    return ({expected: false, cause: 'crash'});
+};
+
+/*
+ * Records whether cn-agent is running a task (which is how stops are requested
+ * through the API) for vmUuid, so that a stop during or shortly after the
+ * task is expected. See VmStopped above.
+ */
+VmWatcher.prototype.setTaskRunning = function setTaskRunning(vmUuid, running) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.bool(running, 'running');
+
+    if (running) {
+        self.taskVms[vmUuid] = true;
+    } else if (self.taskVms[vmUuid] === true) {
+        self.taskVms[vmUuid] = Date.now();
+        self.scheduleTaskExpiry();
+    }
+};
+
+/*
+ * Sets taskTimer to drop the tasks that ended more than EXPECTED_STOP_WINDOW_MS
+ * ago when the next one gets there, unless it's already set to go off before
+ * then. The timer doesn't keep the process running.
+ */
+VmWatcher.prototype.scheduleTaskExpiry = function scheduleTaskExpiry() {
+    var self = this;
+    var expireAt;
+
+    Object.keys(self.taskVms).forEach(function _findNext(vmUuid) {
+        var task = self.taskVms[vmUuid];
+
+        if (task !== true && (expireAt === undefined ||
+            task + EXPECTED_STOP_WINDOW_MS < expireAt)) {
+
+            expireAt = task + EXPECTED_STOP_WINDOW_MS;
+        }
+    });
+
+    if (expireAt === undefined) {
+        return;
+    }
+
+    if (self.taskTimer !== null) {
+        if (self.taskExpireAt <= expireAt) {
+            return;
+        }
+        clearTimeout(self.taskTimer);
+    }
+
+    self.taskExpireAt = expireAt;
+    self.taskTimer = setTimeout(function _runExpiry() {
+        var cutoff = Date.now() - EXPECTED_STOP_WINDOW_MS;
+
+        self.taskTimer = null;
+        Object.keys(self.taskVms).forEach(function _expireTask(vmUuid) {
+            var task = self.taskVms[vmUuid];
+
+            if (task !== true && task < cutoff) {
+                delete self.taskVms[vmUuid];
+            }
+        });
+        self.scheduleTaskExpiry();
+    }, Math.max(expireAt - Date.now() + 1, 0));
+    self.taskTimer.unref();
+};
+
+/*
+ * Returns an array of the lifecycle events (see above) for the changes
+ * returned by updateIfNewer() for vmUuid. Each is an object with the 'name' of
+ * the event and, for VmStopped, the 'stop' classification.
+ */
+VmWatcher.prototype.lifecycleEvents = // eslint-disable-line
+function lifecycleEvents(vmUuid, changes) {
+    var self = this;
+    var events = [];
+    var newState;
+    var oldState;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(changes, 'changes');
+
+    if ((changes.zone_state &&
+        changes.zone_state.newValue === 'shutting_down') ||
+        (changes.state && changes.state.newValue === 'stopping')) {
+
+        self.shuttingDownVms[vmUuid] = true;
+    }
+
+    if (changes.state && changes.state.oldValue !== undefined) {
+        oldState = changes.state.oldValue;
+        newState = changes.state.newValue;
+
+        if (oldState === 'provisioning' && newState !== 'failed') {
+            events.push({name: 'VmProvisioned'});
+        }
+
+        if (newState === 'running') {
+            events.push({name: 'VmStarted'});
+            if (!changes.boot_timestamp) {
+                self.startedVms[vmUuid] = true;
+            }
+        } else if (newState === 'stopped' && oldState !== 'provisioning') {
+            events.push({name: 'VmStopped', stop: self.classifyStop(vmUuid)});
+        } else if (newState === 'failed') {
+            events.push({name: 'VmFailed'});
+        }
+    } else if (changes.boot_timestamp &&
+        changes.boot_timestamp.oldValue !== undefined &&
+        self.knownVms[vmUuid].state === 'running' &&
+        !self.startedVms[vmUuid]) {
+
+        events.push({name: 'VmRebooted'});
+    }
+
+    if (changes.boot_timestamp) {
+        delete self.startedVms[vmUuid];
+    }
+    if (changes.state && changes.state.newValue !== 'stopping') {
+        // Any later stop will need to be preceded by a new shutting_down.
+        delete self.shuttingDownVms[vmUuid];
+    }
+
+    return (events);
+};
+
+/*
+ * Emits VmChanged and any lifecycle events for the changes returned by
+ * updateIfNewer() for vmUuid. Must be called after any VmCreated or VmModified
+ * has been scheduled so that those are emitted first.
+ */
+VmWatcher.prototype.emitChanges = // eslint-disable-line
+function emitChanges(vmUuid, changes, watcher) {
+    var self = this;
+    var events;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(changes, 'changes');
+    assert.string(watcher, 'watcher');
+
+    events = [ {name: 'VmChanged'} ].concat(
+        self.lifecycleEvents(vmUuid, changes));
+
+    setImmediate(function _emitChanges() {
+        events.forEach(function _emitEvent(evt) {
+            if (evt.stop) {
+                self.emit(evt.name, vmUuid, watcher, changes, evt.stop);
+            } else {
+                self.emit(evt.name, vmUuid, watcher, changes);
+            }
+        });
+    });
+};
+
+/*
+ * Called for 'transition' updates, where a watcher has seen the VM pass
+ * through a zone_state that's not otherwise a change to the VM.
+ */
+VmWatcher.prototype.dispatchTransition = // eslint-disable-line
+function dispatchTransition(vmUuid, updateVmobj, watcher) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(updateVmobj, 'updateVmobj');
+    assert.string(watcher, 'watcher');
+
+    self.log.trace({
+        event: 'transition',
+        vm: vmUuid,
+        watcher: watcher,
+        zone_state: updateVmobj.zone_state
+    }, 'VM state transition');
+
+    self.recordHistory(vmUuid, 'transition', watcher, []);
+
+    if (updateVmobj.zone_state === 'shutting_down') {
+        self.shuttingDownVms[vmUuid] = true;
+    }
+};
+
 VmWatcher.prototype.dispatchCreate = // eslint-disable-line
 function dispatchCreate(vmUuid, updateVmobj, watcher) {
     var self = this;
@@ -260,14 +858,18 @@ function dispatchCreate(vmUuid, updateVmobj, watcher) {
 
     updated = updateIfNewer(vmUuid, self.log, self.knownVms[vmUuid],
         updateVmobj);
+    self.recordHistory(vmUuid, 'create', watcher, Object.keys(updated));
+    self.checkDuplicates(vmUuid, updateVmobj, updated, watcher);
 
-    if (updated.length > 0) {
+    if (Object.keys(updated).length > 0) {
         self.log.trace({
             event: 'create',
-            modifiedFields: updated,
+            modifiedFields: Object.keys(updated),
             vm: vmUuid,
             watcher: watcher
         }, 'VM has changed');
+
+        self.emitChanges(vmUuid, updated, watcher);
     }
 };
 
@@ -292,6 +894,7 @@ function dispatchModify(vmUuid, updateVmobj, watcher) {
             vm: vmUuid,
             watcher: watcher
         }, 'Skipping modify for already destroyed VM ' + vmUuid);
+        self.recordHistory(vmUuid, 'modify', watcher, [], true);
 
         return;
     }
@@ -307,11 +910,13 @@ function dispatchModify(vmUuid, updateVmobj, watcher) {
 
     updated = updateIfNewer(vmUuid, self.log, self.knownVms[vmUuid],
         updateVmobj);
+    self.recordHistory(vmUuid, 'modify', watcher, Object.keys(updated));
+    self.checkDuplicates(vmUuid, updateVmobj, updated, watcher);
 
-    if (updated.length > 0) {
+    if (Object.keys(updated).length > 0) {
         self.log.trace({
             event: 'modify',
-            modifiedFields: updated,
+            modifiedFields: Object.keys(updated),
             vm: vmUuid,
             watcher: watcher
         }, 'VM has changed');
@@ -319,6 +924,7 @@ function dispatchModify(vmUuid, updateVmobj, watcher) {
         setImmediate(function _emitImmediately() {
             self.emit('VmModified', vmUuid, watcher);
         });
+        self.emitChanges(vmUuid, updated, watcher);
     }
 };
 
@@ -341,11 +947,19 @@ function dispatchDelete(vmUuid, updateVmobj, watcher) {
             vm: vmUuid,
             watcher: watcher
         }, 'Skipping delete for already destroyed VM ' + vmUuid);
+        self.recordHistory(vmUuid, 'delete', watcher, [], true);
 
         return;
     }
 
     self.knownVms[vmUuid].destroyed = (new Date()).getTime();
+    self.recordHistory(vmUuid, 'delete', watcher, []);
+    self.pruneHistory();
+    self.schedulePrune();
+    delete self.deliveredFields[vmUuid];
+    delete self.shuttingDownVms[vmUuid];
+    delete self.taskVms[vmUuid];
+    delete self.startedVms[vmUuid];
     setImmediate(function _emitImmediately() {
         self.emit('VmDeleted', vmUuid, watcher);
     });
@@ -363,6 +977,8 @@ VmWatcher.prototype.newUpdateHandler = function newUpdateHandler(watcher) {
             self.dispatchModify(vmUuid, updateObj, watcher);
         } else if (updateType === 'delete') {
             self.dispatchDelete(vmUuid, updateObj, watcher);
+        } else if (updateType === 'transition') {
+            self.dispatchTransition(vmUuid, updateObj, watcher);
         } else {
             throw (new Error('unknown update type: ' + updateType));
         }
@@ -376,6 +992,11 @@ VmWatcher.prototype.start = function start(cb) {
 
     self.log.debug({eventSource: self.eventSource}, 'Starting VmWatcher');
 
+    // Pick up pruning the histories and tasks left from before we were last
+    // stopped.
+    self.schedulePrune();
+    self.scheduleTaskExpiry();
+
     switch (self.eventSource) {
         case 'vmadm-events':
             self.vmadmEventsWatcher.start(cb);
@@ -419,6 +1040,11 @@ VmWatcher.prototype.stop = function stop(opts) {
             break;
     }
 
+    clearTimeout(self.pruneTimer);
+    self.pruneTimer = null;
+    clearTimeout(self.taskTimer);
+    self.taskTimer = null;
+
     if (!keepListeners) {
         self.removeAllListeners();
     }
@@ -441,10 +1067,16 @@ function uniqueElements() {
     return (unique.sort());
 }
 
+/*
+ * The fields the watchers report changes to by default. Any periodicFields
+ * passed to the constructor are watched in addition to these.
+ */
 VmWatcher.WATCHED_FIELDS = uniqueElements(
     FsWatcher.FIELDS,
     PeriodicWatcher.FIELDS,
     ZoneeventWatcher.FIELDS
 );
 
+VmWatcher.uniqueElements = uniqueElements;
+
 module.exports = VmWatcher;
@@ -5,19 +5,47 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
  * This module contains the VmapiClient object which has functions for
  * interaction with VMAPI.
  *
+ * The VmapiClient also keeps track of VMAPI's health. When there have been
+ * circuitThreshold consecutive failed requests (connection errors or 5xx
+ * responses) the circuit is "opened" and a 'circuitOpen' event is emitted. At
+ * that point we start probing VMAPI with a single GET /ping at a time, with
+ * the delay between probes doubling after each failure up to
+ * MAX_PROBE_DELAY_MS. As soon as a probe (or any other request) succeeds, the
+ * circuit is closed again and a 'circuitClose' event is emitted.
+ *
+ * The VmapiClient itself does not refuse requests while the circuit is open,
+ * it's up to the consumer (VmAgent) to stop sending updates when it sees the
+ * circuit open.
+ *
  */
 
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
 var assert = require('assert-plus');
 var restify = require('restify-clients');
 
 
+// HTTP status code VMAPI will return for PATCH /vms/<uuid> when it does not
+// support partial updates. (restify returns 405 when there's a route for the
+// path but not the method)
+var PATCH_UNSUPPORTED_CODE = 405;
+
+// Default number of consecutive failures before we open the circuit.
+var DEFAULT_CIRCUIT_THRESHOLD = 5;
+
+// Delays between probes of VMAPI while the circuit is open.
+var INITIAL_PROBE_DELAY_MS = 1000;
+var MAX_PROBE_DELAY_MS = 60000;
+
+
 /*
  * VMAPI has default values for some fields when the fields are not actually
  * in the VM objects in Moray. For some of those fields such as:
@@ -45,15 +73,17 @@ var restify = require('restify-clients');
  * VMAPI would always give us an object with these properties even if the
  * correct object were in Moray.
  *
- * We have also excluded:
+ * For the remaining VMAPI_DEFAULT_FIELDS (which VMAPI adds if not set), the
+ * comparison in VmAgent treats the default value and the field being unset as
+ * equivalent on both sides. This includes:
  *
  *  customer_metadata: {}
  *  internal_metadata: {}
  *
- * since these are not in the WATCHED_FIELDS of VmWatcher with the current set
- * of watchers. If they're added we'll need to do a bit more complicated
- * comparison since we'll have to treat {} from VMAPI and not having either of
- * these from vmadm as equivalent.
+ * which are watched (by FsWatcher through metadata.json) and so are compared,
+ * where {} from VMAPI and not having either of these from vmadm must be
+ * treated as equivalent. The same applies to fields added to the compared
+ * fields through the 'periodic_fields' option, such as tags.
  *
  */
 var VMAPI_ALWAYS_SET_FIELDS = {
@@ -131,16 +161,152 @@ function VmapiClient(options) {
     assert.object(options, 'options');
     assert.object(options.log, 'options.log');
     assert.string(options.url, 'options.url');
+    assert.optionalNumber(options.circuitThreshold,
+        'options.circuitThreshold');
+
+    // Initialize necessary properties from `EventEmitter` in this instance
+    EventEmitter.call(this);
+
+    // Whether VMAPI supports PATCH /vms/<uuid>. This starts as undefined
+    // (unknown) and is set on the first response to a patchVm() call.
+    this.supportsPatch = undefined;
+
+    // VMAPI health tracking, see the comment at the top of this file.
+    this.circuitOpen = false;
+    this.circuitThreshold = options.circuitThreshold ||
+        DEFAULT_CIRCUIT_THRESHOLD;
+    this.consecutiveFailures = 0;
+    this.probeDelay = INITIAL_PROBE_DELAY_MS;
+    this.probeTimer = null;
+
+    this.client = this.createClient(options.url, options.agent);
+}
+util.inherits(VmapiClient, EventEmitter);
 
-    this.client = restify.createJsonClient({
-        url: options.url,
-        log: options.log,
-        userAgent: options.userAgent,
+VmapiClient.prototype.createClient = function createClient(url, agent) {
+    var self = this;
+
+    return (restify.createJsonClient({
+        agent: agent, // undefined means restify's default agent
+        url: url,
+        log: self.log,
+        userAgent: self.options.userAgent,
         contentMd5: {
             encodings: ['utf8', 'binary']
         }
-    });
-}
+    }));
+};
+
+/*
+ * Replaces the restify client with one for opts.url using opts.agent (e.g. a
+ * cueball HttpAgent, or undefined for the default). This is used when the
+ * config is reloaded. The old client is closed, so requests in flight on it
+ * may fail. The circuit state is unchanged.
+ */
+VmapiClient.prototype.reconnect = function reconnect(opts) {
+    var self = this;
+    var oldClient = self.client;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+    assert.optionalObject(opts.agent, 'opts.agent');
+
+    self.log.info({url: opts.url, cueball: Boolean(opts.agent)},
+        'reconnecting to VMAPI');
+
+    self.options.agent = opts.agent;
+    self.options.url = opts.url;
+    self.client = self.createClient(opts.url, opts.agent);
+
+    oldClient.close();
+};
+
+/*
+ * Called with the result of every request to VMAPI to keep track of whether
+ * VMAPI is healthy. Any response other than a 5xx means VMAPI is up, even if
+ * it didn't like our request.
+ */
+VmapiClient.prototype.recordResult = function recordResult(err) {
+    var self = this;
+
+    if (!err || (err.statusCode && err.statusCode < 500)) {
+        self.consecutiveFailures = 0;
+        if (self.circuitOpen) {
+            self.closeCircuit();
+        }
+        return;
+    }
+
+    self.consecutiveFailures++;
+    if (!self.circuitOpen &&
+        self.consecutiveFailures >= self.circuitThreshold) {
+
+        self.openCircuit();
+    }
+};
+
+VmapiClient.prototype.openCircuit = function openCircuit() {
+    var self = this;
+
+    self.log.warn({consecutiveFailures: self.consecutiveFailures},
+        'VMAPI appears to be down, opening circuit');
+
+    self.circuitOpen = true;
+    self.probeDelay = INITIAL_PROBE_DELAY_MS;
+    self.scheduleProbe();
+    self.emit('circuitOpen');
+};
+
+VmapiClient.prototype.closeCircuit = function closeCircuit() {
+    var self = this;
+
+    self.log.info('VMAPI is back, closing circuit');
+
+    self.circuitOpen = false;
+    self.stopProbe();
+    self.emit('circuitClose');
+};
+
+/*
+ * Schedules the next GET /ping to VMAPI while the circuit is open.
+ */
+VmapiClient.prototype.scheduleProbe = function scheduleProbe() {
+    var self = this;
+
+    self.stopProbe();
+
+    self.log.debug({delay: self.probeDelay}, 'scheduling VMAPI probe');
+
+    self.probeTimer = setTimeout(function _probe() {
+        self.probeTimer = null;
+        self.client.get('/ping', function _onPing(err) {
+            if (!self.circuitOpen) {
+                // closed by another request while we were probing
+                return;
+            }
+
+            if (err) {
+                self.log.debug(err, 'VMAPI probe failed');
+                self.probeDelay = Math.min(self.probeDelay * 2,
+                    MAX_PROBE_DELAY_MS);
+                self.scheduleProbe();
+                return;
+            }
+
+            self.recordResult(null);
+        });
+    }, self.probeDelay);
+    self.probeTimer.unref();
+};
+
+VmapiClient.prototype.stopProbe = function stopProbe() {
+    var self = this;
+
+    if (self.probeTimer) {
+        clearTimeout(self.probeTimer);
+        self.probeTimer = null;
+    }
+};
 
 /*
  * Updates all VMs for a server on VMAPI
@@ -148,6 +314,7 @@ function VmapiClient(options) {
  */
 VmapiClient.prototype.updateServerVms = // eslint-disable-line
 function updateServerVms(server, vms, callback) {
+    var self = this;
     var log = this.log;
     var query = {server_uuid: server};
     var opts = {path: '/vms', query: query};
@@ -157,6 +324,7 @@ function updateServerVms(server, vms, callback) {
     assert.func(callback, 'callback');
 
     this.client.put(opts, {vms: vms}, function _putVmsCb(err /* , req, res */) {
+        self.recordResult(err);
         if (err) {
             log.error(err, 'Could not update VMs for server');
             return callback(err);
@@ -172,6 +340,7 @@ function updateServerVms(server, vms, callback) {
  *
  */
 VmapiClient.prototype.updateVm = function updateVm(vm, callback) {
+    var self = this;
     var log = this.log;
     var opts = {path: '/vms/' + vm.uuid};
 
@@ -182,6 +351,7 @@ VmapiClient.prototype.updateVm = function updateVm(vm, callback) {
     assert.func(callback, 'callback');
 
     this.client.put(opts, vm, function _putVmCb(err /* , req, res */) {
+        self.recordResult(err);
         if (err) {
             log.error(err, 'Could not update VM %s', vm.uuid);
             return callback(err);
@@ -193,11 +363,64 @@ VmapiClient.prototype.updateVm = function updateVm(vm, callback) {
     });
 };
 
+/*
+ * Updates only the specified fields of a VM on VMAPI. Fields set to null in
+ * 'fields' will be removed from the VM (JSON merge patch semantics).
+ *
+ * If VMAPI does not support partial updates, callback will be called with an
+ * error that has restCode 'PatchNotSupported' and the caller should fall back
+ * to updateVm() with the full object. Once we've seen that VMAPI does not
+ * support PATCH, we don't try again.
+ *
+ */
+VmapiClient.prototype.patchVm = function patchVm(vmUuid, fields, callback) {
+    var self = this;
+    var log = this.log;
+    var opts = {path: '/vms/' + vmUuid};
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(fields, 'fields');
+    assert.func(callback, 'callback');
+
+    function _patchNotSupported() {
+        var err = new Error('VMAPI does not support PATCH /vms/:uuid');
+
+        err.restCode = 'PatchNotSupported';
+        return (err);
+    }
+
+    if (self.supportsPatch === false) {
+        callback(_patchNotSupported());
+        return;
+    }
+
+    this.client.patch(opts, fields, function _patchVmCb(err, req, res) {
+        self.recordResult(err);
+        if (err && res && res.statusCode === PATCH_UNSUPPORTED_CODE) {
+            log.warn({statusCode: res.statusCode},
+                'VMAPI does not support PATCH, falling back to PUT');
+            self.supportsPatch = false;
+            callback(_patchNotSupported());
+            return;
+        } else if (err) {
+            log.error(err, 'Could not patch VM %s', vmUuid);
+            callback(err);
+            return;
+        }
+
+        self.supportsPatch = true;
+        log.info({fields: Object.keys(fields)}, 'VM (uuid=%s) patched',
+            vmUuid);
+        callback();
+    });
+};
+
 /*
  * Get this server's list of VMs.
  *
  */
 VmapiClient.prototype.getVms = function getVms(server, callback) {
+    var self = this;
     var query = {server_uuid: server, state: 'active'};
     var opts = {path: '/vms', query: query};
 
@@ -205,6 +428,7 @@ VmapiClient.prototype.getVms = function getVms(server, callback) {
     assert.func(callback, 'callback');
 
     this.client.get(opts, function _getCb(err, req, res, vmobjs) {
+        self.recordResult(err);
         if (err) {
             callback(err);
             return;
@@ -217,6 +441,30 @@ VmapiClient.prototype.getVms = function getVms(server, callback) {
     });
 };
 
+/*
+ * Get a single VM by uuid, whichever server it's on.
+ *
+ */
+VmapiClient.prototype.getVm = function getVm(vmUuid, callback) {
+    var self = this;
+    var opts = {path: '/vms/' + vmUuid};
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    this.client.get(opts, function _getCb(err, req, res, vmobj) {
+        self.recordResult(err);
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        assert.object(vmobj, 'vmobj');
+
+        callback(null, vmobj);
+    });
+};
+
 VmapiClient.VMAPI_DEFAULT_FIELDS = VMAPI_DEFAULT_FIELDS;
 VmapiClient.VMAPI_ALWAYS_SET_FIELDS = VMAPI_ALWAYS_SET_FIELDS;
 
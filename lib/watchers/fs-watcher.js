@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 var assert = require('assert-plus');
@@ -158,9 +158,16 @@ FsWatcher.prototype.getCurrentZones = function getCurrentZones(callback) {
     });
 };
 
+/*
+ * Calls callback(err, latest, metadataTimestamp) with the latest mtime of the
+ * config files for vmUuid, and the mtime of metadata.json on its own (undefined
+ * if it doesn't exist).
+ */
 FsWatcher.prototype.getConfigTimestamp = // eslint-disable-line
 function getConfigTimestamp(vmUuid, callback) {
     var self = this;
+    var metadataFile = '/zones/' + vmUuid + '/config/metadata.json';
+    var metadataTimestamp;
     var timestamps = [];
 
     assert.uuid(vmUuid, 'vmUuid');
@@ -168,7 +175,7 @@ function getConfigTimestamp(vmUuid, callback) {
 
     vasync.forEachParallel({
         inputs: [
-            '/zones/' + vmUuid + '/config/metadata.json',
+            metadataFile,
             '/zones/' + vmUuid + '/config/routes.json',
             '/zones/' + vmUuid + '/config/tags.json'
         ],
@@ -176,6 +183,9 @@ function getConfigTimestamp(vmUuid, callback) {
             fs.stat(filename, function _onStat(e, st) {
                 if (!e) {
                     timestamps.push(st.mtime.getTime());
+                    if (filename === metadataFile) {
+                        metadataTimestamp = st.mtime.getTime();
+                    }
                 } else if (e.code !== 'ENOENT') {
                     // If stat has an error we'll just log it since there's not
                     // much else for us to do about it.
@@ -187,7 +197,41 @@ function getConfigTimestamp(vmUuid, callback) {
     }, function _afterConfigFileStats(err) {
         var latest = timestamps.sort().pop();
 
-        callback(err, latest);
+        callback(err, latest, metadataTimestamp);
+    });
+};
+
+/*
+ * Reads /zones/<uuid>/config/metadata.json and calls callback(err, metadata)
+ * with an object containing the customer_metadata and internal_metadata for
+ * the VM. Like vmadm, a VM without metadata has {} for each.
+ */
+FsWatcher.prototype.loadMetadata = function loadMetadata(vmUuid, callback) {
+    var filename = '/zones/' + vmUuid + '/config/metadata.json';
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    fs.readFile(filename, 'utf8', function _onRead(err, content) {
+        var metadata;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        try {
+            metadata = JSON.parse(content);
+        } catch (e) {
+            // most likely we caught it in the middle of being rewritten
+            callback(e);
+            return;
+        }
+
+        callback(null, {
+            customer_metadata: metadata.customer_metadata || {},
+            internal_metadata: metadata.internal_metadata || {}
+        });
     });
 };
 
@@ -331,24 +375,37 @@ FsWatcher.prototype.watchConfig = function watchConfig(vmUuid) {
                     self.log.trace('fs.watch(' + path + ') saw: ' + evt);
 
                     self.getConfigTimestamp(vmUuid,
-                        function _getTimestampCb(_e, newest) {
+                        function _getTimestampCb(_e, newest, metadataTime) {
+                            var lastModified;
+                            var previous;
+
                             if (!newest || !self.lastSeenVms) {
                                 return;
                             }
                             if (self.lastSeenVms.hasOwnProperty(vmUuid) &&
                                 (newest > self.lastSeenVms[vmUuid])) {
-                                // the VM timestamp changed, send a modify event
-                                self.updateVm(vmUuid, 'modify', {
-                                    last_modified: new Date(newest)
-                                        .toISOString()
-                                });
+                                lastModified = new Date(newest).toISOString();
+                                previous = self.lastSeenVms[vmUuid];
 
                                 self.log.trace('newest for ' + path + ' is now:'
                                     + ' ' + newest);
 
-                                // Update *our* last seen value since we already
-                                // updated the caller.
+                                // Update *our* last seen value since we're
+                                // about to update the caller.
                                 self.lastSeenVms[vmUuid] = newest;
+
+                                if (metadataTime > previous) {
+                                    // metadata.json changed (e.g. mdata-put
+                                    // in the zone) so include the metadata.
+                                    self.emitMetadataModify(vmUuid,
+                                        lastModified);
+                                    return;
+                                }
+
+                                // the VM timestamp changed, send a modify event
+                                self.updateVm(vmUuid, 'modify', {
+                                    last_modified: lastModified
+                                });
                             }
                         }
                     );
@@ -402,6 +459,33 @@ FsWatcher.prototype.watchConfig = function watchConfig(vmUuid) {
     }
 };
 
+/*
+ * Sends a modify for vmUuid with the new lastModified along with the current
+ * customer_metadata and internal_metadata. If we can't read the metadata, we
+ * still send the last_modified so that the VM gets reloaded.
+ */
+FsWatcher.prototype.emitMetadataModify = // eslint-disable-line
+function emitMetadataModify(vmUuid, lastModified) {
+    var self = this;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.string(lastModified, 'lastModified');
+
+    self.loadMetadata(vmUuid, function _onMetadata(err, metadata) {
+        var update = {last_modified: lastModified};
+
+        if (err) {
+            self.log.warn({err: err, vmUuid: vmUuid},
+                'failed to load metadata, sending last_modified only');
+        } else {
+            update.customer_metadata = metadata.customer_metadata;
+            update.internal_metadata = metadata.internal_metadata;
+        }
+
+        self.updateVm(vmUuid, 'modify', update);
+    });
+};
+
 FsWatcher.prototype.processState = function processState(callback) {
     var self = this;
     var currentVms = {};
@@ -596,6 +680,6 @@ FsWatcher.prototype.stop = function stop() {
     self.lastSeenVms = null;
 };
 
-FsWatcher.FIELDS = ['last_modified'];
+FsWatcher.FIELDS = ['customer_metadata', 'internal_metadata', 'last_modified'];
 
 module.exports = FsWatcher;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
@@ -16,6 +16,29 @@
  *
  * This function is described in more detail in lib/vm-watcher.js.
  *
+ * By default the lookup runs every periodicInterval ms. When minInterval
+ * and/or maxInterval are set (the 'periodic_min_interval' and
+ * 'periodic_max_interval' options of vm-agent), the interval adapts between
+ * those bounds instead, starting from periodicInterval. A bound that is not
+ * set is periodicInterval. The configured bounds are always kept: if
+ * periodicInterval is below minInterval or above maxInterval, we warn and
+ * start from that bound instead.
+ *
+ *
+ *  * after each lookup that found no changes, the interval grows by
+ *    IDLE_GROWTH_FACTOR up to maxInterval
+ *
+ *  * after a lookup that found changes, or when hurry() is called (e.g. because
+ *    another watcher restarted and might have missed events), the interval
+ *    drops to minInterval
+ *
+ *  * if the lookup itself took more than MAX_LOOKUP_FRACTION of the interval,
+ *    the interval is increased (up to maxInterval) so that we're not spending
+ *    most of our time doing lookups on CNs with many VMs
+ *
+ * The duration of the last lookup and the current interval are available as
+ * lastLookupMs and currentInterval.
+ *
  */
 
 var assert = require('assert-plus');
@@ -32,6 +55,7 @@ var vmadm = require('vmadm');
  * itself, and those fields that can be updated independent of last_modified.
  * These include:
  *
+ *  - boot_timestamp
  *  - datasets
  *  - disks (refreservation,etc)
  *  - indestructible_delegated
@@ -57,8 +81,13 @@ var vmadm = require('vmadm');
  * So we grab all of the set of fields that are changing and visible in VMAPI,
  * along with 'last_modified' and the 'brand' and 'uuid' to identify the zone.
  *
+ * Additional fields can be loaded with opts.fields (from the 'periodic_fields'
+ * option of vm-agent) for fields that other watchers don't see, e.g. cpu_cap
+ * or max_physical_memory when these are changed without vmadm.
+ *
  */
 var PERIODIC_FIELDS = [
+    'boot_timestamp',
     'brand',
     'datasets',
     'disks',
@@ -74,6 +103,11 @@ var PERIODIC_FIELDS = [
 ];
 var PERIODIC_INTERVAL = 60000; // ms
 
+// How much the interval grows after each lookup that found nothing, and the
+// largest fraction of the interval a lookup should take. See above.
+var IDLE_GROWTH_FACTOR = 1.5;
+var MAX_LOOKUP_FRACTION = 0.1;
+
 
 function PeriodicWatcher(opts) {
     var self = this;
@@ -81,6 +115,9 @@ function PeriodicWatcher(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
     assert.optionalNumber(opts.periodicInterval, 'opts.periodicInterval');
+    assert.optionalNumber(opts.minInterval, 'opts.minInterval');
+    assert.optionalNumber(opts.maxInterval, 'opts.maxInterval');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
     assert.func(opts.updateVm, 'opts.updateVm');
 
     // Yay bunyan!
@@ -88,14 +125,15 @@ function PeriodicWatcher(opts) {
 
     self.updateVm = opts.updateVm;
 
-    if (opts.periodicInterval) {
-        self.periodic_interval = opts.periodicInterval;
-    } else {
-        self.periodic_interval = PERIODIC_INTERVAL;
-    }
+    self.setIntervals(opts);
+    self.currentInterval = Math.min(Math.max(self.periodic_interval,
+        self.minInterval), self.maxInterval);
+    self.lastLookupMs = null;
 
-    // FUTURE: maybe these should be configurable?
-    self.periodic_fields = PERIODIC_FIELDS;
+    self.periodic_fields = PERIODIC_FIELDS.concat((opts.fields || []).filter(
+        function _isExtraField(field) {
+            return (PERIODIC_FIELDS.indexOf(field) === -1);
+        }));
 }
 
 /*
@@ -161,6 +199,119 @@ function compareVms(newList, knownVms, callback) {
     callback(created, deleted, modified);
 }
 
+/*
+ * Returns the interval to wait before the next lookup, given whether the last
+ * lookup found any changes and how long (in ms) it took. See the top of this
+ * file.
+ */
+PeriodicWatcher.prototype.nextInterval = // eslint-disable-line
+function nextInterval(changed, lookupMs) {
+    var self = this;
+    var interval;
+
+    assert.bool(changed, 'changed');
+    assert.number(lookupMs, 'lookupMs');
+
+    if (changed) {
+        interval = self.minInterval;
+    } else {
+        interval = self.currentInterval * IDLE_GROWTH_FACTOR;
+    }
+
+    interval = Math.max(interval, lookupMs / MAX_LOOKUP_FRACTION);
+
+    return (Math.round(Math.min(Math.max(interval, self.minInterval),
+        self.maxInterval)));
+};
+
+/*
+ * Sets periodic_interval and the bounds of the adaptive interval from the
+ * periodicInterval, minInterval and maxInterval properties of opts (any of
+ * which may be undefined to use the default). This is also used to change the
+ * intervals when the config is reloaded, in which case a lookup that's already
+ * scheduled is rescheduled so that the new intervals take effect immediately.
+ */
+PeriodicWatcher.prototype.setIntervals = function setIntervals(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.periodicInterval, 'opts.periodicInterval');
+    assert.optionalNumber(opts.minInterval, 'opts.minInterval');
+    assert.optionalNumber(opts.maxInterval, 'opts.maxInterval');
+
+    if (opts.periodicInterval) {
+        self.periodic_interval = opts.periodicInterval;
+    } else {
+        self.periodic_interval = PERIODIC_INTERVAL;
+    }
+
+    // Without bounds, the interval stays fixed at periodic_interval. A bound
+    // that's set is kept even when periodic_interval is outside it.
+    self.minInterval = opts.minInterval ||
+        Math.min(self.periodic_interval, opts.maxInterval || Infinity);
+    self.maxInterval = opts.maxInterval ||
+        Math.max(self.periodic_interval, opts.minInterval || 0);
+
+    if (self.periodic_interval < self.minInterval ||
+        self.periodic_interval > self.maxInterval) {
+
+        self.log.warn({
+            interval: self.periodic_interval,
+            maxInterval: self.maxInterval,
+            minInterval: self.minInterval
+        }, 'periodic interval is outside periodic_min_interval and '
+            + 'periodic_max_interval, using the nearest of those instead');
+    }
+
+    if (self.periodicTimer && !self.disabled) {
+        self.log.info({
+            interval: self.periodic_interval,
+            maxInterval: self.maxInterval,
+            minInterval: self.minInterval
+        }, 'periodic interval changed, rescheduling lookup');
+        self.currentInterval = self.minInterval;
+        clearTimeout(self.periodicTimer);
+        self.scheduleLookup();
+    }
+};
+
+/*
+ * Sets the interval back to minInterval, and if the next lookup is scheduled
+ * for later than that, reschedules it.
+ */
+PeriodicWatcher.prototype.hurry = function hurry() {
+    var self = this;
+
+    self.currentInterval = self.minInterval;
+
+    if (!self.periodicTimer || self.disabled ||
+        self.nextLookup - Date.now() <= self.minInterval) {
+        return;
+    }
+
+    self.log.debug({interval: self.currentInterval},
+        'hurrying next periodic lookup');
+    clearTimeout(self.periodicTimer);
+    self.scheduleLookup();
+};
+
+/*
+ * Schedules the next lookup after currentInterval.
+ */
+PeriodicWatcher.prototype.scheduleLookup = function scheduleLookup() {
+    var self = this;
+
+    if (self.disabled) {
+        return;
+    }
+
+    self.nextLookup = Date.now() + self.currentInterval;
+    self.periodicTimer = setTimeout(function _runLookup() {
+        self.periodicTimer = null;
+        self.doLookup();
+    }, self.currentInterval);
+};
+
 /*
  * The PeriodicWatcher periodically does a vmadm lookup to find changes. It
  * loads the current set of VMs and compares the loaded fields to the previous
@@ -173,6 +324,7 @@ PeriodicWatcher.prototype.start = function start() {
     var ALL_VMS = {}; // no filter means: grab them all
 
     self.disabled = false;
+    self.currentInterval = self.minInterval;
 
     function handleVmobjs(vmobjs, cb) {
         var idx;
@@ -228,7 +380,7 @@ PeriodicWatcher.prototype.start = function start() {
         );
     }
 
-    function doLookup() {
+    self.doLookup = function doLookup() {
         var lookupOpts = {
             fields: self.periodic_fields,
             log: self.log,
@@ -241,6 +393,7 @@ PeriodicWatcher.prototype.start = function start() {
             function _periodicLookupCb(err, vmobjs) {
                 var done_lookup = (new Date()).getTime();
 
+                self.lastLookupMs = done_lookup - start_lookup;
                 self.log.debug({
                     action: 'vmadm.lookup',
                     elapsed_ms: done_lookup - start_lookup,
@@ -254,16 +407,14 @@ PeriodicWatcher.prototype.start = function start() {
                     self.log.error(err, 'failed to vmadm.lookup()');
 
                     // schedule the next lookup
-                    if (!self.disabled) {
-                        self.periodicTimer =
-                            setTimeout(doLookup, self.periodic_interval);
-                    }
+                    self.scheduleLookup();
                 } else {
                     handleVmobjs(vmobjs, function _handleVmobjs(e, changes) {
+                        var changed = Boolean(changes && (changes.created > 0 ||
+                            changes.deleted > 0 || changes.modified > 0));
                         var done_handling = (new Date()).getTime();
 
-                        if (changes && (changes.created > 0 ||
-                            changes.deleted > 0 || changes.modified > 0)) {
+                        if (changed) {
                             // something changed
                             self.log.debug({
                                 action: 'handleVmobjs',
@@ -281,18 +432,21 @@ PeriodicWatcher.prototype.start = function start() {
                         }
 
                         // schedule the next lookup
-                        if (!self.disabled) {
-                            self.periodicTimer =
-                                setTimeout(doLookup, self.periodic_interval);
-                        }
+                        self.currentInterval = self.nextInterval(changed,
+                            self.lastLookupMs);
+                        self.log.trace({
+                            interval: self.currentInterval,
+                            lookup_ms: self.lastLookupMs
+                        }, 'scheduling next periodic lookup');
+                        self.scheduleLookup();
                     });
                 }
             }
         );
-    }
+    };
 
     // kick off the first lookup
-    doLookup();
+    self.doLookup();
 };
 
 PeriodicWatcher.prototype.stop = function stop() {
@@ -303,6 +457,7 @@ PeriodicWatcher.prototype.stop = function stop() {
 
     if (self.periodicTimer) {
         clearTimeout(self.periodicTimer);
+        self.periodicTimer = null;
     }
 };
 
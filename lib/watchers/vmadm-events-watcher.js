@@ -5,7 +5,22 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The VmadmEventsWatcher gets its updates from `vmadm.events` (i.e. vminfod)
+ * and has no way to know if vminfod ever misses a change. So that such a
+ * change doesn't go unnoticed until vm-agent restarts, when the sweepInterval
+ * option (the 'vmadm_events_sweep_interval' option of vm-agent) is set, we
+ * also do a full `vmadm.lookup` every sweepInterval ms and compare the results
+ * to the VMs we know about from the events. Any differences are logged and
+ * sent as corrections through the same updateVm as the events themselves.
+ *
+ * Since the lookup is not atomic with respect to the events, VMs for which we
+ * received an event while the lookup was running are left out of the
+ * comparison, the next sweep will catch them if they're still different.
+ *
  */
 
 var assert = require('assert-plus');
@@ -23,12 +38,42 @@ function VmadmEventsWatcher(opts) {
     assert.object(opts.log, 'opts.log');
     assert.func(opts.updateVm, 'opts.updateVm');
     assert.ok(opts.vmadm, 'opts.vmadm');
+    assert.optionalNumber(opts.sweepInterval, 'opts.sweepInterval');
 
     self.vmadm = opts.vmadm;
     self.log = opts.log.child({watcher: 'vmadm-events-watcher'});
     self.updateVm = opts.updateVm;
     self.vms = null;
     self.restarted = false;
+
+    // Consistency sweeps, see above. sweepSeen is only set while a sweep's
+    // lookup is running.
+    self.sweepInterval = opts.sweepInterval || 0;
+    self.sweepSeen = null;
+    self.sweepTimer = null;
+}
+
+/*
+ * Compares oldVms with newVms (both objects keyed by VM UUID) and returns the
+ * UUIDs of the VMs that are only in newVms (createdVms), only in oldVms
+ * (deletedVms) or in both but differ (modifiedVms).
+ */
+function diffVms(oldVms, newVms) {
+    var oldVmUUIDs = Object.keys(oldVms);
+    var newVmUUIDs = Object.keys(newVms);
+
+    return ({
+        createdVms: newVmUUIDs.filter(function findCreatedVms(uuid) {
+            return !jsprim.hasKey(oldVms, uuid);
+        }),
+        modifiedVms: newVmUUIDs.filter(function findModifiedVms(uuid) {
+            return (jsprim.hasKey(oldVms, uuid) &&
+                !jsprim.deepEqual(oldVms[uuid], newVms[uuid]));
+        }),
+        deletedVms: oldVmUUIDs.filter(function findDeletedVms(uuid) {
+            return !jsprim.hasKey(newVms, uuid);
+        })
+    });
 }
 
 VmadmEventsWatcher.prototype.start = function start(_cb) {
@@ -51,6 +96,10 @@ VmadmEventsWatcher.prototype.start = function start(_cb) {
         assert.string(ev.type, 'ev.type');
         assert.uuid(ev.zonename, 'ev.zonename');
 
+        if (self.sweepSeen) {
+            self.sweepSeen[ev.zonename] = true;
+        }
+
         switch (ev.type) {
             case 'create':
                 assert.object(ev.vm, 'ev.vm');
@@ -96,6 +145,10 @@ VmadmEventsWatcher.prototype.start = function start(_cb) {
 
         self.vms = obj.ev.vms;
 
+        if (self.sweepInterval > 0 && !self.sweepTimer) {
+            self.scheduleSweep();
+        }
+
         cb(null, obj.ev);
     }
 
@@ -118,6 +171,105 @@ VmadmEventsWatcher.prototype.stop = function stop() {
         self.stopWatcher();
         delete self.stopWatcher;
     }
+
+    if (self.sweepTimer) {
+        clearTimeout(self.sweepTimer);
+        self.sweepTimer = null;
+    }
+};
+
+VmadmEventsWatcher.prototype.scheduleSweep = function scheduleSweep() {
+    var self = this;
+
+    self.sweepTimer = setTimeout(function _runSweep() {
+        self.sweep(function _onSweep() {
+            // only reschedule if we weren't stopped while sweeping
+            if (self.sweepTimer) {
+                self.scheduleSweep();
+            }
+        });
+    }, self.sweepInterval);
+};
+
+/*
+ * Does a full `vmadm.lookup` and sends updates for any VMs that differ from
+ * what we know from `vmadm.events`. Calls callback(err, changes) where changes
+ * is as returned by diffVms(), or null if there's no running watcher to
+ * compare with.
+ */
+VmadmEventsWatcher.prototype.sweep = function sweep(callback) {
+    var self = this;
+
+    var lookupOpts = {
+        log: self.log,
+        include_dni: true
+    };
+
+    assert.func(callback, 'callback');
+
+    if (!self.stopWatcher || !self.vms || self.sweepSeen) {
+        // not running (or restarting), or a sweep is already running
+        callback(null, null);
+        return;
+    }
+
+    self.sweepSeen = {};
+
+    self.vmadm.lookup({}, lookupOpts, function _onLookup(err, vmobjs) {
+        var changes;
+        var newVms = {};
+        var oldVms = {};
+        var seen = self.sweepSeen;
+
+        self.sweepSeen = null;
+
+        if (err) {
+            self.log.error(err, 'failed to vmadm.lookup() for sweep');
+            callback(err);
+            return;
+        }
+
+        if (!self.stopWatcher || !self.vms) {
+            // stopped while we were looking up
+            callback(null, null);
+            return;
+        }
+
+        vmobjs.forEach(function _addNewVm(vm) {
+            if (!seen[vm.uuid]) {
+                newVms[vm.uuid] = vm;
+            }
+        });
+        Object.keys(self.vms).forEach(function _addOldVm(uuid) {
+            if (!seen[uuid]) {
+                oldVms[uuid] = self.vms[uuid];
+            }
+        });
+
+        changes = diffVms(oldVms, newVms);
+
+        if (changes.createdVms.length > 0 || changes.modifiedVms.length > 0 ||
+            changes.deletedVms.length > 0) {
+
+            self.log.warn(changes,
+                'vmadm.events sweep found VMs out of sync, sending updates');
+        } else {
+            self.log.debug({vms: vmobjs.length},
+                'vmadm.events sweep found no differences');
+        }
+
+        changes.createdVms.concat(changes.modifiedVms).forEach(
+            function _setVm(uuid) {
+                self.vms[uuid] = newVms[uuid];
+            });
+        changes.deletedVms.forEach(function _deleteVm(uuid) {
+            delete self.vms[uuid];
+        });
+
+        self._sendChanges(changes, newVms);
+
+        callback(null, changes);
+    });
 };
 
 /*
@@ -136,47 +288,36 @@ VmadmEventsWatcher.prototype._sendMissedUpdates = // eslint-disable-line
 function _sendMissedUpdates(oldVms, newVms) {
     var self = this;
 
-    var oldVmUUIDs = Object.keys(oldVms);
-    var newVmUUIDs = Object.keys(newVms);
+    var changes = diffVms(oldVms, newVms);
 
-    var createdVms = newVmUUIDs.filter(function findCreatedVms(uuid) {
-        return !jsprim.hasKey(oldVms, uuid);
-    });
-    var modifiedVms = newVmUUIDs.filter(function findModifiedVms(uuid) {
-        return jsprim.hasKey(oldVms, uuid);
-    });
-    var deletedVms = oldVmUUIDs.filter(function findDeletedVms(uuid) {
-        return !jsprim.hasKey(newVms, uuid);
-    });
+    self.log.debug(changes, 'sending vmadm.events update after restart');
 
-    self.log.debug({
-        createdVms: createdVms,
-        modifiedVms: modifiedVms,
-        deletedVms: deletedVms
-    }, 'sending vmadm.events update after restart');
+    self._sendChanges(changes, newVms);
+};
+
+/*
+ * Sends the updates for changes (as returned by diffVms()) where newVms
+ * contains the current VM objects.
+ */
+VmadmEventsWatcher.prototype._sendChanges = // eslint-disable-line
+function _sendChanges(changes, newVms) {
+    var self = this;
 
-    createdVms.forEach(function addCreatedVm(uuid) {
+    changes.createdVms.forEach(function addCreatedVm(uuid) {
         var vm = newVms[uuid];
 
         assert.object(vm, 'vm');
         self.updateVm(uuid, 'create', vm);
     });
 
-    modifiedVms.forEach(function updateModifiedVm(uuid) {
-        var oldVm = oldVms[uuid];
+    changes.modifiedVms.forEach(function updateModifiedVm(uuid) {
         var newVm = newVms[uuid];
 
-        assert.object(oldVm, 'oldVm');
         assert.object(newVm, 'newVm');
-
-        if (jsprim.deepEqual(oldVm, newVm)) {
-            self.log.debug('skipping unmodified vm %s', uuid);
-        } else {
-            self.updateVm(uuid, 'modify', newVm);
-        }
+        self.updateVm(uuid, 'modify', newVm);
     });
 
-    deletedVms.forEach(function removeDeletedVm(uuid) {
+    changes.deletedVms.forEach(function removeDeletedVm(uuid) {
         self.updateVm(uuid, 'delete', {});
     });
 };
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
 /*
@@ -37,6 +37,7 @@ function ZoneeventWatcher(opts) {
     assert.optionalBool(opts.debugEvents, 'opts.debugEvents');
     assert.optionalNumber(opts.highWaterMark, 'opts.highWaterMark');
     assert.object(opts.log, 'opts.log');
+    assert.optionalFunc(opts.onRestart, 'opts.onRestart');
     assert.func(opts.updateVm, 'opts.updateVm');
 
     // For testing we'd like to be able to see all events that we get from
@@ -66,6 +67,10 @@ function ZoneeventWatcher(opts) {
 
     self.updateVm = opts.updateVm;
 
+    // Called when zoneevent exits unexpectedly and we restart it, since we
+    // might have missed events.
+    self.onRestart = opts.onRestart;
+
     self.watcher = null;
     self.lstream = null;
 }
@@ -94,6 +99,13 @@ function processUpdateObj(updateObj) {
             state: 'stopped',
             zone_state: 'stopped'
         });
+    } else if (updateObj.newstate === 'shutting_down') {
+        // Not a change to the VM, but lets VmWatcher tell a shutdown from a
+        // crash.
+
+        self.updateVm(vmUuid, 'transition', {
+            zone_state: 'shutting_down'
+        });
     } else if (self.debugEvents) {
         // This event is normally hidden, but when we're trying to debug events,
         // it's useful to emit it.
@@ -168,6 +180,9 @@ ZoneeventWatcher.prototype.start = function start() {
         if (!self.stopped) {
             process.nextTick(function _restartZoneevent() {
                 self.start();
+                if (self.onRestart) {
+                    self.onRestart();
+                }
             });
         }
     });
@@ -5,14 +5,18 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright (c) 2019, Joyent, Inc.
  */
 
+var fs = require('fs');
 var util = require('util');
 
 var assert = require('assert-plus');
 var EventEmitter = require('events').EventEmitter;
+var mockery = require('mockery');
+var node_uuid = require('node-uuid');
 
+var data = require('./data');
 var VMAPI = require('../lib/vmapi-client');
 var VmWatcher = require('../lib/vm-watcher');
 
@@ -57,6 +61,8 @@ var vmapiVms = [];
 var vmapiGetErr = null;
 var vmapiPutErr = null;
 var vmapiErrVms = {};
+var vmapiPatchSupported = true;
+var WAIT_POLL_FREQ = 100; // ms
 
 
 /*
@@ -228,7 +234,14 @@ fakeVmadm.events = function vmadmEvents(_opts, _handler, cb) {
  */
 
 function fakeVmapi() {
+    var self = this;
+
+    // Initialize necessary properties from `EventEmitter` in this instance
+    EventEmitter.call(self);
+
+    self.circuitOpen = false;
 }
+util.inherits(fakeVmapi, EventEmitter);
 
 fakeVmapi.prototype.getVms = function getVms(server_uuid, callback) {
     assert.uuid(server_uuid, 'server_uuid');
@@ -245,6 +258,34 @@ fakeVmapi.prototype.getVms = function getVms(server_uuid, callback) {
     callback(null, vmapiVms);
 };
 
+fakeVmapi.prototype.getVm = function getVm(vmUuid, callback) {
+    var err;
+    var vmobj;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    vmapiVms.forEach(function _findVm(vm) {
+        if (vm.uuid === vmUuid) {
+            vmobj = vm;
+        }
+    });
+
+    if (vmapiGetErr) {
+        err = vmapiGetErr;
+    } else if (!vmobj) {
+        err = new Error('VM not found');
+        err.restCode = 'ResourceNotFound';
+        err.statusCode = 404;
+    }
+
+    setImmediate(function _emitImmediately() {
+        coordinator.emit('vmapi.getVm', vmUuid, (err ? err : null));
+    });
+
+    callback(err, vmobj);
+};
+
 fakeVmapi.prototype.updateServerVms = // eslint-disable-line
 function updateServerVms(server_uuid, vmobjs, callback) {
     assert.uuid(server_uuid, 'server_uuid');
@@ -282,6 +323,50 @@ fakeVmapi.prototype.updateVm = function updateVm(vmobj, callback) {
     callback(err);
 };
 
+fakeVmapi.prototype.patchVm = function patchVm(vmUuid, fields, callback) {
+    var err;
+
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(fields, 'fields');
+    assert.func(callback, 'callback');
+
+    if (!vmapiPatchSupported) {
+        err = new Error('VMAPI does not support PATCH /vms/:uuid');
+        err.restCode = 'PatchNotSupported';
+        this.supportsPatch = false;
+    } else if (vmapiPutErr) {
+        err = vmapiPutErr;
+    } else if (vmapiErrVms[vmUuid]) {
+        err = vmapiErrVms[vmUuid];
+    }
+
+    setImmediate(function _emitImmediately() {
+        coordinator.emit('vmapi.patchVm', vmUuid, fields,
+            (err ? err : null));
+    });
+
+    callback(err);
+};
+
+fakeVmapi.prototype.stopProbe = function stopProbe() {
+};
+
+fakeVmapi.prototype.reconnect = function reconnect(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+
+    setImmediate(function _emitImmediately() {
+        coordinator.emit('vmapi.reconnect', opts);
+    });
+};
+
+// Opens or closes the circuit as the real client would after failures or a
+// successful probe. (Not in the real vmapi client)
+fakeVmapi.prototype.setCircuitOpen = function setCircuitOpen(open) {
+    this.circuitOpen = open;
+    this.emit(open ? 'circuitOpen' : 'circuitClose');
+};
+
 // These last functions don't exist in the real vmapi client, but we use them to
 // manage the set of expected VMs / errors for our fake VMAPI.
 fakeVmapi.putVm = function putVm(vmobj) {
@@ -334,17 +419,24 @@ fakeVmapi.getPutError = function getPutError() {
     return (vmapiPutErr);
 };
 
+fakeVmapi.setPatchSupported = function setPatchSupported(supported) {
+    vmapiPatchSupported = supported;
+};
+
 fakeVmapi.VMAPI_DEFAULT_FIELDS = VMAPI.VMAPI_DEFAULT_FIELDS;
 fakeVmapi.VMAPI_ALWAYS_SET_FIELDS = VMAPI.VMAPI_ALWAYS_SET_FIELDS;
 
 
 // Fake VmWatcher for testing
 
-function fakeVmWatcher() {
+function fakeVmWatcher(opts) {
     var self = this;
 
     // Initialize necessary properties from `EventEmitter` in this instance
     EventEmitter.call(self);
+
+    self.history = {};
+    self.opts = opts;
 }
 util.inherits(fakeVmWatcher, EventEmitter);
 
@@ -360,7 +452,31 @@ fakeVmWatcher.prototype.stop = function stop() {
     // console.error('vmwatcher.start');
 };
 
+fakeVmWatcher.prototype.getHistory = function getHistory(vmUuid) {
+    return ((this.history[vmUuid] || []).slice());
+};
+
+fakeVmWatcher.prototype.getHistories = function getHistories() {
+    return (this.history);
+};
+
+fakeVmWatcher.prototype.getDuplicateCounts = function getDuplicateCounts() {
+    return ({});
+};
+
+fakeVmWatcher.prototype.setTaskRunning = // eslint-disable-line
+function setTaskRunning(vmUuid, running) {
+    coordinator.emit('vmwatcher.setTaskRunning', vmUuid, running);
+};
+
+// Records the intervals so that tests can check them.
+fakeVmWatcher.prototype.setPeriodicIntervals = // eslint-disable-line
+function setPeriodicIntervals(opts) {
+    this.periodicIntervals = opts;
+};
+
 fakeVmWatcher.WATCHED_FIELDS = VmWatcher.WATCHED_FIELDS;
+fakeVmWatcher.uniqueElements = VmWatcher.uniqueElements;
 
 
 // Anything tests should do between runs to cleanup should go in resetState().
@@ -369,17 +485,140 @@ function resetState() {
     vmadmErr = null;
     vmadmVms = [];
     vmapiGetErr = null;
+    vmapiPatchSupported = true;
     vmapiPutErr = null;
+    vmapiErrVms = {};
     vmapiVms = [];
 }
 
+
+/*
+ * Requires the module at modulePath (relative to this directory) with vmadm,
+ * VmWatcher and VMAPI replaced by the mocks above, and returns it.
+ */
+function requireWithMocks(modulePath) {
+    var mod;
+
+    assert.string(modulePath, 'modulePath');
+
+    mockery.enable({useCleanCache: true, warnOnUnregistered: false});
+    mockery.registerMock('vmadm', fakeVmadm);
+    mockery.registerMock('./vm-watcher', fakeVmWatcher);
+    mockery.registerMock('./vmapi-client', fakeVmapi);
+    mod = require(modulePath);
+    mockery.disable();
+
+    return (mod);
+}
+
+// Returns a VmAgent config for the mocks, with the keys from extra added.
+function newConfig(extra) {
+    var config = {
+        log: Logger,
+        server_uuid: node_uuid.v4(),
+        vmapi_url: 'http://127.0.0.1/'
+    };
+
+    assert.optionalObject(extra, 'extra');
+
+    Object.keys(extra || {}).forEach(function _addKey(key) {
+        config[key] = extra[key];
+    });
+
+    return (config);
+}
+
+// Returns a copy of the first SmartOS payload from ./data.js with a new uuid.
+function newVm() {
+    var vmobj = JSON.parse(JSON.stringify(data.smartosPayloads[0]));
+
+    vmobj.uuid = node_uuid.v4();
+    return (vmobj);
+}
+
+// Returns a path in /tmp for this test process to use as file "name".
+function tmpPath(name) {
+    assert.string(name, 'name');
+
+    return ('/tmp/vm-agent-test.' + process.pid + '.' + name);
+}
+
+// Returns the contents of the file, or null when it doesn't exist.
+function readFileIfExists(filename) {
+    try {
+        return (fs.readFileSync(filename, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return (null);
+        }
+        throw (e);
+    }
+}
+
+// Returns the JSON object in the file, or null when it doesn't exist.
+function readJson(filename) {
+    var content = readFileIfExists(filename);
+
+    return (content === null ? null : JSON.parse(content));
+}
+
+// Returns the objects in a file with one JSON object per line, [] if missing.
+function readJsonLines(filename) {
+    var content = readFileIfExists(filename);
+
+    if (content === null) {
+        return ([]);
+    }
+
+    return (content.split('\n').filter(function _notEmpty(line) {
+        return (line.length > 0);
+    }).map(function _parse(line) {
+        return (JSON.parse(line));
+    }));
+}
+
+// Removes the file if it exists.
+function removeFile(filename) {
+    try {
+        fs.unlinkSync(filename);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw (e);
+        }
+    }
+}
+
+// Polls until check() returns a truthy value, then calls callback(value).
+function waitFor(check, callback) {
+    var value;
+
+    assert.func(check, 'check');
+    assert.func(callback, 'callback');
+
+    value = check();
+    if (!value) {
+        setTimeout(waitFor, WAIT_POLL_FREQ, check, callback);
+        return;
+    }
+
+    callback(value);
+}
+
 module.exports = {
     coordinator: coordinator,
     Logger: Logger,
+    newConfig: newConfig,
+    newVm: newVm,
+    readJson: readJson,
+    readJsonLines: readJsonLines,
+    removeFile: removeFile,
+    requireWithMocks: requireWithMocks,
     resetState: resetState,
+    tmpPath: tmpPath,
     Vmadm: fakeVmadm,
     vmadmifyVm: vmadmifyVm,
     Vmapi: fakeVmapi,
     vmapifyVm: vmapifyVm,
-    VmWatcher: fakeVmWatcher
+    VmWatcher: fakeVmWatcher,
+    waitFor: waitFor
 };
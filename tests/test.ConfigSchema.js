@@ -0,0 +1,171 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for validating the vm-agent config against lib/config-schema.js.
+ */
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var configSchema = require('../lib/config-schema');
+
+
+// GLOBAL
+var validateConfig = configSchema.validateConfig;
+
+
+function newConfig() {
+    return ({
+        cueballHttpAgent: {
+            initialDomains: ['vmapi.example.com'],
+            resolvers: ['binder.example.com'],
+            spares: 4,
+            maximum: 100
+        },
+        no_rabbit: true,
+        periodic_interval: 60000,
+        server_uuid: node_uuid.v4(),
+        vmapi_url: 'http://vmapi.example.com'
+    });
+}
+
+
+test('valid config', function _test(t) {
+    var config = newConfig();
+
+    config.periodic_fields = 'cpu_cap,tags';
+    config.vmapi_update_mode = 'patch';
+    config.log_level = 'info';
+    config.sinks = [ {type: 'file', path: '/var/tmp/vms.json'} ];
+
+    t.deepEqual(validateConfig(config), {errors: [], warnings: []},
+        'no errors or warnings');
+
+    config.periodic_fields = ['cpu_cap', 'tags'];
+    t.deepEqual(validateConfig(config), {errors: [], warnings: []},
+        'periodic_fields can be an array');
+
+    t.end();
+});
+
+test('unknown keys are warnings', function _test(t) {
+    var config = newConfig();
+    var result;
+
+    config.periodic_intreval = 1000;
+
+    result = validateConfig(config);
+    t.deepEqual(result.errors, [], 'no errors');
+    t.deepEqual(result.warnings, [
+        'periodic_intreval: unknown config option, ignoring'
+    ], 'warning for typo');
+
+    t.end();
+});
+
+test('bad values are errors', function _test(t) {
+    var config = newConfig();
+    var result;
+
+    config.periodic_interval = '60s';
+    config.server_uuid = 'not-a-uuid';
+    config.metrics_port = 70000;
+    config.vmapi_update_mode = 'post';
+    config.update_concurrency = 1.5;
+    config.periodic_fields = ['tags', 7];
+    config.cueballHttpAgent = [];
+    config.no_rabbit = 'false';
+
+    result = validateConfig(config);
+    t.deepEqual(result.errors, [
+        'cueballHttpAgent: must be an object (got array)',
+        'metrics_port: must be <= 65535 (got 70000)',
+        'no_rabbit: must be a boolean (got string "false")',
+        'periodic_fields: must only contain elements of type string ' +
+            '(got number 7)',
+        'periodic_interval: must be a number (got string "60s")',
+        'server_uuid: must be a UUID (got string "not-a-uuid")',
+        'update_concurrency: must be an integer (got 1.5)',
+        'vmapi_update_mode: must be one of: patch, put (got string "post")'
+    ], 'an error for each bad value');
+    t.deepEqual(result.warnings, [], 'no warnings');
+
+    t.end();
+});
+
+test('required keys', function _test(t) {
+    var config = newConfig();
+
+    delete config.server_uuid;
+    config.vmapi_url = 'vmapi.example.com';
+
+    t.deepEqual(validateConfig(config).errors, [
+        'vmapi_url: must be a URL (http://...) (got string "vmapi.example.com")',
+        'server_uuid: is required but was not set'
+    ], 'missing server_uuid and bad vmapi_url');
+
+    t.deepEqual(validateConfig(config, {partial: true}).errors, [
+        'vmapi_url: must be a URL (http://...) (got string "vmapi.example.com")'
+    ], 'missing keys allowed when partial');
+
+    t.end();
+});
+
+test('sinks are checked by type', function _test(t) {
+    var config = newConfig();
+    var result;
+
+    config.sinks = [
+        {type: 'file', path: '/var/run/vm-agent.vms.json'},
+        {type: 'file'},
+        {type: 'vmapi', url: 'vmapi.example.com'},
+        {type: 'webhook', url: 'https://hooks.example.com', retries: -1,
+            colour: 'blue'},
+        {type: 'ftp'},
+        {path: '/tmp/vms.json'},
+        'file'
+    ];
+
+    result = validateConfig(config);
+    t.deepEqual(result.errors, [
+        'sinks[1].path: is required but was not set',
+        'sinks[2].url: must be a URL (http://...) (got string ' +
+            '"vmapi.example.com")',
+        'sinks[3].retries: must be >= 0 (got -1)',
+        'sinks[4].type: must be one of: file, vmapi, webhook (got string ' +
+            '"ftp")',
+        'sinks[5].type: is required but was not set',
+        'sinks[6]: must be an object (got string "file")'
+    ], 'an error for each bad sink');
+    t.deepEqual(result.warnings, [
+        'sinks[3].colour: unknown config option, ignoring',
+        'sinks[5].path: unknown config option, ignoring'
+    ], 'unknown sink options are warnings');
+
+    t.end();
+});
+
+test('periodic min interval must not exceed max', function _test(t) {
+    var config = newConfig();
+
+    config.periodic_min_interval = 600000;
+    config.periodic_max_interval = 300000;
+
+    t.deepEqual(validateConfig(config).errors, [
+        'periodic_min_interval: must be <= periodic_max_interval ' +
+            '(got 600000 > 300000)'
+    ], 'min > max is an error');
+
+    config.periodic_max_interval = 600000;
+    t.deepEqual(validateConfig(config).errors, [], 'min == max is fine');
+
+    t.end();
+});
@@ -0,0 +1,105 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var Metrics = require('../lib/metrics');
+
+
+test('counters', function _test(t) {
+    var metrics = new Metrics();
+    var output;
+
+    metrics.addCounter('test_events_total', 'Events');
+    metrics.increment('test_events_total', {watcher: 'fs', event: 'create'});
+    metrics.increment('test_events_total', {event: 'create', watcher: 'fs'});
+    metrics.increment('test_events_total', {event: 'delete', watcher: 'fs'});
+    metrics.increment('test_events_total', {event: 'delete', watcher: 'fs'},
+        3);
+
+    t.equal(metrics.getCount('test_events_total',
+        {event: 'create', watcher: 'fs'}), 2, 'label order does not matter');
+    t.equal(metrics.getCount('test_events_total',
+        {event: 'modify', watcher: 'fs'}), 0, 'unseen labels are 0');
+
+    output = metrics.toPrometheus();
+    t.ok(output.indexOf('# TYPE test_events_total counter\n') !== -1,
+        'counter has TYPE');
+    t.ok(output.indexOf('# HELP test_events_total Events\n') !== -1,
+        'counter has HELP');
+    t.ok(output.indexOf(
+        'test_events_total{event="create",watcher="fs"} 2\n') !== -1,
+        'create counter rendered');
+    t.ok(output.indexOf(
+        'test_events_total{event="delete",watcher="fs"} 4\n') !== -1,
+        'delete counter rendered');
+
+    t.throws(function _undeclared() {
+        metrics.increment('test_unknown_total');
+    }, /unknown metric/, 'undeclared metric throws');
+
+    t.end();
+});
+
+test('gauges', function _test(t) {
+    var depth = 3;
+    var metrics = new Metrics();
+
+    metrics.addGauge('test_depth', 'Depth', function _depth() {
+        return (depth);
+    });
+
+    t.ok(metrics.toPrometheus().indexOf('test_depth 3\n') !== -1,
+        'gauge rendered with initial value');
+
+    depth = 7;
+    t.ok(metrics.toPrometheus().indexOf('test_depth 7\n') !== -1,
+        'gauge rendered with current value');
+
+    t.end();
+});
+
+test('histograms', function _test(t) {
+    var metrics = new Metrics();
+    var output;
+
+    metrics.addHistogram('test_seconds', 'Duration', [1, 0.1]);
+    metrics.observe('test_seconds', {action: 'vmadm.load'}, 0.05);
+    metrics.observe('test_seconds', {action: 'vmadm.load'}, 0.5);
+    metrics.observe('test_seconds', {action: 'vmadm.load'}, 5);
+
+    output = metrics.toPrometheus().split('\n');
+
+    [
+        '# TYPE test_seconds histogram',
+        'test_seconds_bucket{action="vmadm.load",le="0.1"} 1',
+        'test_seconds_bucket{action="vmadm.load",le="1"} 2',
+        'test_seconds_bucket{action="vmadm.load",le="+Inf"} 3',
+        'test_seconds_sum{action="vmadm.load"} 5.55',
+        'test_seconds_count{action="vmadm.load"} 3'
+    ].forEach(function _checkLine(line) {
+        t.ok(output.indexOf(line) !== -1, 'output has: ' + line);
+    });
+
+    t.end();
+});
+
+test('label escaping', function _test(t) {
+    var metrics = new Metrics();
+
+    metrics.addCounter('test_total', 'Escaping');
+    metrics.increment('test_total', {name: 'a "quoted"\\value'});
+
+    t.ok(metrics.toPrometheus().indexOf(
+        'test_total{name="a \\"quoted\\"\\\\value"} 1') !== -1,
+        'label value escaped');
+
+    t.end();
+});
@@ -0,0 +1,178 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the adaptive interval of the PeriodicWatcher, using the vmadm mock
+ * from ./mocks.js.
+ */
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var PeriodicWatcher = mocks.requireWithMocks(
+    '../lib/watchers/periodic-watcher');
+
+
+function newWatcher(opts) {
+    return (new PeriodicWatcher({
+        log: mocks.Logger,
+        maxInterval: opts.maxInterval,
+        minInterval: opts.minInterval,
+        periodicInterval: opts.periodicInterval,
+        updateVm: opts.updateVm || function _ignoreUpdate() {}
+    }));
+}
+
+
+test('fixed interval without bounds', function _test(t) {
+    var watcher = newWatcher({periodicInterval: 1000});
+
+    t.equal(watcher.nextInterval(false, 10), 1000, 'idle stays at 1000');
+    t.equal(watcher.nextInterval(true, 10), 1000, 'change stays at 1000');
+    t.equal(watcher.nextInterval(false, 900), 1000, 'slow stays at 1000');
+
+    t.end();
+});
+
+test('nextInterval within bounds', function _test(t) {
+    var watcher = newWatcher({
+        maxInterval: 4000,
+        minInterval: 500,
+        periodicInterval: 1000
+    });
+
+    t.equal(watcher.minInterval, 500, 'minInterval');
+    t.equal(watcher.maxInterval, 4000, 'maxInterval');
+
+    watcher.currentInterval = 1000;
+    t.equal(watcher.nextInterval(false, 10), 1500, 'idle grows');
+    watcher.currentInterval = 3000;
+    t.equal(watcher.nextInterval(false, 10), 4000, 'idle capped at max');
+    t.equal(watcher.nextInterval(true, 10), 500, 'change drops to min');
+    t.equal(watcher.nextInterval(true, 200), 2000,
+        'slow lookup backs off even after change');
+    t.equal(watcher.nextInterval(true, 1000), 4000,
+        'slow lookup backoff capped at max');
+
+    t.end();
+});
+
+/*
+ * A periodic_interval outside the configured bounds must not change them, the
+ * nearest bound is used instead and we warn about it.
+ */
+test('bounds kept when interval outside them', function _test(t) {
+    var warnings = 0;
+    var log = {
+        child: function _child() {
+            return (log);
+        },
+        warn: function _warn() {
+            warnings++;
+        }
+    };
+    var watcher = new PeriodicWatcher({
+        log: log,
+        minInterval: 120000,
+        periodicInterval: 60000,
+        updateVm: function _ignoreUpdate() {}
+    });
+
+    t.equal(watcher.minInterval, 120000, 'minInterval kept');
+    t.equal(watcher.maxInterval, 120000, 'maxInterval at least minInterval');
+    t.equal(watcher.currentInterval, 120000, 'starts at minInterval');
+    t.equal(warnings, 1, 'warned about interval below minInterval');
+
+    watcher.setIntervals({maxInterval: 30000, periodicInterval: 60000});
+    t.equal(watcher.minInterval, 30000, 'minInterval at most maxInterval');
+    t.equal(watcher.maxInterval, 30000, 'maxInterval kept');
+    t.equal(warnings, 2, 'warned about interval above maxInterval');
+
+    watcher.setIntervals({
+        maxInterval: 4000,
+        minInterval: 500,
+        periodicInterval: 1000
+    });
+    t.equal(warnings, 2, 'no warning for interval within bounds');
+
+    t.end();
+});
+
+test('interval adapts to lookups', function _test(t) {
+    var intervals = [];
+    var lookups = 0;
+    var vmobj = mocks.newVm();
+    var watcher = newWatcher({
+        maxInterval: 80,
+        minInterval: 20,
+        periodicInterval: 40
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    coordinator.on('vmadm.lookup', function _onLookup() {
+        lookups++;
+        intervals.push(watcher.currentInterval);
+
+        if (lookups === 4) {
+            // a change, after which we should be back at the minimum
+            vmobj.quota = 4242;
+            mocks.Vmadm.putVm(vmobj);
+        } else if (lookups === 6) {
+            watcher.stop();
+            mocks.resetState();
+
+            // The interval is recorded after it was updated for the lookup
+            // that just ran.
+            t.deepEqual(intervals, [30, 45, 68, 80, 20, 30],
+                'interval grew while idle, dropped after change');
+            t.end();
+        }
+    });
+
+    watcher.start();
+});
+
+test('hurry reschedules a lookup', function _test(t) {
+    var started;
+    var watcher = newWatcher({
+        maxInterval: 60000,
+        minInterval: 20,
+        periodicInterval: 60000
+    });
+
+    coordinator.once('vmadm.lookup', function _onFirstLookup() {
+        // pretend we've been idle long enough to reach the max
+        clearTimeout(watcher.periodicTimer);
+        watcher.currentInterval = 60000;
+        watcher.scheduleLookup();
+
+        started = Date.now();
+        coordinator.once('vmadm.lookup', function _onLookup() {
+            t.ok(Date.now() - started < 1000,
+                'lookup ran soon after hurry()');
+            t.equal(watcher.currentInterval, 30, 'interval grew from min');
+
+            watcher.stop();
+            mocks.resetState();
+            t.end();
+        });
+
+        watcher.hurry();
+        t.equal(watcher.currentInterval, 20, 'interval back at min');
+        t.ok(watcher.nextLookup - Date.now() <= 20, 'lookup rescheduled');
+    });
+
+    watcher.start();
+});
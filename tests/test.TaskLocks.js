@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for TaskLocks and VmAgent deferring updates for VMs while cn-agent has
+ * a task running. The lock directory is real, VMAPI, vmadm and VmWatcher are
+ * mocked out using mocks from ./mocks.js.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+var TaskLocks = require('../lib/task-locks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var lockDir = mocks.tmpPath('tasks');
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({task_lock_dir: lockDir}));
+}
+
+function removeLockDir() {
+    fs.readdirSync(lockDir).forEach(function _unlink(file) {
+        fs.unlinkSync(path.join(lockDir, file));
+    });
+    fs.rmdirSync(lockDir);
+}
+
+
+test('TaskLocks sees tasks start and end', function _test(t) {
+    var events = [];
+    var staleUuid = node_uuid.v4();
+    var taskLocks = new TaskLocks({
+        dir: lockDir,
+        log: mocks.Logger,
+        maxTaskAge: 60000
+    });
+    var vmUuid = node_uuid.v4();
+
+    taskLocks.on('taskStart', function _onStart(evUuid) {
+        events.push(['start', evUuid]);
+    });
+    taskLocks.on('taskEnd', function _onEnd(evUuid) {
+        events.push(['end', evUuid]);
+    });
+
+    taskLocks.start(function _onStarted(err) {
+        t.ifError(err, 'started TaskLocks');
+        t.ok(fs.statSync(lockDir).isDirectory(), 'created lock directory');
+
+        fs.writeFileSync(path.join(lockDir, vmUuid), 'stop');
+        fs.writeFileSync(path.join(lockDir, staleUuid), 'start');
+        fs.utimesSync(path.join(lockDir, staleUuid), 0, 0);
+        fs.writeFileSync(path.join(lockDir, 'not-a-uuid'), '');
+
+        taskLocks.scan(function _onScan() {
+            t.ok(taskLocks.isLocked(vmUuid), 'VM is in task');
+            t.notOk(taskLocks.isLocked(staleUuid), 'stale lock ignored');
+
+            fs.unlinkSync(path.join(lockDir, vmUuid));
+            taskLocks.scan(function _onSecondScan() {
+                t.notOk(taskLocks.isLocked(vmUuid), 'VM task ended');
+                t.deepEqual(events, [['start', vmUuid], ['end', vmUuid]],
+                    'saw task start and end');
+
+                taskLocks.stop();
+                removeLockDir();
+                t.end();
+            });
+        });
+    });
+});
+
+/*
+ * While the VM is locked, changes should not be sent to VMAPI. When the task
+ * ends we should load and send the VM once.
+ */
+test('VmAgent defers updates for VMs in task', function _test(t) {
+    var config = newConfig();
+    var taskRunning = [];
+    var updates = [];
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        coordinator.on('vmwatcher.setTaskRunning', function _onTask(vmUuid,
+            running) {
+
+            taskRunning.push([vmUuid, running]);
+        });
+        coordinator.on('vmapi.updateVm', function _onUpdate(vm) {
+            updates.push(vm.state);
+
+            t.equal(vm.state, 'running', 'VMAPI got final state');
+            t.deepEqual(updates, ['running'], 'VMAPI updated once');
+            t.deepEqual(vmAgent.deferredVms, [], 'VM no longer deferred');
+            t.deepEqual(taskRunning, [ [vmobj.uuid, true],
+                [vmobj.uuid, false] ], 'watcher told about task');
+
+            vmAgent.stop();
+            mocks.resetState();
+            removeLockDir();
+            t.end();
+        });
+
+        fs.writeFileSync(path.join(lockDir, vmobj.uuid), 'start');
+        vmAgent.taskLocks.scan(function _onLocked() {
+            t.ok(vmAgent.taskLocks.isLocked(vmobj.uuid), 'VM is in task');
+
+            // intermediate states while the task is running
+            mocks.Vmadm.peekVms()[0].state = 'stopped';
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'zoneevent');
+            setTimeout(function _stillInTask() {
+                mocks.Vmadm.peekVms()[0].state = 'running';
+                vmAgent.watcher.emit('VmModified', vmobj.uuid, 'zoneevent');
+            }, 50);
+
+            setTimeout(function _endTask() {
+                t.deepEqual(vmAgent.deferredVms, [vmobj.uuid],
+                    'VM was deferred');
+                t.deepEqual(vmAgent.getStatus().inTask, [vmobj.uuid],
+                    'status shows VM in task');
+                t.deepEqual(updates, [], 'VMAPI not updated during task');
+
+                fs.unlinkSync(path.join(lockDir, vmobj.uuid));
+                vmAgent.taskLocks.scan();
+            }, 200);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for VmAgent with update_batch_window set. VMAPI, vmadm and VmWatcher
+ * are mocked out using mocks from ./mocks.js.
+ */
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var BATCH_WINDOW = 100; // ms
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({update_batch_window: BATCH_WINDOW}));
+}
+
+function resetGlobalState(vmAgent) {
+    if (vmAgent) {
+        vmAgent.stop();
+    }
+    mocks.resetState();
+}
+
+/*
+ * Several VMs modified within the batch window should result in a single
+ * PUT /vms with all of them, and no individual PUTs.
+ */
+test('VmAgent batches modified VMs', function _test(t) {
+    var updates = 0;
+    var vmAgent;
+    var vms = [mocks.newVm(), mocks.newVm(), mocks.newVm()];
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm() {
+        t.fail('should not have PUT individual VM');
+    });
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms(vmobjs) {
+        updates++;
+
+        if (updates === 1) {
+            // initial update, now modify all the VMs
+            setImmediate(function _modifyVms() {
+                mocks.Vmadm.peekVms().forEach(function _modify(vmobj) {
+                    vmobj.quota = 1234;
+                    vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                    // a duplicate event should not add the VM twice
+                    vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                });
+                t.equal(vmAgent.getStatus().queued.length, 3,
+                    '3 VMs waiting in batch');
+            });
+            return;
+        }
+
+        t.deepEqual(Object.keys(vmobjs).sort(), vms.map(function _getUuid(vm) {
+            return (vm.uuid);
+        }).sort(), 'batch includes all modified VMs');
+        Object.keys(vmobjs).forEach(function _checkVm(vmUuid) {
+            t.equal(vmobjs[vmUuid].quota, 1234, 'VM has new quota');
+        });
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    vms.forEach(function _putVm(vmobj) {
+        mocks.Vmadm.putVm(vmobj);
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * If the PUT /vms fails, each of the VMs should be attempted with an
+ * individual PUT instead.
+ */
+test('VmAgent falls back to individual PUTs', function _test(t) {
+    var putVms = [];
+    var updates = 0;
+    var vmAgent;
+    var vms = [mocks.newVm(), mocks.newVm()];
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        updates++;
+
+        if (updates === 1) {
+            setImmediate(function _modifyVms() {
+                mocks.Vmapi.setPutError(new Error('VMAPI is broken'));
+                mocks.Vmadm.peekVms().forEach(function _modify(vmobj) {
+                    vmobj.quota = 4321;
+                    vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                });
+            });
+        }
+    });
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm(vmobj) {
+        t.equal(vmobj.quota, 4321, 'VM has new quota');
+        if (putVms.indexOf(vmobj.uuid) === -1) {
+            putVms.push(vmobj.uuid);
+        }
+
+        if (putVms.length === vms.length) {
+            t.deepEqual(putVms.sort(), vms.map(function _getUuid(vm) {
+                return (vm.uuid);
+            }).sort(), 'all VMs PUT individually');
+            t.equal(updates, 2, 'one batch PUT attempted');
+
+            resetGlobalState(vmAgent);
+            t.end();
+        }
+    });
+
+    vms.forEach(function _putVm(vmobj) {
+        mocks.Vmadm.putVm(vmobj);
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * In 'patch' mode the batch window is ignored, since a batch would PUT the
+ * whole objects. Each modified VM should get its own PATCH instead.
+ */
+test('VmAgent does not batch in patch mode', function _test(t) {
+    var config = newConfig();
+    var patchedVms = [];
+    var updates = 0;
+    var vmAgent;
+    var vms = [mocks.newVm(), mocks.newVm()];
+
+    config.vmapi_update_mode = 'patch';
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        updates++;
+
+        if (updates === 1) {
+            setImmediate(function _modifyVms() {
+                mocks.Vmadm.peekVms().forEach(function _modify(vmobj) {
+                    vmobj.quota = 2345;
+                    vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                });
+            });
+            return;
+        }
+
+        t.fail('should not have batched in patch mode');
+    });
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(vmUuid, fields) {
+        t.deepEqual(fields, {quota: 2345}, 'PATCH has only new quota');
+        patchedVms.push(vmUuid);
+
+        if (patchedVms.length === vms.length) {
+            t.equal(vmAgent.batchWindow, 0, 'batch window ignored');
+            t.deepEqual(patchedVms.sort(), vms.map(function _getUuid(vm) {
+                return (vm.uuid);
+            }).sort(), 'all VMs PATCHed individually');
+
+            resetGlobalState(vmAgent);
+            t.end();
+        }
+    });
+
+    vms.forEach(function _putVm(vmobj) {
+        mocks.Vmadm.putVm(vmobj);
+    });
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start();
+});
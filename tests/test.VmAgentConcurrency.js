@@ -0,0 +1,156 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for VmAgent with update_concurrency set. VMAPI, vmadm and VmWatcher
+ * are mocked out using mocks from ./mocks.js.
+ */
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var SLOW_PUT_DELAY = 200; // ms
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({update_concurrency: 4}));
+}
+
+function resetGlobalState(vmAgent) {
+    if (vmAgent) {
+        vmAgent.stop();
+    }
+    mocks.resetState();
+}
+
+/*
+ * Makes the vmAgent's VMAPI client slow to respond to updateVm() and keeps
+ * track of how many PUTs are outstanding (total and per-VM) calling
+ * onPut(vmobj, stats) as each one completes.
+ */
+function slowPuts(vmAgent, onPut) {
+    var realUpdateVm = vmAgent.vmapiClient.updateVm;
+    var stats = {active: 0, activeVms: {}, maxActive: 0, maxActiveVm: 0};
+
+    vmAgent.vmapiClient.updateVm = function _slowUpdateVm(vmobj, callback) {
+        var self = this;
+        // copy since the mock vmadm may hand out the object it will modify
+        var sentVmobj = JSON.parse(JSON.stringify(vmobj));
+        var vmUuid = vmobj.uuid;
+
+        stats.active++;
+        stats.activeVms[vmUuid] = (stats.activeVms[vmUuid] || 0) + 1;
+        stats.maxActive = Math.max(stats.maxActive, stats.active);
+        stats.maxActiveVm = Math.max(stats.maxActiveVm,
+            stats.activeVms[vmUuid]);
+
+        setTimeout(function _finishPut() {
+            stats.active--;
+            stats.activeVms[vmUuid]--;
+            realUpdateVm.call(self, vmobj, function _onPut(err) {
+                callback(err);
+                onPut(sentVmobj, stats);
+            });
+        }, SLOW_PUT_DELAY);
+    };
+}
+
+test('VmAgent updates different VMs concurrently', function _test(t) {
+    var putCount = 0;
+    var vmAgent;
+    var vms = [mocks.newVm(), mocks.newVm(), mocks.newVm()];
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVms() {
+            slowPuts(vmAgent, function _onPut(_vmobj, stats) {
+                putCount++;
+                if (putCount < vms.length) {
+                    return;
+                }
+
+                t.equal(stats.maxActive, vms.length,
+                    'all VMs were updated at the same time');
+                resetGlobalState(vmAgent);
+                t.end();
+            });
+
+            mocks.Vmadm.peekVms().forEach(function _modify(vmobj) {
+                vmobj.quota = 1234;
+                vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+            });
+        });
+    });
+
+    vms.forEach(function _putVm(vmobj) {
+        mocks.Vmadm.putVm(vmobj);
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * A VM modified again while its update is in flight must not be updated
+ * concurrently, but must be updated again once the first update completes.
+ */
+test('VmAgent never updates the same VM concurrently', function _test(t) {
+    var putCount = 0;
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            slowPuts(vmAgent, function _onPut(putVmobj, stats) {
+                putCount++;
+
+                if (putCount === 1) {
+                    t.equal(putVmobj.quota, 1000, 'first PUT has first quota');
+                    return;
+                }
+
+                t.equal(putVmobj.quota, 2000, 'second PUT has new quota');
+                t.equal(stats.maxActiveVm, 1, 'VM never updated concurrently');
+                t.deepEqual(vmAgent.getStatus().inflight, [],
+                    'nothing left in flight');
+
+                // Give any (unexpected) extra update a chance to show up
+                setTimeout(function _checkDone() {
+                    t.equal(putCount, 2, 'VM was PUT twice');
+                    resetGlobalState(vmAgent);
+                    t.end();
+                }, SLOW_PUT_DELAY * 2);
+            });
+
+            mocks.Vmadm.peekVms()[0].quota = 1000;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+
+            // Modify again while the first PUT is still outstanding
+            setTimeout(function _modifyAgain() {
+                t.deepEqual(vmAgent.getStatus().inflight, [vmobj.uuid],
+                    'VM update in flight');
+                mocks.Vmadm.peekVms()[0].quota = 2000;
+                vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+                t.deepEqual(vmAgent.getStatus().queued, [],
+                    'VM not queued while in flight');
+            }, SLOW_PUT_DELAY / 2);
+        });
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
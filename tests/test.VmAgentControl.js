@@ -0,0 +1,420 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the "vm-agent <command>" CLI (lib/cli.js) and the status API
+ * endpoints it uses. VMAPI, vmadm and VmWatcher are mocked out using mocks from
+ * ./mocks.js.
+ */
+
+var fs = require('fs');
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var cli = require('../lib/cli');
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({status_socket: mocks.tmpPath('sock')}));
+}
+
+/*
+ * Runs the CLI with args against the agent's socket and calls
+ * callback(code, stdout, stderr).
+ */
+function runCli(socketPath, args, callback) {
+    var stderr = {output: ''};
+    var stdout = {output: ''};
+
+    stderr.write = function _write(str) {
+        stderr.output += str;
+    };
+    stdout.write = function _write(str) {
+        stdout.output += str;
+    };
+
+    cli.main(['--socket', socketPath].concat(args), {
+        configPath: '/nonexistent/vm-agent.config.json',
+        stderr: stderr,
+        stdout: stdout
+    }, function _onDone(code) {
+        callback(code, stdout.output, stderr.output);
+    });
+}
+
+
+test('usage errors', function _test(t) {
+    runCli('/nonexistent.sock', [], function _onNoCommand(code, _out, err) {
+        t.equal(code, 2, 'missing command exits 2');
+        t.ok(err.match(/missing command/), 'missing command message');
+
+        runCli('/nonexistent.sock', ['bogus'], function _onBogus(code2) {
+            t.equal(code2, 2, 'unknown command exits 2');
+
+            runCli('/nonexistent.sock', ['status', 'extra'],
+                function _onExtra(code3, _out3, err3) {
+                    t.equal(code3, 2, 'extra argument exits 2');
+                    t.ok(err3.match(/status takes no arguments/),
+                        'extra argument message');
+                    t.end();
+                });
+        });
+    });
+});
+
+test('no status API configured', function _test(t) {
+    cli.main(['status'], {
+        configPath: '/nonexistent/vm-agent.config.json',
+        stderr: {write: function _write(str) {
+            t.ok(str.match(/could not load/), 'error about config file');
+        }}
+    }, function _onDone(code) {
+        t.equal(code, 1, 'exits 1');
+        t.end();
+    });
+});
+
+test('default status socket', function _test(t) {
+    var configPath = mocks.tmpPath('config.json');
+    var stderr = '';
+
+    fs.writeFileSync(configPath, '{}');
+
+    cli.main(['status'], {
+        configPath: configPath,
+        stderr: {write: function _write(str) {
+            stderr += str;
+        }}
+    }, function _onDone(code) {
+        t.equal(code, 1, 'exits 1 with no agent running');
+        t.ok(stderr.indexOf(cli.DEFAULT_STATUS_SOCKET) !== -1,
+            'tried default socket');
+
+        fs.unlinkSync(configPath);
+        t.end();
+    });
+});
+
+test('vm-agent status', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+
+    mocks.Vmadm.putVm(mocks.newVm());
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        runCli(config.status_socket, ['status'],
+            function _onStatus(code, out, err) {
+                t.equal(code, 0, 'exits 0');
+                t.equal(err, '', 'no errors');
+                t.ok(out.match(/^ready: +true$/m), 'shows ready');
+                t.ok(out.match(/^known VMs: +1$/m), 'shows known VMs');
+                t.ok(out.match(/^failing VMs: +0$/m), 'shows failing VMs');
+
+                runCli(config.status_socket, ['-j', 'status'],
+                    function _onJson(jsonCode, jsonOut) {
+                        t.equal(jsonCode, 0, 'exits 0 with -j');
+                        t.equal(JSON.parse(jsonOut).server_uuid,
+                            config.server_uuid, 'JSON status');
+
+                        vmAgent.stop();
+                        mocks.resetState();
+                        t.end();
+                    });
+            });
+    });
+});
+
+test('vm-agent dump', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        runCli(config.status_socket, ['dump'], function _onDump(code, out) {
+            var dump;
+
+            t.equal(code, 0, 'exits 0');
+            dump = JSON.parse(out);
+            t.equal(dump.status.ready, true, 'dump has status');
+            t.equal(dump.lastSeenVms[vmobj.uuid].uuid, vmobj.uuid,
+                'dump has VM');
+
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        });
+    });
+});
+
+test('vm-agent diff', function _test(t) {
+    var config = newConfig();
+    var missingVm = mocks.newVm();
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+    mocks.Vmapi.putVm(missingVm);
+
+    // The mock VMAPI doesn't store what we PUT, so this will stay different.
+    vmobj = JSON.parse(JSON.stringify(vmobj));
+    vmobj.state = 'stopped';
+    mocks.Vmapi.putVm(vmobj);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        runCli(config.status_socket, ['--json', 'diff'],
+            function _onJson(code, out) {
+                var vmDiffs;
+
+                t.equal(code, 0, 'exits 0');
+                vmDiffs = JSON.parse(out);
+                t.deepEqual(vmDiffs[missingVm.uuid], {missing: 'vmadm'},
+                    'VM missing from vmadm');
+                t.deepEqual(vmDiffs[vmobj.uuid].fields.state,
+                    {vmadm: 'running', vmapi: 'stopped'}, 'state differs');
+
+                runCli(config.status_socket, ['diff'],
+                    function _onDiff(textCode, textOut) {
+                        t.equal(textCode, 0, 'exits 0');
+                        t.ok(textOut.indexOf(missingVm.uuid +
+                            ': missing from vmadm') !== -1,
+                            'shows missing VM');
+                        t.ok(textOut.indexOf('    state: vmadm "running", ' +
+                            'vmapi "stopped"') !== -1, 'shows state');
+
+                        vmAgent.stop();
+                        mocks.resetState();
+                        t.end();
+                    });
+            });
+    });
+});
+
+test('vm-agent resync', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        var cliDone = false;
+        var updated = false;
+
+        function _checkDone() {
+            if (!cliDone || !updated) {
+                return;
+            }
+
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        }
+
+        t.ok(vmAgent.lastPutVms[vmobj.uuid], 'VM was PUT by initial update');
+
+        coordinator.once('vmapi.updateVm', function _onUpdateVm(updateObj) {
+            t.equal(updateObj.uuid, vmobj.uuid, 'full VM sent to VMAPI');
+            updated = true;
+            _checkDone();
+        });
+
+        runCli(config.status_socket, ['resync', vmobj.uuid],
+            function _onResync(code, out) {
+                t.equal(code, 0, 'exits 0');
+                t.equal(out, 'queued 1 VM(s) for resync\n    ' + vmobj.uuid +
+                    '\n', 'shows queued VM');
+                cliDone = true;
+                _checkDone();
+            });
+    });
+});
+
+test('vm-agent resync with invalid uuid', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        runCli(config.status_socket, ['resync', 'not-a-uuid'],
+            function _onResync(code, out, err) {
+                t.equal(code, 1, 'exits 1');
+                t.equal(out, '', 'no output');
+                t.equal(err, 'vm-agent resync: InvalidArgument: invalid VM ' +
+                    'uuid(s): "not-a-uuid"\n', 'error from status API');
+
+                vmAgent.stop();
+                mocks.resetState();
+                t.end();
+            });
+    });
+});
+
+test('vm-agent resync with VM not on this CN', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+    var vmobj = mocks.newVm();
+    var otherUuid = node_uuid.v4();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        coordinator.on('vmapi.updateVm', function _onUpdateVm() {
+            t.fail('nothing should be sent to VMAPI');
+        });
+
+        runCli(config.status_socket, ['resync', vmobj.uuid, otherUuid],
+            function _onResync(code, out, err) {
+                t.equal(code, 1, 'exits 1');
+                t.equal(out, '', 'no output');
+                t.equal(err, 'vm-agent resync: ResourceNotFound: VM(s) not ' +
+                    'on this server: ' + otherUuid + '\n',
+                    'error from status API');
+                t.deepEqual(vmAgent.queuedVms(), [], 'nothing queued');
+                t.ok(vmAgent.lastPutVms[vmobj.uuid], 'known VM untouched');
+
+                vmAgent.stop();
+                mocks.resetState();
+                t.end();
+            });
+    });
+});
+
+test('vm-agent resync --diff', function _test(t) {
+    var config = newConfig();
+    var goneVm = mocks.newVm();
+    var sameVm = mocks.newVm();
+    var stoppedVm = mocks.newVm();
+    var vmAgent;
+
+    mocks.Vmadm.putVm(sameVm);
+    mocks.Vmadm.putVm(stoppedVm);
+    mocks.Vmapi.putVm(sameVm);
+    mocks.Vmapi.putVm(goneVm);
+
+    // The mock VMAPI doesn't store what we PUT, so this will stay different.
+    stoppedVm = JSON.parse(JSON.stringify(stoppedVm));
+    stoppedVm.state = 'stopped';
+    mocks.Vmapi.putVm(stoppedVm);
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        var cliDone = false;
+        var updates = {};
+
+        function _checkDone() {
+            if (!cliDone || Object.keys(updates).length < 2) {
+                return;
+            }
+
+            t.deepEqual(Object.keys(updates).sort(),
+                [goneVm.uuid, stoppedVm.uuid].sort(),
+                'only VMs that differ sent to VMAPI');
+            t.equal(updates[goneVm.uuid].state, 'destroyed',
+                'VM gone from CN sent as destroyed');
+            t.equal(updates[goneVm.uuid].owner_uuid, goneVm.owner_uuid,
+                'with the object VMAPI had');
+            t.equal(updates[stoppedVm.uuid].state, 'running',
+                'VM sent with state from vmadm');
+
+            coordinator.removeListener('vmapi.updateVm', _onUpdateVm);
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        }
+
+        function _onUpdateVm(updateObj) {
+            updates[updateObj.uuid] = updateObj;
+            _checkDone();
+        }
+
+        coordinator.on('vmapi.updateVm', _onUpdateVm);
+
+        runCli(config.status_socket, ['resync', '--diff', '--json'],
+            function _onResync(code, out) {
+                var result;
+
+                t.equal(code, 0, 'exits 0');
+                result = JSON.parse(out);
+                t.deepEqual(result.vms.sort(),
+                    [goneVm.uuid, stoppedVm.uuid].sort(), 'queued VMs');
+                t.deepEqual(result.diff[goneVm.uuid], {missing: 'vmadm'},
+                    'diff has VM missing from vmadm');
+                t.deepEqual(Object.keys(result.diff[stoppedVm.uuid].fields),
+                    ['state'], 'diff has state of stopped VM');
+                cliDone = true;
+                _checkDone();
+            });
+    });
+});
+
+test('resyncDiff skips do_not_inventory VMs', function _test(t) {
+    var dniVm = mocks.newVm();
+    var vmAgent;
+
+    mocks.Vmapi.putVm(dniVm);
+    dniVm = JSON.parse(JSON.stringify(dniVm));
+    dniVm.do_not_inventory = true;
+    mocks.Vmadm.putVm(dniVm);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        vmAgent.resyncDiff(function _onResync(err, result) {
+            t.ifError(err, 'resyncDiff');
+            t.deepEqual(result, {diff: {}, vms: []}, 'DNI VM not resynced');
+            t.notOk(vmAgent.lastSeenVms.hasOwnProperty(dniVm.uuid),
+                'VMAPI object not added to lastSeenVms');
+
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        });
+    });
+});
+
+test('vm-agent resync --diff with VMs is a usage error', function _test(t) {
+    runCli('/nonexistent.sock', ['resync', '--diff', node_uuid.v4()],
+        function _onResync(code, _out, err) {
+            t.equal(code, 2, 'exits 2');
+            t.ok(err.match(/--diff can only be used/), 'usage message');
+            t.end();
+        });
+});
+
+test('resyncDiff before ready', function _test(t) {
+    var vmAgent = new VmAgent(newConfig());
+
+    vmAgent.resyncDiff(function _onResync(err) {
+        t.equal(err && err.restCode, 'NotReady', 'NotReady before start');
+        t.end();
+    });
+});
+
+test('resyncVms before ready', function _test(t) {
+    var vmAgent = new VmAgent(newConfig());
+
+    vmAgent.resyncVms([node_uuid.v4()], function _onResync(err) {
+        t.equal(err && err.restCode, 'NotReady', 'NotReady before start');
+        t.end();
+    });
+});
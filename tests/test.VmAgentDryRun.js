@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for running VmAgent with 'dry_run' set, and for the DryRunClient.
+ * VMAPI, vmadm and VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var fs = require('fs');
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var DryRunClient = require('../lib/dry-run-client');
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var reportFile = mocks.tmpPath('dry-run.json');
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({
+        dry_run: true,
+        dry_run_report: reportFile,
+        journal_file: mocks.tmpPath('journal'),
+        sinks: [ {type: 'file', path: mocks.tmpPath('vms.json')} ],
+        state_file: mocks.tmpPath('state.json')
+    }));
+}
+
+// Waits until the report has at least count entries and calls callback with
+// the entries.
+function waitForReport(count, callback) {
+    mocks.waitFor(function _readReport() {
+        var entries = mocks.readJsonLines(reportFile);
+
+        return (entries.length >= count ? entries : null);
+    }, callback);
+}
+
+function failOnVmapiWrite(t) {
+    function _onWrite() {
+        t.fail('VMAPI should not be updated in dry run');
+    }
+
+    coordinator.on('vmapi.updateServerVms', _onWrite);
+    coordinator.on('vmapi.updateVm', _onWrite);
+    coordinator.on('vmapi.patchVm', _onWrite);
+
+    return (function _stopFailing() {
+        coordinator.removeListener('vmapi.updateServerVms', _onWrite);
+        coordinator.removeListener('vmapi.updateVm', _onWrite);
+        coordinator.removeListener('vmapi.patchVm', _onWrite);
+    });
+}
+
+
+test('dry run records instead of updating VMAPI', function _test(t) {
+    var config = newConfig();
+    var goneVm = mocks.newVm();
+    var stopFailing = failOnVmapiWrite(t);
+    var vmAgent;
+    var vmobj = mocks.newVm();
+    var vmapiVm;
+
+    mocks.Vmadm.putVm(vmobj);
+    mocks.Vmapi.putVm(goneVm);
+
+    vmapiVm = JSON.parse(JSON.stringify(vmobj));
+    vmapiVm.state = 'stopped';
+    mocks.Vmapi.putVm(vmapiVm);
+
+    vmAgent = new VmAgent(config);
+
+    t.equal(vmAgent.stateFile, undefined, 'state_file ignored');
+    t.equal(vmAgent.journal, undefined, 'journal_file ignored');
+    t.deepEqual(vmAgent.sinks, [], 'sinks ignored');
+    t.equal(vmAgent.getStatus().dryRun, true, 'status has dryRun');
+
+    vmAgent.start(function _onStart() {
+        waitForReport(2, function _onInitialReport(entries) {
+            var byUuid = {};
+
+            entries.forEach(function _addEntry(entry) {
+                byUuid[entry.vm_uuid] = entry;
+            });
+
+            t.equal(entries.length, 2, 'two VMs recorded');
+            t.equal(byUuid[vmobj.uuid].action, 'updateServerVms',
+                'initial update recorded as updateServerVms');
+            t.equal(byUuid[vmobj.uuid].vm.uuid, vmobj.uuid,
+                'recorded full object');
+            t.deepEqual(byUuid[vmobj.uuid].diff, {
+                fields: {state: {vmadm: 'running', vmapi: 'stopped'}}
+            }, 'diff against VMAPI copy');
+            t.equal(byUuid[goneVm.uuid].vm.state, 'destroyed',
+                'VM missing from vmadm recorded as destroyed');
+            t.deepEqual(Object.keys(byUuid[goneVm.uuid].diff.fields).sort(),
+                ['state', 'zone_state'], 'diff for destroyed VM');
+
+            vmobj.quota = 4242;
+            mocks.Vmadm.putVm(vmobj);
+            vmAgent.queueVm(vmobj.uuid);
+
+            waitForReport(3, function _onUpdateReport(moreEntries) {
+                var entry = moreEntries[2];
+
+                t.equal(entry.action, 'updateVm', 'recorded updateVm');
+                t.equal(entry.vm.quota, 4242, 'recorded new object');
+                t.deepEqual(Object.keys(entry.diff.fields).sort(),
+                    ['quota', 'state'], 'diff against VMAPI copy');
+
+                stopFailing();
+                vmAgent.stop();
+                mocks.resetState();
+                fs.unlinkSync(reportFile);
+                t.end();
+            });
+        });
+    });
+});
+
+test('DryRunClient without a report file', function _test(t) {
+    var client;
+    var logged = [];
+    var realClient = new mocks.Vmapi();
+    var serverUuid = node_uuid.v4();
+    var vmobj = mocks.newVm();
+
+    mocks.Vmapi.putVm(vmobj);
+
+    client = new DryRunClient({
+        client: realClient,
+        diffVm: function _diffVm() {
+            return ({fields: {}});
+        },
+        log: {
+            info: function _info(fields, _msg) {
+                logged.push(fields.dryRun);
+            }
+        }
+    });
+
+    client.on('circuitOpen', function _onCircuitOpen() {
+        t.equal(client.circuitOpen, true, 'circuit open');
+
+        client.getVms(serverUuid, function _onGetVms(err) {
+            t.ifError(err, 'getVms');
+
+            client.patchVm(vmobj.uuid, {quota: vmobj.quota, state: 'stopped'},
+                function _onPatch(patchErr) {
+                    t.ifError(patchErr, 'patchVm');
+                    t.equal(logged.length, 1, 'entry logged');
+                    t.equal(logged[0].action, 'patchVm', 'patchVm logged');
+                    t.deepEqual(logged[0].diff, {
+                        fields: {state: {vmadm: 'stopped', vmapi: 'running'}}
+                    }, 'only changed fields in diff');
+
+                    client.patchVm(node_uuid.v4(), {state: 'stopped'},
+                        function _onMissingPatch() {
+                            t.deepEqual(logged[1].diff, {missing: 'vmapi'},
+                                'VM missing from VMAPI');
+
+                            mocks.resetState();
+                            t.end();
+                        });
+                });
+        });
+    });
+
+    realClient.setCircuitOpen(true);
+});
@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the Journal and VmAgent's use of the journal_file. VMAPI, vmadm
+ * and VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var fs = require('fs');
+
+var test = require('tape');
+
+var Journal = require('../lib/journal');
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var journalFile = mocks.tmpPath('journal');
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({journal_file: journalFile}));
+}
+
+// Polls until the journal file contains exactly the VMs in vmUuids.
+function waitJournal(vmUuids, callback) {
+    var expected = JSON.stringify(vmUuids.slice().sort());
+
+    mocks.waitFor(function _checkJournal() {
+        var journaled = mocks.readJsonLines(journalFile).map(
+            function _getUuid(record) {
+                return (record.uuid);
+            }).sort();
+
+        return (JSON.stringify(journaled) === expected);
+    }, function _onJournaled() {
+        callback();
+    });
+}
+
+
+test('Journal add, remove and load', function _test(t) {
+    var deletedVm = mocks.newVm();
+    var journal = new Journal({log: mocks.Logger, path: journalFile});
+    var vm = mocks.newVm();
+
+    deletedVm.state = 'destroyed';
+
+    mocks.removeFile(journalFile);
+
+    journal.add([vm, deletedVm], function _onAdd(err) {
+        t.ifError(err, 'added VMs');
+        t.equal(mocks.readJsonLines(journalFile).length, 2,
+            'journal has 2 records');
+
+        // already journaled, should not be written again
+        journal.add([vm], function _onAddAgain(err2) {
+            t.ifError(err2, 'added VM again');
+            t.equal(mocks.readJsonLines(journalFile).length, 2,
+                'journal still has 2 records');
+
+            // Simulate a partial write from a crash
+            fs.appendFileSync(journalFile, '{"uuid": "');
+
+            (new Journal({log: mocks.Logger, path: journalFile})).load(
+                function _onLoad(err3, records) {
+                    t.ifError(err3, 'loaded journal');
+                    t.equal(records.length, 2, 'loaded 2 records');
+                    records.forEach(function _checkRecord(record) {
+                        if (record.uuid === deletedVm.uuid) {
+                            t.equal(record.tombstone.owner_uuid,
+                                deletedVm.owner_uuid,
+                                'deleted VM has tombstone');
+                        } else {
+                            t.equal(record.uuid, vm.uuid, 'have other VM');
+                            t.notOk(record.tombstone, 'VM has no tombstone');
+                        }
+                    });
+
+                    journal.remove([vm.uuid], function _onRemove(err4) {
+                        t.ifError(err4, 'removed VM');
+                        t.deepEqual(mocks.readJsonLines(journalFile).map(
+                            function _getUuid(r) {
+                                return (r.uuid);
+                            }), [deletedVm.uuid], 'journal compacted');
+
+                        mocks.removeFile(journalFile);
+                        t.end();
+                    });
+                });
+        });
+    });
+});
+
+/*
+ * A VM that fails to update should remain in the journal after we stop, and
+ * be sent to VMAPI by the next VmAgent to start with the same journal.
+ */
+test('VmAgent replays journal after restart', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.removeFile(journalFile);
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            mocks.Vmapi.setVmError(vmobj.uuid, new Error('VMAPI is broken'));
+            mocks.Vmadm.peekVms()[0].quota = 5678;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+        });
+    });
+
+    coordinator.once('vmapi.updateVm', function _onFailedUpdate(_obj, err) {
+        t.ok(err, 'PUT failed');
+
+        waitJournal([vmobj.uuid], function _onJournaled() {
+            t.pass('VM is in journal');
+
+            // "restart" with VMAPI working, and the VM matching VMAPI so the
+            // initial update won't send it.
+            vmAgent.stop();
+            mocks.resetState();
+            mocks.Vmadm.putVm(vmobj);
+            mocks.Vmapi.putVm(vmobj);
+
+            coordinator.on('vmapi.updateVm', function _onUpdate(obj, err2) {
+                t.ifError(err2, 'PUT succeeded');
+                t.equal(obj.uuid, vmobj.uuid, 'journaled VM PUT');
+
+                waitJournal([], function _onEmpty() {
+                    t.pass('journal is empty');
+                    vmAgent.stop();
+                    mocks.resetState();
+                    mocks.removeFile(journalFile);
+                    t.end();
+                });
+            });
+
+            vmAgent = new VmAgent(newConfig());
+            vmAgent.start();
+        });
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * A VM deleted with a tombstone in the journal should be sent to VMAPI as
+ * destroyed using the tombstone, even though neither vmadm nor VMAPI know
+ * about it.
+ */
+test('VmAgent replays tombstone from journal', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    vmobj.state = 'destroyed';
+    vmobj.zone_state = 'destroyed';
+
+    mocks.removeFile(journalFile);
+    fs.writeFileSync(journalFile,
+        JSON.stringify({uuid: vmobj.uuid, tombstone: vmobj}) + '\n');
+
+    coordinator.on('vmapi.updateVm', function _onUpdate(obj, err) {
+        t.ifError(err, 'PUT succeeded');
+        t.equal(obj.uuid, vmobj.uuid, 'PUT for deleted VM');
+        t.equal(obj.state, 'destroyed', 'state is destroyed');
+        t.equal(obj.owner_uuid, vmobj.owner_uuid,
+            'owner_uuid is from tombstone');
+
+        waitJournal([], function _onEmpty() {
+            t.pass('journal is empty');
+            vmAgent.stop();
+            mocks.resetState();
+            mocks.removeFile(journalFile);
+            t.end();
+        });
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
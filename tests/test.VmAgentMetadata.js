@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the handling of customer_metadata and internal_metadata, where {}
+ * and not being set are equivalent. VMAPI, vmadm and VmWatcher are mocked out
+ * using mocks from ./mocks.js, FsWatcher is used with its metadata loading
+ * replaced.
+ */
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var FsWatcher = require('../lib/watchers/fs-watcher');
+var mocks = require('./mocks');
+var VmWatcher = require('../lib/vm-watcher');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig(updateMode) {
+    return (mocks.newConfig({vmapi_update_mode: updateMode}));
+}
+
+
+test('metadata is watched', function _test(t) {
+    t.ok(VmWatcher.WATCHED_FIELDS.indexOf('customer_metadata') !== -1,
+        'customer_metadata is watched');
+    t.ok(VmWatcher.WATCHED_FIELDS.indexOf('internal_metadata') !== -1,
+        'internal_metadata is watched');
+    t.end();
+});
+
+test('FsWatcher sends metadata with modify', function _test(t) {
+    var updates = [];
+    var vmUuid = node_uuid.v4();
+    var watcher = new FsWatcher({
+        log: mocks.Logger,
+        updateVm: function _updateVm(uuid, updateType, updateObj) {
+            updates.push([uuid, updateType, updateObj]);
+        }
+    });
+
+    watcher.loadMetadata = function _loadMetadata(uuid, callback) {
+        t.equal(uuid, vmUuid, 'loading metadata for VM');
+        callback(null, {
+            customer_metadata: {hello: 'world'},
+            internal_metadata: {}
+        });
+    };
+
+    watcher.emitMetadataModify(vmUuid, '2019-01-01T00:00:00.000Z');
+
+    t.deepEqual(updates, [ [vmUuid, 'modify', {
+        customer_metadata: {hello: 'world'},
+        internal_metadata: {},
+        last_modified: '2019-01-01T00:00:00.000Z'
+    }] ], 'modify includes metadata');
+
+    watcher.loadMetadata = function _failLoad(_uuid, callback) {
+        callback(new Error('unexpected end of JSON input'));
+    };
+    updates = [];
+    watcher.emitMetadataModify(vmUuid, '2019-01-01T00:00:01.000Z');
+
+    t.deepEqual(updates, [ [vmUuid, 'modify', {
+        last_modified: '2019-01-01T00:00:01.000Z'
+    }] ], 'modify without metadata when it cannot be loaded');
+
+    t.end();
+});
+
+/*
+ * VMAPI always has {} for metadata that's not set, so a VM that has no metadata
+ * in vmadm should not be updated, but one where the metadata differs should.
+ */
+test('initial update compares metadata', function _test(t) {
+    var changedVm = mocks.newVm();
+    var unsetVm = mocks.newVm();
+    var vmAgent;
+
+    delete unsetVm.customer_metadata;
+    delete unsetVm.internal_metadata;
+    mocks.Vmadm.putVm(unsetVm);
+    mocks.Vmapi.putVm(unsetVm);
+
+    mocks.Vmapi.putVm(changedVm);
+    changedVm.customer_metadata = {'user-script': '#!/bin/bash'};
+    mocks.Vmadm.putVm(changedVm);
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms(vmobjs) {
+        t.deepEqual(Object.keys(vmobjs), [changedVm.uuid],
+            'only VM with changed metadata updated');
+
+        vmAgent.stop();
+        mocks.resetState();
+        t.end();
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * When an mdata-delete removes the last key, vmadm may no longer have any
+ * customer_metadata. That should be PATCHed as {} rather than removed.
+ */
+test('PATCH of removed metadata sends {}', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    vmobj.customer_metadata = {hello: 'world'};
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            delete mocks.Vmadm.peekVms()[0].customer_metadata;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'fs');
+        });
+    });
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(vmUuid, fields, err) {
+        t.ifError(err, 'PATCH should succeed');
+        t.equal(vmUuid, vmobj.uuid, 'PATCH for modified VM');
+        t.deepEqual(fields, {customer_metadata: {}},
+            'PATCH sets customer_metadata to {}');
+
+        vmAgent.stop();
+        mocks.resetState();
+        t.end();
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig('patch'));
+    vmAgent.start();
+});
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for VmAgent with vmapi_update_mode set to 'patch'. VMAPI, vmadm and
+ * VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({vmapi_update_mode: 'patch'}));
+}
+
+function resetGlobalState(vmAgent) {
+    if (vmAgent) {
+        vmAgent.stop();
+    }
+    mocks.resetState();
+}
+
+/*
+ * After the initial update PUTs the VM, modifications should result in a
+ * PATCH that includes only the modified fields of those we compare. Removed
+ * fields are sent with their unset value.
+ */
+test('VmAgent PATCHes only changed fields', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    vmobj.customer_metadata = {foo: 'bar'};
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            var modifiedVm = mocks.Vmadm.peekVms()[0];
+
+            modifiedVm.quota = 1000;
+            delete modifiedVm.customer_metadata;
+            // These are not compared so should not be sent.
+            delete modifiedVm.cpu_cap;
+            modifiedVm.pid = 4242;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+        });
+    });
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm() {
+        t.fail('should not have PUT the whole VM');
+    });
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(vmUuid, fields, err) {
+        t.ifError(err, 'PATCH should succeed');
+        t.equal(vmUuid, vmobj.uuid, 'PATCH for modified VM');
+        t.deepEqual(fields, {customer_metadata: {}, quota: 1000},
+            'PATCH includes only changed fields');
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * A VM that already matched VMAPI at the initial update was never sent, but
+ * its first change should still be a PATCH.
+ */
+test('VmAgent PATCHes VM that matched at startup', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        t.fail('VM matched VMAPI so should not be sent');
+    });
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm() {
+        t.fail('should not have PUT the whole VM');
+    });
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(vmUuid, fields, err) {
+        t.ifError(err, 'PATCH should succeed');
+        t.equal(vmUuid, vmobj.uuid, 'PATCH for modified VM');
+        t.deepEqual(fields, {quota: 3000}, 'PATCH includes only quota');
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+    mocks.Vmapi.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        mocks.Vmadm.peekVms()[0].quota = 3000;
+        vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+    });
+});
+
+/*
+ * When VMAPI doesn't support PATCH, we should fall back to PUT.
+ */
+test('VmAgent falls back to PUT without PATCH support', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            mocks.Vmadm.peekVms()[0].quota = 2000;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+        });
+    });
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(_vmUuid, _fields, err) {
+        t.equal(err.restCode, 'PatchNotSupported', 'PATCH not supported');
+    });
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm(updateObj) {
+        t.equal(updateObj.uuid, vmobj.uuid, 'PUT for modified VM');
+        t.equal(updateObj.quota, 2000, 'PUT has new quota');
+        t.equal(updateObj.owner_uuid, vmobj.owner_uuid, 'PUT has whole VM');
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    mocks.Vmapi.setPatchSupported(false);
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+/*
+ * A VM we never managed to load is deleted. Without PATCH we'd have to ignore
+ * it, but with PATCH we can mark it destroyed.
+ */
+test('VmAgent PATCHes VM deleted before load', function _test(t) {
+    var vmAgent;
+    var vmUuid = node_uuid.v4();
+
+    coordinator.on('vmapi.patchVm', function _onPatchVm(patchUuid, fields) {
+        t.equal(patchUuid, vmUuid, 'PATCH for deleted VM');
+        t.deepEqual(fields, {state: 'destroyed', zone_state: 'destroyed'},
+            'PATCH includes only state');
+        t.notOk(vmAgent.lastPutVms.hasOwnProperty(vmUuid),
+            'partial VM not kept as last PUT');
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        // VMAPI has the VM on this server, but we never saw it.
+        mocks.Vmapi.putVm({server_uuid: vmAgent.server_uuid, uuid: vmUuid});
+        vmAgent.watcher.emit('VmDeleted', vmUuid, 'dummy');
+    });
+});
+
+/*
+ * The same, but VMAPI says the VM is on another server (e.g. the uuid was
+ * mistyped in "vm-agent resync"), so it must not be marked destroyed.
+ */
+test('VmAgent does not PATCH VM from another server', function _test(t) {
+    var vmAgent;
+    var vmUuid = node_uuid.v4();
+
+    function _onPatchVm() {
+        t.fail('should not PATCH VM on another server');
+    }
+
+    coordinator.on('vmapi.patchVm', _onPatchVm);
+    coordinator.once('vmapi.getVm', function _onGetVm(getUuid) {
+        t.equal(getUuid, vmUuid, 'checked VM in VMAPI');
+
+        setTimeout(function _checkIgnored() {
+            t.deepEqual(vmAgent.retryDelays, {}, 'VM not retried');
+
+            resetGlobalState(vmAgent);
+            t.end();
+        }, 100);
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        mocks.Vmapi.putVm({server_uuid: node_uuid.v4(), uuid: vmUuid});
+        vmAgent.watcher.emit('VmDeleted', vmUuid, 'dummy');
+    });
+});
@@ -0,0 +1,106 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the 'periodic_fields' option which adds fields to those the
+ * PeriodicWatcher loads and VmAgent compares. VMAPI, vmadm and VmWatcher are
+ * mocked out using mocks from ./mocks.js.
+ */
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+var PeriodicWatcher = require('../lib/watchers/periodic-watcher');
+var VmWatcher = require('../lib/vm-watcher');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig(periodicFields) {
+    return (mocks.newConfig({periodic_fields: periodicFields}));
+}
+
+
+test('PeriodicWatcher loads extra fields', function _test(t) {
+    var watcher = new PeriodicWatcher({
+        fields: ['cpu_cap', 'quota'],
+        log: mocks.Logger,
+        updateVm: function _updateVm() {
+            throw new Error('should not be reached');
+        }
+    });
+
+    t.ok(watcher.periodic_fields.indexOf('cpu_cap') !== -1,
+        'cpu_cap is loaded');
+    t.equal(watcher.periodic_fields.filter(function _isQuota(field) {
+        return (field === 'quota');
+    }).length, 1, 'quota is not loaded twice');
+    t.equal(PeriodicWatcher.FIELDS.indexOf('cpu_cap'), -1,
+        'default fields unchanged');
+
+    t.end();
+});
+
+test('VmAgent compares periodic_fields', function _test(t) {
+    var vmAgent = new VmAgent(newConfig(' cpu_cap, tags,'));
+
+    t.deepEqual(vmAgent.periodicFields, ['cpu_cap', 'tags'],
+        'comma-separated fields parsed');
+    t.ok(vmAgent.comparisonFields.indexOf('cpu_cap') !== -1,
+        'cpu_cap is compared');
+    t.ok(vmAgent.comparisonFields.indexOf('boot_timestamp') !== -1,
+        'boot_timestamp is compared');
+    t.equal(VmWatcher.WATCHED_FIELDS.indexOf('cpu_cap'), -1,
+        'WATCHED_FIELDS unchanged');
+
+    vmAgent = new VmAgent(newConfig(['max_physical_memory']));
+    t.ok(vmAgent.comparisonFields.indexOf('max_physical_memory') !== -1,
+        'array of fields');
+
+    t.end();
+});
+
+/*
+ * With tags compared, the VM whose tags differ should be updated but not the
+ * one which only has the VMAPI default of {} where vmadm has no tags.
+ */
+test('VmAgent initial update with periodic_fields', function _test(t) {
+    var defaultVm = mocks.newVm();
+    var taggedVm = mocks.newVm();
+    var vmAgent;
+
+    delete defaultVm.tags;
+    taggedVm.tags = {role: 'db'};
+
+    mocks.Vmadm.putVm(defaultVm);
+    mocks.Vmadm.putVm(taggedVm);
+    mocks.Vmapi.putVm(defaultVm);
+    // VMAPI has old tags for taggedVm
+    taggedVm.tags = {role: 'web'};
+    mocks.Vmapi.putVm(taggedVm);
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms(vmobjs) {
+        t.deepEqual(Object.keys(vmobjs), [taggedVm.uuid],
+            'only VM with different tags updated');
+        t.deepEqual(vmAgent.watcher.opts.periodicFields, ['tags'],
+            'periodicFields passed to VmWatcher');
+
+        vmAgent.stop();
+        mocks.resetState();
+        t.end();
+    });
+
+    vmAgent = new VmAgent(newConfig('tags'));
+    t.deepEqual(vmAgent.periodicFields, ['tags'], 'tags is a periodic field');
+    vmAgent.start();
+});
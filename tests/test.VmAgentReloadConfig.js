@@ -0,0 +1,175 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for reloading the config of a running VmAgent, and for changing the
+ * intervals of a PeriodicWatcher. VMAPI, vmadm and VmWatcher are mocked out
+ * using mocks from ./mocks.js.
+ */
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var PeriodicWatcher = mocks.requireWithMocks(
+    '../lib/watchers/periodic-watcher');
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({
+        periodic_interval: 60000,
+        update_concurrency: 1
+    }));
+}
+
+function copyConfig(config) {
+    var newCopy = {};
+
+    Object.keys(config).forEach(function _copy(key) {
+        if (key !== 'log') {
+            newCopy[key] = config[key];
+        }
+    });
+
+    return (newCopy);
+}
+
+
+test('reloadConfig with no changes', function _test(t) {
+    var config = newConfig();
+    var result;
+    var vmAgent = new VmAgent(config);
+
+    result = vmAgent.reloadConfig(copyConfig(config));
+    t.deepEqual(result, {changed: [], restartRequired: []}, 'nothing changed');
+
+    t.end();
+});
+
+test('reloadConfig applies changes in place', function _test(t) {
+    var config = newConfig();
+    var newOpts;
+    var vmAgent;
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        var result;
+
+        newOpts = copyConfig(config);
+        newOpts.periodic_interval = 30000;
+        newOpts.periodic_max_interval = 120000;
+        newOpts.update_concurrency = 4;
+        newOpts.vmapi_url = 'http://127.0.0.2/';
+
+        coordinator.once('vmapi.reconnect', function _onReconnect(opts) {
+            t.equal(opts.url, 'http://127.0.0.2/', 'reconnected to new URL');
+            t.equal(opts.agent, undefined, 'no cueball agent');
+
+            // Reloading again should only report what still needs a restart.
+            t.deepEqual(vmAgent.reloadConfig(newOpts), {
+                changed: [],
+                restartRequired: ['update_concurrency']
+            }, 'applied changes not reported again');
+
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        });
+
+        result = vmAgent.reloadConfig(newOpts);
+
+        t.deepEqual(result.changed.sort(), [
+            'periodic_interval',
+            'periodic_max_interval',
+            'vmapi_url'
+        ], 'changed options');
+        t.deepEqual(result.restartRequired, ['update_concurrency'],
+            'update_concurrency requires a restart');
+        t.deepEqual(vmAgent.watcher.periodicIntervals, {
+            periodicInterval: 30000,
+            periodicMaxInterval: 120000,
+            periodicMinInterval: undefined
+        }, 'new intervals passed to watcher');
+        t.equal(vmAgent.updateConcurrency, 1, 'concurrency unchanged');
+    });
+});
+
+test('reloadConfig with invalid options', function _test(t) {
+    var config = newConfig();
+    var newOpts = copyConfig(config);
+    var vmAgent = new VmAgent(config);
+
+    newOpts.periodic_interval = 'often';
+
+    t.throws(function _reload() {
+        vmAgent.reloadConfig(newOpts);
+    }, /periodic_interval/, 'invalid periodic_interval');
+    t.equal(vmAgent.periodicInterval, 60000, 'periodic interval unchanged');
+    t.deepEqual(vmAgent.reloadConfig(copyConfig(config)),
+        {changed: [], restartRequired: []}, 'old config still current');
+
+    t.end();
+});
+
+test('PeriodicWatcher setIntervals', function _test(t) {
+    var watcher = new PeriodicWatcher({
+        log: mocks.Logger,
+        periodicInterval: 60000,
+        updateVm: function _updateVm() {}
+    });
+
+    t.equal(watcher.periodic_interval, 60000, 'initial interval');
+
+    watcher.setIntervals({
+        maxInterval: 1000,
+        minInterval: 20,
+        periodicInterval: 100
+    });
+    t.equal(watcher.periodic_interval, 100, 'new interval');
+    t.equal(watcher.minInterval, 20, 'new minInterval');
+    t.equal(watcher.maxInterval, 1000, 'new maxInterval');
+
+    watcher.setIntervals({});
+    t.equal(watcher.periodic_interval, 60000, 'back to default');
+    t.equal(watcher.minInterval, 60000, 'no minInterval');
+    t.equal(watcher.maxInterval, 60000, 'no maxInterval');
+
+    t.end();
+});
+
+test('PeriodicWatcher setIntervals reschedules lookup', function _test(t) {
+    var started;
+    var watcher = new PeriodicWatcher({
+        log: mocks.Logger,
+        periodicInterval: 60000,
+        updateVm: function _updateVm() {}
+    });
+
+    coordinator.once('vmadm.lookup', function _onFirstLookup() {
+        t.ok(watcher.nextLookup - Date.now() > 1000, 'next lookup is later');
+
+        started = Date.now();
+        coordinator.once('vmadm.lookup', function _onLookup() {
+            t.ok(Date.now() - started < 1000, 'lookup used new interval');
+
+            watcher.stop();
+            mocks.resetState();
+            t.end();
+        });
+
+        watcher.setIntervals({periodicInterval: 20});
+    });
+
+    watcher.start();
+});
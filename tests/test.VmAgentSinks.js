@@ -0,0 +1,195 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the FileSink and VmAgent's publishing to extra sinks. VMAPI, vmadm
+ * and VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var fs = require('fs');
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var FileSink = require('../lib/sinks/file-sink');
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var sinkFile = mocks.tmpPath('vms.json');
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({sinks: [ {type: 'file', path: sinkFile} ]}));
+}
+
+// Polls until check(contents) returns true for the contents of the sink file.
+function waitSinkFile(check, callback) {
+    mocks.waitFor(function _readSinkFile() {
+        var contents = mocks.readJson(sinkFile);
+
+        return (contents && check(contents) ? contents : null);
+    }, callback);
+}
+
+
+test('FileSink updates and getVms', function _test(t) {
+    var deletedVm = mocks.newVm();
+    var serverUuid = node_uuid.v4();
+    var sink = new FileSink({log: mocks.Logger, path: sinkFile});
+    var vm = mocks.newVm();
+    var vms = {};
+
+    deletedVm.state = 'destroyed';
+    vms[vm.uuid] = vm;
+    vms[deletedVm.uuid] = deletedVm;
+
+    sink.updateServerVms(serverUuid, vms, function _onUpdateVms(err) {
+        var contents;
+
+        t.ifError(err, 'updated VMs');
+
+        contents = JSON.parse(fs.readFileSync(sinkFile, 'utf8'));
+        t.equal(contents.server_uuid, serverUuid, 'file has server_uuid');
+        t.deepEqual(Object.keys(contents.vms).sort(),
+            [vm.uuid, deletedVm.uuid].sort(), 'file has both VMs');
+
+        vm.quota = 9999;
+        sink.updateVm(vm, function _onUpdateVm(err2) {
+            t.ifError(err2, 'updated VM');
+
+            contents = JSON.parse(fs.readFileSync(sinkFile, 'utf8'));
+            t.equal(contents.vms[vm.uuid].quota, 9999, 'VM was updated');
+            t.equal(contents.vms[deletedVm.uuid].state, 'destroyed',
+                'destroyed VM kept');
+
+            sink.getVms(serverUuid, function _onGetVms(err3, vmobjs) {
+                t.ifError(err3, 'got VMs');
+                t.deepEqual(vmobjs.map(function _getUuid(vmobj) {
+                    return (vmobj.uuid);
+                }), [vm.uuid], 'only active VM returned');
+
+                fs.unlinkSync(sinkFile);
+                t.end();
+            });
+        });
+    });
+});
+
+/*
+ * The file sink should get all VMs after the initial update, even those VMAPI
+ * already had, and then any later modifications.
+ */
+test('VmAgent publishes VMs to file sink', function _test(t) {
+    var changedVm = mocks.newVm();
+    var unchangedVm = mocks.newVm();
+    var vmAgent;
+
+    mocks.Vmadm.putVm(changedVm);
+    mocks.Vmadm.putVm(unchangedVm);
+    mocks.Vmapi.putVm(unchangedVm);
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms(vmobjs) {
+        t.deepEqual(Object.keys(vmobjs), [changedVm.uuid],
+            'VMAPI only sent changed VM');
+    });
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        waitSinkFile(function _hasBothVms(contents) {
+            return (Object.keys(contents.vms).length === 2);
+        }, function _onInitial(contents) {
+            t.pass('read sink file');
+            t.ok(contents.vms[unchangedVm.uuid], 'sink has unchanged VM');
+            t.ok(contents.vms[changedVm.uuid], 'sink has changed VM');
+
+            mocks.Vmadm.peekVms()[0].quota = 4242;
+            vmAgent.watcher.emit('VmModified', changedVm.uuid, 'dummy');
+
+            waitSinkFile(function _hasNewQuota(newContents) {
+                return (newContents.vms[changedVm.uuid].quota === 4242);
+            }, function _onModified() {
+                t.pass('sink has modified VM');
+
+                vmAgent.stop();
+                mocks.resetState();
+                fs.unlinkSync(sinkFile);
+                t.end();
+            });
+        });
+    });
+});
+
+/*
+ * When VMAPI rejects an update, the sink must not see it.
+ */
+test('VmAgent does not publish updates VMAPI rejected', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        waitSinkFile(function _hasVm(contents) {
+            return (contents.vms.hasOwnProperty(vmobj.uuid));
+        }, function _onInitial() {
+            t.pass('sink has VM');
+
+            coordinator.once('vmapi.updateVm', function _onUpdate(_obj, err2) {
+                var contents = JSON.parse(fs.readFileSync(sinkFile, 'utf8'));
+
+                t.ok(err2, 'VMAPI rejected update');
+                t.notEqual(contents.vms[vmobj.uuid].quota, 7777,
+                    'sink does not have rejected update');
+
+                vmAgent.stop();
+                mocks.resetState();
+                fs.unlinkSync(sinkFile);
+                t.end();
+            });
+
+            mocks.Vmapi.setVmError(vmobj.uuid, new Error('VMAPI is broken'));
+            mocks.Vmadm.peekVms()[0].quota = 7777;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+        });
+    });
+});
+
+test('VmAgent ignores invalid sinks', function _test(t) {
+    var config = newConfig();
+    var errors = [];
+    var vmAgent;
+
+    config.log = Object.create(mocks.Logger);
+    config.log.error = function _error(fields, _msg) {
+        errors.push(fields.err.message);
+    };
+    config.sinks = [
+        {type: 'file'},
+        {type: 'ftp', url: 'ftp://example.com'},
+        {type: 'file', path: sinkFile}
+    ];
+
+    vmAgent = new VmAgent(config);
+
+    t.equal(vmAgent.sinks.length, 1, 'only valid sink created');
+    t.deepEqual(errors, [
+        'invalid sink: sinks[0].path: is required but was not set',
+        'invalid sink: sinks[1].type: must be one of: file, vmapi, webhook ' +
+            '(got string "ftp")'
+    ], 'invalid sinks logged');
+
+    vmAgent.stop();
+    mocks.resetState();
+    t.end();
+});
@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for VmAgent's checkpointing of state to the state_file. VMAPI, vmadm
+ * and VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var fs = require('fs');
+
+var test = require('tape');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var stateFile = mocks.tmpPath('state.json');
+var testVm;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({state_file: stateFile}));
+}
+
+function waitStateFile(callback) {
+    mocks.waitFor(function _readStateFile() {
+        return (mocks.readJson(stateFile));
+    }, callback);
+}
+
+
+test('VmAgent writes checkpoint after initial update', function _test(t) {
+    var vmAgent;
+
+    testVm = mocks.newVm();
+    mocks.Vmadm.putVm(testVm);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        waitStateFile(function _onState(state) {
+            t.pass('read state file');
+            t.equal(state.version, 1, 'state has version');
+            t.ok(state.lastSeenVms[testVm.uuid], 'VM is in lastSeenVms');
+            t.ok(state.lastPutVms[testVm.uuid], 'VM is in lastPutVms');
+            t.deepEqual(state.knownDniVms, [], 'no DNI VMs');
+
+            vmAgent.stop();
+            mocks.resetState();
+            t.end();
+        });
+    });
+});
+
+/*
+ * The VM from the previous test is deleted while the agent is not running,
+ * and VMAPI doesn't know about it. When the delete event shows up during
+ * initialization, we should still be able to PUT the destroyed VM using the
+ * object from the state file.
+ */
+test('VmAgent reports VM deleted after restart', function _test(t) {
+    var attempts = 0;
+    var vmadmErr = new Error('vmadm is broken');
+    var vmAgent;
+
+    coordinator.on('vmadm.lookup', function _onLookup() {
+        attempts++;
+        if (attempts === 1) {
+            // The first attempt at initialization failed, we'll see the delete
+            // while waiting for the next attempt.
+            vmAgent.watcher.emit('VmDeleted', testVm.uuid, 'dummy');
+            mocks.Vmadm.setError(null);
+        }
+    });
+
+    coordinator.on('vmapi.updateVm', function _onUpdateVm(vmobj) {
+        t.equal(vmobj.uuid, testVm.uuid, 'PUT for deleted VM');
+        t.equal(vmobj.state, 'destroyed', 'state is destroyed');
+        t.equal(vmobj.zone_state, 'destroyed', 'zone_state is destroyed');
+        t.equal(vmobj.owner_uuid, testVm.owner_uuid,
+            'owner_uuid is from saved object');
+
+        vmAgent.stop();
+        mocks.resetState();
+        fs.unlinkSync(stateFile);
+        t.end();
+    });
+
+    mocks.Vmadm.setError(vmadmErr);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start();
+});
+
+test('VmAgent flushes pending checkpoint on stop', function _test(t) {
+    var vmAgent;
+
+    testVm = mocks.newVm();
+    mocks.Vmadm.putVm(testVm);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onStart() {
+        var state;
+
+        t.ok(vmAgent.checkpointTimer, 'checkpoint is pending');
+
+        vmAgent.stop();
+        t.equal(vmAgent.checkpointTimer, null, 'no checkpoint pending');
+
+        state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        t.ok(state.lastPutVms[testVm.uuid], 'VM written on stop');
+
+        mocks.resetState();
+        t.end();
+    });
+});
+
+/*
+ * Uses the state file from the previous test. testVm is unchanged so should
+ * not be sent again, while the modified and new VMs should be. VMAPI should
+ * not be asked for all the VMs.
+ */
+test('VmAgent only sends VMs changed since checkpoint', function _test(t) {
+    var modifiedVm = mocks.newVm();
+    var newVm = mocks.newVm();
+    var vmAgent;
+
+    // Write a state file that has all but newVm.
+    mocks.Vmadm.putVm(testVm);
+    mocks.Vmadm.putVm(modifiedVm);
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onFirstStart() {
+        vmAgent.stop();
+        mocks.resetState();
+
+        coordinator.on('vmapi.getVms', function _onGetVms() {
+            t.fail('should not load VMs from VMAPI');
+        });
+        coordinator.on('vmapi.updateServerVms', function _onPut(vmobjs) {
+            t.deepEqual(Object.keys(vmobjs).sort(),
+                [modifiedVm.uuid, newVm.uuid].sort(),
+                'only changed and new VMs sent');
+            t.equal(vmobjs[modifiedVm.uuid].quota, 4242, 'sent new quota');
+
+            vmAgent.stop();
+            mocks.resetState();
+            fs.unlinkSync(stateFile);
+            t.end();
+        });
+
+        modifiedVm.quota = 4242;
+        mocks.Vmadm.putVm(testVm);
+        mocks.Vmadm.putVm(modifiedVm);
+        mocks.Vmadm.putVm(newVm);
+
+        vmAgent = new VmAgent(newConfig());
+        vmAgent.start();
+    });
+});
+
+/*
+ * VMs that already matched VMAPI on a fresh start were not PUT, but should
+ * still be in the checkpoint so that they're not sent again on restart.
+ */
+test('VmAgent does not resend VMs that matched VMAPI', function _test(t) {
+    var vmAgent;
+    var vms = [mocks.newVm(), mocks.newVm(), mocks.newVm()];
+
+    function _onPut() {
+        t.fail('unchanged VMs should not be sent to VMAPI');
+    }
+
+    vms.forEach(function _putVm(vmobj) {
+        mocks.Vmadm.putVm(vmobj);
+        mocks.Vmapi.putVm(vmobj);
+    });
+    coordinator.on('vmapi.updateServerVms', _onPut);
+
+    vmAgent = new VmAgent(newConfig());
+    vmAgent.start(function _onFirstStart() {
+        t.equal(Object.keys(vmAgent.lastPutVms).length, 3,
+            'matching VMs in lastPutVms');
+
+        vmAgent.stop();
+        mocks.resetState();
+
+        coordinator.on('vmapi.updateServerVms', _onPut);
+        coordinator.on('vmapi.updateVm', _onPut);
+        vms.forEach(function _putVm(vmobj) {
+            mocks.Vmadm.putVm(vmobj);
+        });
+
+        vmAgent = new VmAgent(newConfig());
+        vmAgent.start(function _onSecondStart() {
+            t.equal(Object.keys(vmAgent.lastPutVms).length, 3,
+                'matching VMs still in lastPutVms');
+
+            vmAgent.stop();
+            mocks.resetState();
+            fs.unlinkSync(stateFile);
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the local status API served by VmAgent when status_socket is set.
+ * VMAPI, vmadm and VmWatcher are mocked out using mocks from ./mocks.js.
+ */
+
+var http = require('http');
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig() {
+    return (mocks.newConfig({status_socket: mocks.tmpPath('sock')}));
+}
+
+function getStatusPath(socketPath, reqPath, callback) {
+    var req;
+
+    req = http.get({path: reqPath, socketPath: socketPath},
+        function _onResponse(res) {
+            var body = '';
+
+            res.setEncoding('utf8');
+            res.on('data', function _onData(chunk) {
+                body += chunk;
+            });
+            res.on('end', function _onEnd() {
+                callback(null, res.statusCode, JSON.parse(body));
+            });
+        }
+    );
+    req.on('error', callback);
+}
+
+
+test('GET /status on a started VmAgent', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    mocks.Vmadm.putVm(vmobj);
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        // Initial update done, "ready" will be set shortly after.
+        setImmediate(function _checkStatus() {
+            getStatusPath(config.status_socket, '/status',
+                function _onStatus(err, code, status) {
+                    t.ifError(err, 'GET /status');
+                    t.equal(code, 200, 'GET /status returned 200');
+                    t.equal(status.ready, true, 'agent is ready');
+                    t.equal(status.server_uuid, config.server_uuid,
+                        'correct server_uuid');
+                    t.equal(status.lastSeenVms, 1, 'agent has seen 1 VM');
+                    t.deepEqual(status.queued, [], 'nothing queued');
+                    t.deepEqual(status.retryDelays, {}, 'no retries');
+                    t.deepEqual(status.knownDniVms, [], 'no DNI VMs');
+
+                    vmAgent.stop();
+                    mocks.resetState();
+                    t.end();
+                }
+            );
+        });
+    });
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start();
+});
+
+test('GET unknown path returns 404', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        getStatusPath(config.status_socket, '/nope',
+            function _onStatus(err, code, body) {
+                t.ifError(err, 'GET /nope');
+                t.equal(code, 404, 'GET /nope returned 404');
+                t.equal(body.code, 'ResourceNotFound', 'ResourceNotFound');
+
+                vmAgent.stop();
+                mocks.resetState();
+                t.end();
+            }
+        );
+    });
+});
+
+test('GET /vms/<uuid>/history', function _test(t) {
+    var config = newConfig();
+    var vmAgent;
+    var vmUuid = node_uuid.v4();
+
+    config.vm_history_size = 10;
+
+    vmAgent = new VmAgent(config);
+    vmAgent.start(function _onStart() {
+        var entry = {
+            timestamp: (new Date()).toISOString(),
+            watcher: 'zoneevent',
+            event: 'modify',
+            changedFields: ['state']
+        };
+
+        t.equal(vmAgent.watcher.opts.historySize, 10,
+            'vm_history_size passed to VmWatcher');
+        vmAgent.watcher.history[vmUuid] = [entry];
+
+        getStatusPath(config.status_socket, '/vms/' + vmUuid + '/history',
+            function _onHistory(err, code, body) {
+                t.ifError(err, 'GET history');
+                t.equal(code, 200, 'GET history returned 200');
+                t.deepEqual(body, {vm_uuid: vmUuid, history: [entry]},
+                    'history for VM');
+                t.deepEqual(vmAgent.debugDump().history[vmUuid], [entry],
+                    'debugDump has history');
+                t.deepEqual(vmAgent.debugDump({summary: true}).history, {
+                    vms: 1,
+                    updates: 1,
+                    recent: [ {
+                        timestamp: entry.timestamp,
+                        watcher: 'zoneevent',
+                        event: 'modify',
+                        changedFields: ['state'],
+                        vm_uuid: vmUuid
+                    } ]
+                }, 'debugDump summary has history summary');
+
+                vmAgent.stop();
+                mocks.resetState();
+                t.end();
+            }
+        );
+    });
+});
@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the WebhookSink and the events VmAgent publishes to it. The
+ * webhook is a local HTTP server, VMAPI, vmadm and VmWatcher are mocked out
+ * using mocks from ./mocks.js.
+ */
+
+var crypto = require('crypto');
+var http = require('http');
+
+var bunyan = require('bunyan');
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+var WebhookSink = require('../lib/sinks/webhook-sink');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+// The WebhookSink logs failed POSTs, which we expect here.
+var quietLog = bunyan.createLogger({name: 'test.VmAgentWebhook',
+    level: 'fatal'});
+var SECRET = 'sekrit';
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function newConfig(webhookUrl) {
+    return (mocks.newConfig({
+        sinks: [ {type: 'webhook', url: webhookUrl, secret: SECRET} ]
+    }));
+}
+
+/*
+ * Starts a webhook server that responds with the next status code from
+ * webhook.statusCodes (or 200 when there are none left) and calls
+ * webhook.onEvent(body, headers) for each request. Calls callback(webhook)
+ * once listening.
+ */
+function startWebhook(callback) {
+    var webhook = {statusCodes: []};
+
+    webhook.server = http.createServer(function _onRequest(req, res) {
+        var body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', function _onData(chunk) {
+            body += chunk;
+        });
+        req.on('end', function _onEnd() {
+            var statusCode = webhook.statusCodes.shift() || 200;
+
+            res.writeHead(statusCode);
+            res.end();
+            webhook.onEvent(body, req.headers, statusCode);
+        });
+    });
+
+    webhook.server.listen(0, '127.0.0.1', function _onListen() {
+        webhook.url = 'http://127.0.0.1:' + webhook.server.address().port +
+            '/hooks/vms';
+        callback(webhook);
+    });
+}
+
+
+test('WebhookSink POSTs signed events', function _test(t) {
+    startWebhook(function _onStart(webhook) {
+        var sink = new WebhookSink({
+            log: quietLog,
+            secret: SECRET,
+            url: webhook.url
+        });
+        var vmobj = mocks.newVm();
+
+        webhook.onEvent = function _onEvent(body, headers) {
+            var evt = JSON.parse(body);
+            var expected = 'sha256=' + crypto.createHmac('sha256', SECRET)
+                .update(body).digest('hex');
+
+            t.equal(headers['x-vm-agent-signature'], expected,
+                'signature matches body');
+            t.equal(evt.event, 'VmModified', 'event type');
+            t.equal(evt.vm_uuid, vmobj.uuid, 'vm_uuid');
+            t.equal(evt.watcher, 'FsWatcher', 'watcher');
+            t.deepEqual(evt.changed_fields, ['quota'], 'changed_fields');
+            t.ok(evt.id, 'event has id');
+
+            sink.getVms(evt.server_uuid, function _onGetVms(err, vmobjs) {
+                t.ifError(err, 'got VMs');
+                t.deepEqual(vmobjs, [vmobj], 'getVms has published VM');
+
+                webhook.server.close();
+                t.end();
+            });
+        };
+
+        sink.publishEvents([ {
+            event: 'VmModified',
+            vm_uuid: vmobj.uuid,
+            server_uuid: node_uuid.v4(),
+            watcher: 'FsWatcher',
+            changed_fields: ['quota'],
+            vm: vmobj
+        } ], function _onPublish(err) {
+            t.ifError(err, 'events queued');
+        });
+    });
+});
+
+test('WebhookSink retries 5xx but not 4xx', function _test(t) {
+    startWebhook(function _onStart(webhook) {
+        var ids = [];
+        var sink = new WebhookSink({
+            log: quietLog,
+            retries: 1,
+            url: webhook.url
+        });
+
+        // The first event fails once and then succeeds, the second is rejected
+        // and the third is only delivered once the second was given up on.
+        webhook.statusCodes = [500, 200, 400, 200];
+        webhook.onEvent = function _onEvent(body, headers, statusCode) {
+            var evt = JSON.parse(body);
+
+            t.notOk(headers['x-vm-agent-signature'], 'no signature');
+            ids.push(evt.id);
+
+            if (statusCode === 200 && evt.event === 'VmDeleted') {
+                t.equal(ids.length, 4, 'POSTed 4 times');
+                t.equal(ids[0], ids[1], 'first event was retried');
+                t.notEqual(ids[1], ids[2], 'second event was not retried');
+                t.notEqual(ids[2], ids[3], 'third event delivered');
+
+                webhook.server.close();
+                t.end();
+            }
+        };
+
+        sink.publishEvents(['VmCreated', 'VmModified', 'VmDeleted'].map(
+            function _newEvent(name) {
+                return ({event: name, vm_uuid: node_uuid.v4()});
+            }), function _onPublish(err) {
+                t.ifError(err, 'events queued');
+            });
+    });
+});
+
+/*
+ * VmAgent should send an event for a VM that differed from VMAPI at the initial
+ * update (but not for one that didn't) and then an event from the watcher with
+ * only the changed fields for a later modification.
+ */
+test('VmAgent publishes VM events to webhook', function _test(t) {
+    startWebhook(function _onStart(webhook) {
+        var changedVm = mocks.newVm();
+        var events = [];
+        var unchangedVm = mocks.newVm();
+        var vmAgent;
+
+        mocks.Vmadm.putVm(changedVm);
+        mocks.Vmadm.putVm(unchangedVm);
+        mocks.Vmapi.putVm(unchangedVm);
+
+        webhook.onEvent = function _onEvent(body) {
+            events.push(JSON.parse(body));
+
+            if (events.length === 1) {
+                t.equal(events[0].event, 'VmCreated',
+                    'VM not in VMAPI was created');
+                t.equal(events[0].vm_uuid, changedVm.uuid,
+                    'event is for changed VM');
+                t.equal(events[0].watcher, null,
+                    'initial update is not from a watcher');
+                t.equal(events[0].vm.uuid, changedVm.uuid, 'event has VM');
+
+                mocks.Vmadm.peekVms().forEach(function _modify(vmobj) {
+                    if (vmobj.uuid === changedVm.uuid) {
+                        vmobj.quota = 4242;
+                    }
+                });
+                vmAgent.watcher.emit('VmModified', changedVm.uuid, 'dummy');
+                return;
+            }
+
+            t.equal(events[1].event, 'VmModified', 'VM was modified');
+            t.equal(events[1].vm_uuid, changedVm.uuid,
+                'event is for changed VM');
+            t.equal(events[1].watcher, 'dummy', 'event has watcher');
+            t.deepEqual(events[1].changed_fields, ['quota'],
+                'only quota changed');
+            t.equal(events[1].vm.quota, 4242, 'event has new quota');
+
+            vmAgent.stop();
+            mocks.resetState();
+            webhook.server.close();
+            t.end();
+        };
+
+        coordinator.on('vmapi.updateServerVms', function _onUpdateVms(vmobjs) {
+            t.deepEqual(Object.keys(vmobjs), [changedVm.uuid],
+                'VMAPI only sent changed VM');
+        });
+
+        vmAgent = new VmAgent(newConfig(webhook.url));
+        vmAgent.start();
+    });
+});
+
+/*
+ * A stop should be published as a VmStopped event with the classification from
+ * VmWatcher, and counted in the metrics.
+ */
+test('VmAgent publishes unexpected stop to webhook', function _test(t) {
+    startWebhook(function _onStart(webhook) {
+        var stop = {expected: false, cause: 'crash'};
+        var vmAgent;
+        var vmobj = mocks.newVm();
+
+        mocks.Vmadm.putVm(vmobj);
+
+        webhook.onEvent = function _onEvent(body) {
+            var evt = JSON.parse(body);
+            var vm;
+
+            if (evt.event === 'VmCreated') {
+                // from the initial update, now stop the VM
+                vm = mocks.Vmadm.peekVms()[0];
+                vm.state = 'stopped';
+                vm.zone_state = 'stopped';
+                vmAgent.watcher.emit('VmModified', vmobj.uuid, 'zoneevent');
+                vmAgent.watcher.emit('VmStopped', vmobj.uuid, 'zoneevent', {},
+                    stop);
+                return;
+            }
+
+            t.equal(evt.event, 'VmStopped', 'event is VmStopped');
+            t.equal(evt.watcher, 'zoneevent', 'event has watcher');
+            t.deepEqual(evt.stop, stop, 'event has stop classification');
+            t.deepEqual(evt.changed_fields, ['state', 'zone_state'],
+                'state changed');
+            t.equal(vmAgent.metrics.getCount('vm_agent_vm_stops_total',
+                {cause: 'crash', expected: 'false'}), 1, 'stop was counted');
+
+            vmAgent.stop();
+            mocks.resetState();
+            webhook.server.close();
+            t.end();
+        };
+
+        vmAgent = new VmAgent(newConfig(webhook.url));
+        vmAgent.start();
+    });
+});
@@ -0,0 +1,422 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the events VmWatcher emits when its watchers report changes. The
+ * watchers themselves are not started, we call the dispatch functions the
+ * watchers would call directly.
+ */
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+var VmWatcher = require('../lib/vm-watcher');
+
+
+function newWatcher() {
+    return (new VmWatcher({
+        eventSource: 'vmadm-events',
+        log: mocks.Logger,
+        vmadm: {}
+    }));
+}
+
+/*
+ * Collects the events emitted by vmWatcher into an array of
+ * [name, vmUuid, watcher, changes] arrays.
+ */
+function collectEvents(vmWatcher) {
+    var events = [];
+
+    ['VmCreated', 'VmModified', 'VmDeleted', 'VmChanged'].forEach(
+        function _listen(name) {
+            vmWatcher.on(name, function _onEvent(vmUuid, watcher, changes) {
+                events.push([name, vmUuid, watcher, changes]);
+            });
+        });
+
+    return (events);
+}
+
+
+test('VmChanged on create and modify', function _test(t) {
+    var events;
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    events = collectEvents(vmWatcher);
+
+    vmWatcher.dispatchCreate(vmUuid, {quota: 10, state: 'running'}, 'vmadm');
+    vmWatcher.dispatchModify(vmUuid, {quota: 20, state: 'running'}, 'vmadm');
+
+    setImmediate(function _checkEvents() {
+        t.deepEqual(events, [
+            ['VmCreated', vmUuid, 'vmadm', undefined],
+            ['VmChanged', vmUuid, 'vmadm', {
+                quota: {oldValue: undefined, newValue: 10},
+                state: {oldValue: undefined, newValue: 'running'}
+            }],
+            ['VmModified', vmUuid, 'vmadm', undefined],
+            ['VmChanged', vmUuid, 'vmadm', {
+                quota: {oldValue: 10, newValue: 20}
+            }]
+        ], 'expected events');
+
+        t.end();
+    });
+});
+
+test('no VmChanged when nothing changed', function _test(t) {
+    var events;
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    vmWatcher.dispatchCreate(vmUuid, {quota: 10}, 'vmadm');
+
+    setImmediate(function _modify() {
+        events = collectEvents(vmWatcher);
+
+        // Same value seen by another watcher, and a delete.
+        vmWatcher.dispatchModify(vmUuid, {quota: 10}, 'periodic');
+        vmWatcher.dispatchDelete(vmUuid, {}, 'vmadm');
+
+        setImmediate(function _checkEvents() {
+            t.deepEqual(events, [
+                ['VmDeleted', vmUuid, 'vmadm', undefined]
+            ], 'only VmDeleted');
+
+            t.end();
+        });
+    });
+});
+
+test('VmChanged values are not shared with knownVms', function _test(t) {
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    vmWatcher.on('VmChanged', function _onChanged(_vmUuid, _watcher, changes) {
+        changes.tags.newValue.hello = 'changed';
+        t.deepEqual(vmWatcher.knownVms[vmUuid].tags, {hello: 'world'},
+            'knownVms unaffected by change to event');
+        t.end();
+    });
+
+    vmWatcher.dispatchCreate(vmUuid, {tags: {hello: 'world'}}, 'vmadm');
+});
+
+test('lifecycle events', function _test(t) {
+    var events;
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    function _names() {
+        return (events.map(function _getName(evt) {
+            return (evt[0]);
+        }).filter(function _notGeneric(name) {
+            return (['VmCreated', 'VmModified', 'VmChanged'].indexOf(name) ===
+                -1);
+        }));
+    }
+
+    events = collectEvents(vmWatcher);
+    ['VmStarted', 'VmStopped', 'VmRebooted', 'VmFailed', 'VmProvisioned']
+        .forEach(function _listen(name) {
+            vmWatcher.on(name, function _onEvent(evUuid, watcher, changes) {
+                events.push([name, evUuid, watcher, changes]);
+            });
+        });
+
+    vmWatcher.dispatchCreate(vmUuid, {
+        boot_timestamp: '2019-01-01T00:00:00.000Z',
+        state: 'provisioning'
+    }, 'vmadm');
+    vmWatcher.dispatchModify(vmUuid, {
+        boot_timestamp: '2019-01-01T00:01:00.000Z',
+        state: 'running'
+    }, 'periodic');
+    // a reboot seen only through boot_timestamp
+    vmWatcher.dispatchModify(vmUuid, {
+        boot_timestamp: '2019-01-02T00:00:00.000Z',
+        state: 'running'
+    }, 'periodic');
+    // a reboot seen as stop and start, then the new boot_timestamp
+    vmWatcher.dispatchModify(vmUuid, {state: 'stopped'}, 'zoneevent');
+    vmWatcher.dispatchModify(vmUuid, {state: 'running'}, 'zoneevent');
+    vmWatcher.dispatchModify(vmUuid, {
+        boot_timestamp: '2019-01-03T00:00:00.000Z'
+    }, 'periodic');
+    vmWatcher.dispatchModify(vmUuid, {state: 'failed'}, 'periodic');
+
+    setImmediate(function _checkEvents() {
+        var startEvent;
+
+        t.deepEqual(_names(), [
+            'VmProvisioned',
+            'VmStarted',
+            'VmRebooted',
+            'VmStopped',
+            'VmStarted',
+            'VmFailed'
+        ], 'expected lifecycle events');
+
+        startEvent = events.filter(function _isStart(evt) {
+            return (evt[0] === 'VmStarted');
+        })[0];
+        t.equal(startEvent[2], 'periodic', 'VmStarted has watcher');
+        t.deepEqual(startEvent[3].state,
+            {oldValue: 'provisioning', newValue: 'running'},
+            'VmStarted has state change');
+
+        t.end();
+    });
+});
+
+test('no lifecycle events for new VMs', function _test(t) {
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    vmWatcher.on('VmStarted', function _onStarted() {
+        t.fail('should not see VmStarted for new VM');
+    });
+
+    vmWatcher.dispatchCreate(vmUuid, {state: 'running'}, 'vmadm');
+
+    setImmediate(function _done() {
+        t.pass('no VmStarted');
+        t.end();
+    });
+});
+
+test('stops classified as expected or unexpected', function _test(t) {
+    var crashedVm = node_uuid.v4();
+    var haltedVm = node_uuid.v4();
+    var modifiedVm = node_uuid.v4();
+    var stops = {};
+    var stoppedVm = node_uuid.v4();
+    var taskVm = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    vmWatcher.on('VmStopped', function _onStopped(vmUuid, _watcher, _changes,
+        stop) {
+
+        stops[vmUuid] = stop;
+    });
+
+    [crashedVm, haltedVm, modifiedVm, stoppedVm, taskVm].forEach(
+        function _create(vmUuid) {
+            vmWatcher.dispatchCreate(vmUuid, {state: 'running'}, 'vmadm');
+        });
+
+    // halted: zoneevent sees the zone shutting down first
+    vmWatcher.newUpdateHandler('zoneevent')(haltedVm, 'transition',
+        {zone_state: 'shutting_down'});
+    vmWatcher.dispatchModify(haltedVm, {state: 'stopped'}, 'zoneevent');
+
+    // stopped: cn-agent is running a task for the VM
+    vmWatcher.setTaskRunning(stoppedVm, true);
+    vmWatcher.dispatchModify(stoppedVm, {state: 'stopped'}, 'zoneevent');
+
+    // task: the task just ended, but the stop was seen late
+    vmWatcher.setTaskRunning(taskVm, true);
+    vmWatcher.setTaskRunning(taskVm, false);
+    vmWatcher.dispatchModify(taskVm, {state: 'stopped'}, 'periodic');
+
+    // modified: e.g. mdata-put just before a crash doesn't make it expected
+    vmWatcher.dispatchModify(modifiedVm,
+        {last_modified: (new Date()).toISOString()}, 'fs');
+    vmWatcher.dispatchModify(modifiedVm, {state: 'stopped'}, 'zoneevent');
+
+    // crashed: no warning at all
+    vmWatcher.dispatchModify(crashedVm, {state: 'stopped'}, 'zoneevent');
+
+    setImmediate(function _checkStops() {
+        t.deepEqual(stops[haltedVm],
+            {expected: true, cause: 'shutting_down'}, 'halt was expected');
+        t.deepEqual(stops[stoppedVm],
+            {expected: true, cause: 'task'}, 'stop in task was expected');
+        t.deepEqual(stops[taskVm],
+            {expected: true, cause: 'task'}, 'stop after task was expected');
+        t.deepEqual(stops[modifiedVm], {expected: false, cause: 'crash'},
+            'stop after modification was unexpected');
+        t.deepEqual(stops[crashedVm],
+            {expected: false, cause: 'crash'}, 'crash was unexpected');
+
+        // After being started again, the old shutting_down no longer counts.
+        vmWatcher.dispatchModify(haltedVm, {state: 'running'}, 'zoneevent');
+        vmWatcher.dispatchModify(haltedVm, {state: 'stopped'}, 'zoneevent');
+
+        setImmediate(function _checkRestarted() {
+            t.deepEqual(stops[haltedVm], {expected: false, cause: 'crash'},
+                'second stop was unexpected');
+            t.end();
+        });
+    });
+});
+
+test('history of updates per VM', function _test(t) {
+    var history;
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = new VmWatcher({
+        eventSource: 'vmadm-events',
+        historySize: 3,
+        log: mocks.Logger,
+        vmadm: {}
+    });
+
+    t.deepEqual(vmWatcher.getHistory(vmUuid), [], 'no history for new VM');
+
+    vmWatcher.dispatchCreate(vmUuid, {quota: 10, state: 'running'}, 'vmadm');
+    vmWatcher.dispatchModify(vmUuid, {quota: 10}, 'periodic');
+    vmWatcher.dispatchModify(vmUuid, {quota: 20}, 'fs');
+    vmWatcher.dispatchDelete(vmUuid, {}, 'vmadm');
+    vmWatcher.dispatchModify(vmUuid, {quota: 30}, 'periodic');
+
+    history = vmWatcher.getHistory(vmUuid);
+    t.deepEqual(history.map(function _strip(entry) {
+        t.ok(entry.timestamp, 'entry has timestamp');
+        delete entry.timestamp;
+        return (entry);
+    }), [
+        {watcher: 'fs', event: 'modify', changedFields: ['quota']},
+        {watcher: 'vmadm', event: 'delete', changedFields: []},
+        {watcher: 'periodic', event: 'modify', changedFields: [],
+            skipped: true}
+    ], 'last 3 updates kept, including unchanged and skipped');
+
+    history.pop();
+    t.equal(vmWatcher.getHistory(vmUuid).length, 3,
+        'getHistory returns a copy');
+    t.deepEqual(Object.keys(vmWatcher.getHistories()), [vmUuid],
+        'getHistories has VM');
+
+    t.end();
+});
+
+test('ended tasks forgotten after the window', function _test(t) {
+    var oldTaskVm = node_uuid.v4();
+    var runningTaskVm = node_uuid.v4();
+    var staleVm = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    [oldTaskVm, runningTaskVm, staleVm].forEach(function _create(vmUuid) {
+        vmWatcher.dispatchCreate(vmUuid, {state: 'running'}, 'vmadm');
+        vmWatcher.setTaskRunning(vmUuid, true);
+    });
+    vmWatcher.setTaskRunning(oldTaskVm, false);
+    t.ok(vmWatcher.taskTimer, 'task timer set');
+
+    // A stop long after the task ended is a crash, and the task is dropped.
+    vmWatcher.taskVms[staleVm] = Date.now() - 2 * 60 * 60 * 1000;
+    t.deepEqual(vmWatcher.classifyStop(staleVm),
+        {expected: false, cause: 'crash'}, 'stop long after task unexpected');
+    t.notOk(vmWatcher.taskVms.hasOwnProperty(staleVm), 'stale task dropped');
+
+    // Pretend oldTaskVm's task ended an hour ago, so it's due to be dropped.
+    vmWatcher.taskVms[oldTaskVm] -= 60 * 60 * 1000;
+    vmWatcher.scheduleTaskExpiry();
+
+    setTimeout(function _checkTasks() {
+        t.deepEqual(Object.keys(vmWatcher.taskVms), [runningTaskVm],
+            'ended task dropped, running task kept');
+        t.equal(vmWatcher.taskTimer, null, 'nothing left to expire');
+
+        t.end();
+    }, 100);
+});
+
+test('history dropped a while after VM destroyed', function _test(t) {
+    var oldVm = node_uuid.v4();
+    var recentVm = node_uuid.v4();
+    var runningVm = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    [oldVm, recentVm, runningVm].forEach(function _create(vmUuid) {
+        vmWatcher.dispatchCreate(vmUuid, {state: 'running'}, 'vmadm');
+    });
+    vmWatcher.dispatchDelete(oldVm, {}, 'vmadm');
+
+    // Pretend oldVm was destroyed an hour ago.
+    vmWatcher.knownVms[oldVm].destroyed -= 60 * 60 * 1000;
+    vmWatcher.dispatchDelete(recentVm, {}, 'vmadm');
+
+    t.deepEqual(Object.keys(vmWatcher.getHistories()).sort(),
+        [recentVm, runningVm].sort(), 'only old VM history dropped');
+
+    t.end();
+});
+
+test('history dropped without another delete', function _test(t) {
+    var oldVm = node_uuid.v4();
+    var runningVm = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    [oldVm, runningVm].forEach(function _create(vmUuid) {
+        vmWatcher.dispatchCreate(vmUuid, {state: 'running'}, 'vmadm');
+    });
+    vmWatcher.dispatchDelete(oldVm, {}, 'vmadm');
+    t.ok(vmWatcher.pruneTimer, 'prune timer set');
+
+    // Pretend oldVm was destroyed an hour ago, so it's due to be dropped now.
+    vmWatcher.knownVms[oldVm].destroyed -= 60 * 60 * 1000;
+    vmWatcher.schedulePrune();
+
+    setTimeout(function _checkHistories() {
+        t.deepEqual(Object.keys(vmWatcher.getHistories()), [runningVm],
+            'old VM history dropped');
+        t.equal(vmWatcher.pruneTimer, null, 'nothing left to prune');
+
+        t.end();
+    }, 100);
+});
+
+test('duplicates from other watchers are counted', function _test(t) {
+    var duplicates = [];
+    var vmUuid = node_uuid.v4();
+    var vmWatcher = newWatcher();
+
+    vmWatcher.on('VmDuplicate', function _onDuplicate(evUuid, watcher, dup) {
+        duplicates.push([evUuid, watcher, dup]);
+    });
+
+    vmWatcher.dispatchCreate(vmUuid, {quota: 10, state: 'running'}, 'vmadm');
+    vmWatcher.dispatchModify(vmUuid,
+        {state: 'stopped', zone_state: 'installed'}, 'zoneevent');
+    // fs reporting the same thing again is not a duplicate of itself
+    vmWatcher.dispatchModify(vmUuid, {quota: 20}, 'fs');
+    vmWatcher.dispatchModify(vmUuid, {quota: 20}, 'fs');
+    // periodic sees everything, only the second time is nothing new
+    vmWatcher.dispatchModify(vmUuid, {
+        quota: 20,
+        state: 'stopped',
+        zone_state: 'installed'
+    }, 'periodic');
+    vmWatcher.dispatchModify(vmUuid, {
+        quota: 20,
+        state: 'stopped',
+        zone_state: 'installed'
+    }, 'periodic');
+
+    setImmediate(function _checkDuplicates() {
+        t.deepEqual(vmWatcher.getDuplicateCounts(),
+            {periodic: {fs: 1, zoneevent: 1}}, 'duplicate counts');
+        t.deepEqual(duplicates.map(function _strip(dup) {
+            t.equal(dup[0], vmUuid, 'duplicate is for VM');
+            t.equal(dup[1], 'periodic', 'duplicate from periodic');
+            t.ok(dup[2].delay >= 0, 'duplicate has delay');
+            return ([dup[2].firstWatcher, dup[2].fields]);
+        }), [
+            ['fs', ['quota']],
+            ['zoneevent', ['state', 'zone_state']]
+        ], 'VmDuplicate events');
+
+        t.end();
+    });
+});
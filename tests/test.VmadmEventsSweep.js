@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the consistency sweep of the VmadmEventsWatcher. vmadm.events and
+ * vmadm.lookup are replaced with fakes here.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var test = require('tape');
+var node_uuid = require('node-uuid');
+
+var mocks = require('./mocks');
+var VmadmEventsWatcher = require('../lib/watchers/vmadm-events-watcher');
+
+
+/*
+ * Returns a fake vmadm where events() starts with the VMs in eventVms and
+ * lookup() returns the VMs in lookupVms. The handler for the events is
+ * available as .handler once events() was called, and onLookup (if set) is
+ * called before each lookup returns.
+ */
+function newVmadm(eventVms, lookupVms) {
+    var fakeVmadm = {
+        eventVms: eventVms,
+        lookupVms: lookupVms,
+        lookups: 0,
+        onLookup: null
+    };
+
+    fakeVmadm.events = function _events(_opts, handler, ready) {
+        var emitter = new EventEmitter();
+
+        fakeVmadm.handler = handler;
+        setImmediate(function _ready() {
+            ready(null, {
+                ev: {vms: JSON.parse(JSON.stringify(fakeVmadm.eventVms))},
+                stop: function _stop() {}
+            });
+        });
+
+        return (emitter);
+    };
+
+    fakeVmadm.lookup = function _lookup(_search, _opts, callback) {
+        fakeVmadm.lookups++;
+        setImmediate(function _lookupDone() {
+            if (fakeVmadm.onLookup) {
+                fakeVmadm.onLookup();
+            }
+            callback(null, Object.keys(fakeVmadm.lookupVms).map(
+                function _getVm(uuid) {
+                    return (fakeVmadm.lookupVms[uuid]);
+                }));
+        });
+    };
+
+    return (fakeVmadm);
+}
+
+function newVm(uuid, state) {
+    return ({uuid: uuid, state: state, zone_state: state});
+}
+
+
+test('sweep sends corrections for missed events', function _test(t) {
+    var createdUuid = node_uuid.v4();
+    var deletedUuid = node_uuid.v4();
+    var eventVms = {};
+    var fakeVmadm;
+    var lookupVms = {};
+    var modifiedUuid = node_uuid.v4();
+    var unchangedUuid = node_uuid.v4();
+    var updates = [];
+    var watcher;
+
+    eventVms[deletedUuid] = newVm(deletedUuid, 'running');
+    eventVms[modifiedUuid] = newVm(modifiedUuid, 'running');
+    eventVms[unchangedUuid] = newVm(unchangedUuid, 'running');
+
+    lookupVms[createdUuid] = newVm(createdUuid, 'running');
+    lookupVms[modifiedUuid] = newVm(modifiedUuid, 'stopped');
+    lookupVms[unchangedUuid] = newVm(unchangedUuid, 'running');
+
+    fakeVmadm = newVmadm(eventVms, lookupVms);
+    watcher = new VmadmEventsWatcher({
+        log: mocks.Logger,
+        updateVm: function _updateVm(vmUuid, updateType, updateObj) {
+            updates.push([vmUuid, updateType, updateObj.state]);
+        },
+        vmadm: fakeVmadm
+    });
+
+    watcher.start(function _onStart(err) {
+        t.ifError(err, 'started watcher');
+        t.equal(watcher.sweepTimer, null, 'no sweeps without sweepInterval');
+
+        watcher.sweep(function _onSweep(sweepErr, changes) {
+            t.ifError(sweepErr, 'sweep');
+            t.deepEqual(changes, {
+                createdVms: [createdUuid],
+                modifiedVms: [modifiedUuid],
+                deletedVms: [deletedUuid]
+            }, 'found missed changes');
+            t.deepEqual(updates, [
+                [createdUuid, 'create', 'running'],
+                [modifiedUuid, 'modify', 'stopped'],
+                [deletedUuid, 'delete', undefined]
+            ], 'sent corrections');
+            t.deepEqual(Object.keys(watcher.vms).sort(),
+                [createdUuid, modifiedUuid, unchangedUuid].sort(),
+                'known VMs updated');
+            t.equal(watcher.vms[modifiedUuid].state, 'stopped',
+                'known VM state updated');
+
+            updates = [];
+            watcher.sweep(function _onSecondSweep(secondErr, secondChanges) {
+                t.ifError(secondErr, 'second sweep');
+                t.deepEqual(secondChanges, {
+                    createdVms: [],
+                    modifiedVms: [],
+                    deletedVms: []
+                }, 'no changes on second sweep');
+                t.deepEqual(updates, [], 'no corrections sent');
+
+                watcher.stop();
+                t.end();
+            });
+        });
+    });
+});
+
+/*
+ * An event that arrives while the lookup is running is newer than what we know
+ * from the lookup (or at least not older), so that VM should be left alone.
+ */
+test('sweep ignores VMs with events during lookup', function _test(t) {
+    var eventVms = {};
+    var fakeVmadm;
+    var lookupVms = {};
+    var updates = [];
+    var vmUuid = node_uuid.v4();
+    var watcher;
+
+    eventVms[vmUuid] = newVm(vmUuid, 'running');
+    lookupVms[vmUuid] = newVm(vmUuid, 'stopped');
+
+    fakeVmadm = newVmadm(eventVms, lookupVms);
+    fakeVmadm.onLookup = function _onLookup() {
+        fakeVmadm.handler({
+            type: 'modify',
+            vm: newVm(vmUuid, 'running'),
+            zonename: vmUuid
+        });
+    };
+
+    watcher = new VmadmEventsWatcher({
+        log: mocks.Logger,
+        updateVm: function _updateVm(uuid, updateType, updateObj) {
+            updates.push([uuid, updateType, updateObj.state]);
+        },
+        vmadm: fakeVmadm
+    });
+
+    watcher.start(function _onStart(err) {
+        t.ifError(err, 'started watcher');
+
+        watcher.sweep(function _onSweep(sweepErr, changes) {
+            t.ifError(sweepErr, 'sweep');
+            t.deepEqual(changes.modifiedVms, [], 'VM not compared');
+            t.deepEqual(updates, [[vmUuid, 'modify', 'running']],
+                'only the event was sent');
+            t.equal(watcher.vms[vmUuid].state, 'running',
+                'known VM state from event');
+
+            watcher.stop();
+            t.end();
+        });
+    });
+});
+
+test('sweepInterval schedules sweeps', function _test(t) {
+    var fakeVmadm = newVmadm({}, {});
+    var watcher = new VmadmEventsWatcher({
+        log: mocks.Logger,
+        sweepInterval: 10,
+        updateVm: function _updateVm() {},
+        vmadm: fakeVmadm
+    });
+
+    watcher.start(function _onStart(err) {
+        t.ifError(err, 'started watcher');
+        t.ok(watcher.sweepTimer, 'sweep scheduled');
+
+        setTimeout(function _checkSweeps() {
+            var lookups = fakeVmadm.lookups;
+
+            t.ok(lookups >= 2, 'swept more than once (' + lookups + ')');
+
+            watcher.stop();
+            t.equal(watcher.sweepTimer, null, 'sweeps stopped');
+
+            setTimeout(function _checkStopped() {
+                t.ok(fakeVmadm.lookups <= lookups + 1,
+                    'no more sweeps after stop');
+                t.end();
+            }, 100);
+        }, 200);
+    });
+});
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Tests for the VMAPI circuit breaker. The first tests use the real
+ * VmapiClient against a local HTTP server, the rest test VmAgent's handling of
+ * the circuit opening and closing using the mocks from ./mocks.js.
+ */
+
+var http = require('http');
+
+var bunyan = require('bunyan');
+var test = require('tape');
+
+var mocks = require('./mocks');
+var VmapiClient = require('../lib/vmapi-client');
+
+
+// GLOBAL
+var coordinator = mocks.coordinator;
+// The VmapiClient logs failed requests as errors, which we expect here.
+var quietLog = bunyan.createLogger({name: 'test.VmapiCircuit', level: 'fatal'});
+var VmAgent = mocks.requireWithMocks('../lib/vm-agent');
+
+
+function resetGlobalState(vmAgent) {
+    if (vmAgent) {
+        vmAgent.stop();
+    }
+    mocks.resetState();
+}
+
+/*
+ * Starts a fake VMAPI that responds to every request with the status code in
+ * fakeVmapi.statusCode, and calls callback(err, fakeVmapi) once listening.
+ */
+function startFakeVmapi(callback) {
+    var fakeVmapi = {requests: [], statusCode: 500};
+
+    fakeVmapi.server = http.createServer(function _onRequest(req, res) {
+        fakeVmapi.requests.push(req.method + ' ' + req.url);
+        req.resume();
+        req.on('end', function _onEnd() {
+            res.writeHead(fakeVmapi.statusCode,
+                {'content-type': 'application/json'});
+            res.end(JSON.stringify({}));
+        });
+    });
+
+    fakeVmapi.server.listen(0, '127.0.0.1', function _onListen() {
+        fakeVmapi.url = 'http://127.0.0.1:' + fakeVmapi.server.address().port;
+        callback(null, fakeVmapi);
+    });
+}
+
+
+test('VmapiClient opens and closes circuit', function _test(t) {
+    startFakeVmapi(function _onStart(_err, fakeVmapi) {
+        var client = new VmapiClient({
+            circuitThreshold: 2,
+            log: quietLog,
+            url: fakeVmapi.url
+        });
+        var vmobj = mocks.newVm();
+
+        client.on('circuitOpen', function _onOpen() {
+            t.ok(client.circuitOpen, 'circuit is open');
+            t.ok(client.probeTimer, 'probe is scheduled');
+
+            // Now make VMAPI healthy again so the probe succeeds.
+            fakeVmapi.statusCode = 200;
+        });
+
+        client.on('circuitClose', function _onClose() {
+            t.notOk(client.circuitOpen, 'circuit is closed');
+            t.notOk(client.probeTimer, 'no more probes scheduled');
+            t.ok(fakeVmapi.requests.indexOf('GET /ping') !== -1,
+                'VMAPI was probed');
+
+            client.client.close();
+            fakeVmapi.server.close();
+            t.end();
+        });
+
+        client.updateVm(vmobj, function _onFirstUpdate(err) {
+            t.ok(err, 'first update failed');
+            t.notOk(client.circuitOpen, 'circuit not open after 1 failure');
+
+            client.updateVm(vmobj, function _onSecondUpdate(err2) {
+                t.ok(err2, 'second update failed');
+            });
+        });
+    });
+});
+
+test('VmapiClient ignores 4xx for circuit', function _test(t) {
+    startFakeVmapi(function _onStart(_err, fakeVmapi) {
+        var client = new VmapiClient({
+            circuitThreshold: 1,
+            log: quietLog,
+            url: fakeVmapi.url
+        });
+
+        fakeVmapi.statusCode = 409;
+
+        client.updateVm(mocks.newVm(), function _onUpdate(err) {
+            t.ok(err, 'update failed');
+            t.notOk(client.circuitOpen, 'circuit not opened by 409');
+            t.equal(client.consecutiveFailures, 0, 'no failures counted');
+
+            client.client.close();
+            fakeVmapi.server.close();
+            t.end();
+        });
+    });
+});
+
+/*
+ * While the circuit is open, modified VMs should be parked rather than sent
+ * to VMAPI, and should be sent once the circuit closes.
+ */
+test('VmAgent parks VMs while circuit open', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _openCircuit() {
+            vmAgent.vmapiClient.setCircuitOpen(true);
+            mocks.Vmadm.peekVms()[0].quota = 1234;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+
+            // wait for the queue to process the VM
+            setTimeout(function _checkParked() {
+                var status = vmAgent.getStatus();
+
+                t.ok(status.circuitOpen, 'status shows circuit open');
+                t.deepEqual(status.parked, [vmobj.uuid], 'VM is parked');
+
+                coordinator.on('vmapi.updateVm', function _onUpdateVm(obj) {
+                    t.equal(obj.uuid, vmobj.uuid, 'parked VM PUT');
+                    t.equal(obj.quota, 1234, 'PUT has new quota');
+                    t.deepEqual(vmAgent.getStatus().parked, [],
+                        'no VMs parked');
+
+                    resetGlobalState(vmAgent);
+                    t.end();
+                });
+
+                vmAgent.vmapiClient.setCircuitOpen(false);
+            }, 100);
+        });
+    });
+
+    coordinator.on('vmapi.updateVm', function _onEarlyUpdateVm() {
+        if (vmAgent.vmapiClient.circuitOpen) {
+            t.fail('should not PUT while circuit is open');
+        }
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(mocks.newConfig());
+    vmAgent.start();
+});
+
+/*
+ * VMs that are waiting for a retry when the circuit opens should have their
+ * retry timers cancelled and be parked instead.
+ */
+test('VmAgent parks VMs waiting for retry', function _test(t) {
+    var vmAgent;
+    var vmobj = mocks.newVm();
+
+    coordinator.on('vmapi.updateServerVms', function _onUpdateVms() {
+        setImmediate(function _modifyVm() {
+            mocks.Vmapi.setVmError(vmobj.uuid, new Error('VMAPI is broken'));
+            mocks.Vmadm.peekVms()[0].quota = 4321;
+            vmAgent.watcher.emit('VmModified', vmobj.uuid, 'dummy');
+        });
+    });
+
+    coordinator.once('vmapi.updateVm', function _onUpdateVm(_obj, err) {
+        t.ok(err, 'first PUT failed');
+        t.ok(vmAgent.getStatus().retryDelays[vmobj.uuid].retryPending,
+            'retry is pending');
+
+        vmAgent.vmapiClient.setCircuitOpen(true);
+
+        t.deepEqual(vmAgent.getStatus().retryDelays, {}, 'retry cancelled');
+        t.deepEqual(vmAgent.getStatus().parked, [vmobj.uuid], 'VM is parked');
+
+        resetGlobalState(vmAgent);
+        t.end();
+    });
+
+    mocks.Vmadm.putVm(vmobj);
+
+    vmAgent = new VmAgent(mocks.newConfig());
+    vmAgent.start();
+});